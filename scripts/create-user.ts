@@ -0,0 +1,80 @@
+/**
+ * Create User
+ * Creates a local account from the command line - e.g. the first admin, who can then
+ * create other accounts through POST /auth/users. The password comes from
+ * CREATE_USER_PASSWORD if set; otherwise it is prompted for without being echoed, or read
+ * from the first line of stdin when that isn't a terminal (e.g., piped in a script).
+ *
+ * Usage: npm run create:user -- <username> <learner|instructor|admin> [display name]
+ */
+
+import * as readline from 'readline';
+import { Writable } from 'stream';
+import { USER_ROLES, UserRole } from '../src/backend/src/models/user.types';
+import { createUser, getUserByUsername } from '../src/backend/src/store/userStore';
+
+const [username, role, ...displayNameWords] = process.argv.slice(2);
+
+if (!username || !USER_ROLES.includes(role as UserRole)) {
+  console.error(`Usage: npm run create:user -- <username> <${USER_ROLES.join('|')}> [display name]`);
+  process.exit(1);
+}
+
+if (getUserByUsername(username)) {
+  console.error(`Username ${username} is already taken`);
+  process.exit(1);
+}
+
+readPassword().then(password => {
+  if (password.length < 8) {
+    console.error('Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  const user = createUser({ username, password, displayName: displayNameWords.join(' ') || undefined, role: role as UserRole });
+  console.log(`Created ${user.role} ${user.username} (${user.userId})`);
+  process.exit(0);
+});
+
+/**
+ * Read the new account's password without showing it
+ */
+function readPassword(): Promise<string> {
+  if (process.env.CREATE_USER_PASSWORD) {
+    return Promise.resolve(process.env.CREATE_USER_PASSWORD);
+  }
+
+  // Piped in: the first line is the password
+  if (!process.stdin.isTTY) {
+    const lines = readline.createInterface({ input: process.stdin });
+    return new Promise(resolve => {
+      let password = '';
+      lines.once('line', line => {
+        password = line;
+        lines.close();
+      });
+      lines.once('close', () => resolve(password));
+    });
+  }
+
+  // Typed in: show the prompt, then nothing the user types
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  const prompt = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+  return new Promise(resolve => {
+    prompt.question('Password (at least 8 characters): ', password => {
+      prompt.close();
+      process.stdout.write('\n');
+      resolve(password);
+    });
+    muted = true;
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Validate Cases
+ * Checks every case file in src/shared/scenarios against the case schema and
+ * reports all violations with their JSON paths. Exits with status 1 if any case is invalid.
+ *
+ * A case that extends another must pin the base case's version, so publishing a new version
+ * of the base case doesn't change it while it keeps reporting the same caseVersion.
+ *
+ * Usage: npm run validate:cases [-- <caseId> ...]
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { validateCaseData } from '../src/backend/src/services/caseLoader';
+import { parseExtends } from '../src/backend/src/services/caseResolver';
+
+const casesDir = path.join(process.cwd(), 'src', 'shared', 'scenarios');
+
+const requested = process.argv.slice(2);
+const caseIds = requested.length > 0
+  ? requested
+  : fs.readdirSync(casesDir).filter(file => file.endsWith('.json')).sort().map(file => path.basename(file, '.json'));
+
+let invalidCount = 0;
+
+for (const caseId of caseIds) {
+  const filePath = path.join(casesDir, `${caseId}.json`);
+
+  let issues;
+  try {
+    const source = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    issues = validateCaseData(source, caseId);
+
+    if (typeof source.extends === 'string' && issues.length === 0) {
+      const base = parseExtends(source.extends);
+      if (base.version === undefined) {
+        issues.push({ path: '$.extends', message: `pin the base case version (e.g., "${base.caseId}@1")` });
+      }
+    }
+  } catch (error: any) {
+    issues = [{ path: '$', message: error.code === 'ENOENT' ? 'file not found' : `invalid JSON (${error.message})` }];
+  }
+
+  if (issues.length === 0) {
+    console.log(`✓ ${caseId}`);
+    continue;
+  }
+
+  invalidCount += 1;
+  console.log(`✗ ${caseId} (${issues.length} ${issues.length === 1 ? 'issue' : 'issues'})`);
+  for (const issue of issues) {
+    console.log(`    ${issue.path}: ${issue.message}`);
+  }
+}
+
+console.log(`\n${caseIds.length - invalidCount}/${caseIds.length} cases valid`);
+process.exit(invalidCount > 0 ? 1 : 0);
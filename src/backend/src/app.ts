@@ -6,10 +6,16 @@
 import express, { Express } from 'express';
 import path from 'path';
 import sessionRoutes from './routes/sessionRoutes';
+import caseRoutes from './routes/caseRoutes';
+import authoringRoutes from './routes/authoringRoutes';
 import ttsRoutes from './routes/ttsRoutes';
+import authRoutes from './routes/authRoutes';
+import progressRoutes from './routes/progressRoutes';
+import leaderboardRoutes from './routes/leaderboardRoutes';
 import { rateLimiter } from './middleware/rateLimiter';
 import { sanitizeBody, validateRequestSize } from './middleware/sanitizer';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler';
+import { requireAuth, requireRole } from './middleware/auth';
 import { startCleanupTimer, stopCleanupTimer } from './store/sessionStore';
 
 const app: Express = express();
@@ -20,8 +26,8 @@ app.set('trust proxy', 1);
 // CORS middleware (simple for hackathon - allow all origins)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -31,6 +37,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Case authoring uploads whole case files, so it is mounted ahead of the 10kb request limit with its own
+// Instructors and admins only
+app.use(
+  '/authoring',
+  rateLimiter,
+  requireAuth,
+  requireRole('instructor', 'admin'),
+  express.json({ limit: '256kb' }),
+  sanitizeBody,
+  authoringRoutes
+);
+
 // Request size limits (JSON body parser with size limit)
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
@@ -50,7 +68,11 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/auth', authRoutes);
 app.use('/session', sessionRoutes);
+app.use('/progress', progressRoutes);
+app.use('/leaderboard', leaderboardRoutes);
+app.use('/cases', caseRoutes);
 app.use('/tts', ttsRoutes);
 
 // Serve frontend static files (relative to project root)
@@ -63,7 +85,7 @@ app.use('/src', express.static(frontendSrcPath));
 // Serve index.html for all other routes (SPA fallback) - must be before 404 handler
 app.get('*', (req, res, next) => {
   // Only serve HTML for non-API routes
-  if (!req.path.startsWith('/session') && !req.path.startsWith('/health') && !req.path.startsWith('/src')) {
+  if (!req.path.startsWith('/session') && !req.path.startsWith('/cases') && !req.path.startsWith('/auth') && !req.path.startsWith('/progress') && !req.path.startsWith('/leaderboard') && !req.path.startsWith('/health') && !req.path.startsWith('/src')) {
     res.sendFile(path.join(frontendPublicPath, 'index.html'));
   } else {
     next();
@@ -0,0 +1,245 @@
+/**
+ * Auth Controller
+ * Handles sign-up, sign-in and account management
+ */
+
+import { Request, Response } from 'express';
+import { USER_ROLES, UserRole } from '../models/user.types';
+import { verifyPassword, issueToken } from '../services/authService';
+import { listUsers, getUserByUsername, createUser, updateUser, toPublicUser } from '../store/userStore';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * POST /auth/register
+ * Create a learner account and sign in (disabled when ALLOW_REGISTRATION=false)
+ *
+ * Request body:
+ * {
+ *   username: string (3-32 letters, numbers, dots, dashes or underscores),
+ *   password: string (at least 8 characters),
+ *   displayName?: string
+ * }
+ *
+ * Response (201):
+ * {
+ *   token: string,
+ *   expiresAt: number,
+ *   user: PublicUser
+ * }
+ */
+export async function register(req: Request, res: Response): Promise<void> {
+  try {
+    if (process.env.ALLOW_REGISTRATION === 'false') {
+      res.status(403).json({ error: 'Registration is closed - ask an administrator for an account' });
+      return;
+    }
+
+    const error = validateAccountFields(req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const { username, password, displayName } = req.body;
+    if (getUserByUsername(username)) {
+      res.status(409).json({ error: `Username ${username} is already taken` });
+      return;
+    }
+
+    const user = createUser({ username, password, displayName, role: 'learner' });
+
+    res.status(201).json({ ...issueToken(user.userId), user: toPublicUser(user) });
+
+  } catch (error: any) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /auth/login
+ * Sign in
+ *
+ * Request body:
+ * {
+ *   username: string,
+ *   password: string
+ * }
+ *
+ * Response:
+ * {
+ *   token: string (send as "Authorization: Bearer <token>"),
+ *   expiresAt: number,
+ *   user: PublicUser
+ * }
+ */
+export async function login(req: Request, res: Response): Promise<void> {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+      res.status(400).json({ error: 'Missing username or password' });
+      return;
+    }
+
+    const user = getUserByUsername(username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      res.status(401).json({ error: 'Incorrect username or password' });
+      return;
+    }
+
+    res.json({ ...issueToken(user.userId), user: toPublicUser(user) });
+
+  } catch (error: any) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /auth/me
+ * Get the signed-in user
+ *
+ * Response:
+ * {
+ *   user: PublicUser
+ * }
+ */
+export async function getCurrentUser(req: Request, res: Response): Promise<void> {
+  res.json({ user: req.user });
+}
+
+/**
+ * PATCH /auth/me
+ * Change the signed-in user's settings
+ *
+ * Request body (every field optional):
+ * {
+ *   displayName?: string,
+ *   leaderboardOptOut?: boolean (true keeps the user off the leaderboards)
+ * }
+ *
+ * Response:
+ * {
+ *   user: PublicUser
+ * }
+ */
+export async function updateCurrentUser(req: Request, res: Response): Promise<void> {
+  try {
+    const { displayName, leaderboardOptOut } = req.body;
+
+    if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim() || displayName.length > 100)) {
+      res.status(400).json({ error: 'Invalid displayName - must be 1 to 100 characters' });
+      return;
+    }
+
+    if (leaderboardOptOut !== undefined && typeof leaderboardOptOut !== 'boolean') {
+      res.status(400).json({ error: 'Invalid leaderboardOptOut - must be true or false' });
+      return;
+    }
+
+    const user = updateUser(req.user!.userId, {
+      ...(displayName !== undefined && { displayName: displayName.trim() }),
+      ...(leaderboardOptOut !== undefined && { leaderboardOptOut })
+    });
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    res.json({ user: toPublicUser(user) });
+
+  } catch (error: any) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /auth/users (admin)
+ * List every account
+ *
+ * Response:
+ * {
+ *   users: PublicUser[]
+ * }
+ */
+export async function listUserAccounts(req: Request, res: Response): Promise<void> {
+  try {
+    res.json({ users: listUsers().map(toPublicUser) });
+  } catch (error: any) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /auth/users (admin)
+ * Create an account with any role
+ *
+ * Request body:
+ * {
+ *   username: string,
+ *   password: string,
+ *   displayName?: string,
+ *   role: 'learner' | 'instructor' | 'admin'
+ * }
+ *
+ * Response (201):
+ * {
+ *   user: PublicUser
+ * }
+ */
+export async function createUserAccount(req: Request, res: Response): Promise<void> {
+  try {
+    const error = validateAccountFields(req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const { username, password, displayName, role } = req.body;
+    if (!USER_ROLES.includes(role)) {
+      res.status(400).json({ error: `Invalid role - must be one of: ${USER_ROLES.join(', ')}` });
+      return;
+    }
+
+    if (getUserByUsername(username)) {
+      res.status(409).json({ error: `Username ${username} is already taken` });
+      return;
+    }
+
+    const user = createUser({ username, password, displayName, role: role as UserRole });
+
+    res.status(201).json({ user: toPublicUser(user) });
+
+  } catch (error: any) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Check the fields of a new account
+ *
+ * @returns An error message, or null if the fields are valid
+ */
+function validateAccountFields(body: any): string | null {
+  const { username, password, displayName } = body;
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Invalid username - use 3 to 32 letters, numbers, dots, dashes or underscores';
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Invalid password - must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (displayName !== undefined && (typeof displayName !== 'string' || displayName.length > 100)) {
+    return 'Invalid displayName - must be at most 100 characters';
+  }
+
+  return null;
+}
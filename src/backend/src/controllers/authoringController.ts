@@ -0,0 +1,351 @@
+/**
+ * Authoring Controller
+ * Handles case authoring: drafts, preview, publishing and published versions
+ */
+
+import { Request, Response } from 'express';
+import { MedicalCase } from '../../../shared/types/case.types';
+import {
+  validateCaseData,
+  summarizeCase,
+  listBuiltInCaseIds,
+  getNextCaseVersion,
+  loadCaseVersion,
+  resolveCaseData,
+  pinBaseVersion,
+  BUILT_IN_VERSION
+} from '../services/caseLoader';
+import {
+  listAuthoredCases,
+  getAuthoredCaseInfo,
+  readDraft,
+  saveDraft,
+  deleteDraft,
+  writeVersion
+} from '../services/caseRepository';
+
+const CASE_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+/**
+ * GET /authoring/cases
+ * List every case with its draft and published versions
+ *
+ * Response:
+ * {
+ *   cases: Array<{ caseId: string, hasDraft: boolean, draftUpdatedAt?: number, versions: number[], publishedVersion?: number }>
+ * }
+ */
+export async function listAuthoringCases(req: Request, res: Response): Promise<void> {
+  try {
+    const caseIds = new Set([...listBuiltInCaseIds(), ...listAuthoredCases().map(info => info.caseId)]);
+
+    res.json({ cases: [...caseIds].sort().map(describeCase) });
+  } catch (error: any) {
+    console.error('Error listing authoring cases:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /authoring/cases
+ * Create a draft for a new case
+ *
+ * Request body:
+ * {
+ *   case: MedicalCase (may be incomplete - drafts are saved even if they don't validate yet)
+ * }
+ *
+ * Response (201):
+ * {
+ *   caseId: string,
+ *   issues: CaseValidationIssue[] (what must be fixed before publishing)
+ * }
+ */
+export async function createCaseDraft(req: Request, res: Response): Promise<void> {
+  try {
+    const caseData = req.body.case;
+
+    if (!caseData || typeof caseData !== 'object' || Array.isArray(caseData)) {
+      res.status(400).json({ error: 'Missing or invalid case' });
+      return;
+    }
+
+    const { caseId } = caseData;
+    if (typeof caseId !== 'string' || !CASE_ID_PATTERN.test(caseId)) {
+      res.status(400).json({ error: 'case.caseId must contain only letters, numbers and dashes' });
+      return;
+    }
+
+    if (caseExists(caseId)) {
+      res.status(409).json({ error: `Case ${caseId} already exists - update its draft instead` });
+      return;
+    }
+
+    saveDraft(caseId, caseData);
+
+    res.status(201).json({ caseId, issues: validateCaseData(caseData, caseId) });
+
+  } catch (error: any) {
+    console.error('Error creating case draft:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /authoring/cases/:caseId
+ * Get a case's draft and published versions
+ *
+ * Response:
+ * {
+ *   caseId: string,
+ *   draft: MedicalCase | null,
+ *   issues: CaseValidationIssue[] (for the draft),
+ *   hasDraft: boolean,
+ *   versions: number[],
+ *   publishedVersion?: number
+ * }
+ */
+export async function getAuthoringCase(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId } = req.params;
+
+    if (!caseExists(caseId)) {
+      res.status(404).json({ error: `Case not found: ${caseId}` });
+      return;
+    }
+
+    const draft = readDraft(caseId);
+
+    res.json({
+      ...describeCase(caseId),
+      draft,
+      issues: draft ? validateCaseData(draft, caseId) : []
+    });
+
+  } catch (error: any) {
+    console.error('Error getting authoring case:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * PUT /authoring/cases/:caseId
+ * Save the draft of an existing case (starts a new draft if the case has none)
+ *
+ * Request body:
+ * {
+ *   case: MedicalCase
+ * }
+ *
+ * Response:
+ * {
+ *   caseId: string,
+ *   issues: CaseValidationIssue[]
+ * }
+ */
+export async function updateCaseDraft(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId } = req.params;
+    const caseData = req.body.case;
+
+    if (!caseData || typeof caseData !== 'object' || Array.isArray(caseData)) {
+      res.status(400).json({ error: 'Missing or invalid case' });
+      return;
+    }
+
+    if (!caseExists(caseId)) {
+      res.status(404).json({ error: `Case not found: ${caseId} - create it first` });
+      return;
+    }
+
+    saveDraft(caseId, caseData);
+
+    res.json({ caseId, issues: validateCaseData(caseData, caseId) });
+
+  } catch (error: any) {
+    console.error('Error updating case draft:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * DELETE /authoring/cases/:caseId/draft
+ * Discard a case's draft (published versions are kept)
+ *
+ * Response:
+ * {
+ *   caseId: string,
+ *   discarded: true
+ * }
+ */
+export async function discardCaseDraft(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId } = req.params;
+
+    if (!deleteDraft(caseId)) {
+      res.status(404).json({ error: `No draft for case ${caseId}` });
+      return;
+    }
+
+    res.json({ caseId, discarded: true });
+
+  } catch (error: any) {
+    console.error('Error discarding case draft:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /authoring/cases/:caseId/preview
+ * Preview a case's draft as it would be published
+ *
+ * Response:
+ * {
+ *   caseId: string,
+ *   valid: boolean,
+ *   issues: CaseValidationIssue[],
+ *   nextVersion: number (version the draft gets when published),
+ *   summary?: CaseSummary (how the dashboard would list it, if valid),
+ *   case: MedicalCase (the draft resolved: extends, overrides and collapsed levels applied),
+ *   source: object (the draft as written)
+ * }
+ */
+export async function previewCaseDraft(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId } = req.params;
+
+    const draft = readDraft(caseId);
+    if (!draft) {
+      res.status(404).json({ error: `No draft for case ${caseId}` });
+      return;
+    }
+
+    const { caseData, issues } = resolveCaseData(draft, caseId);
+    const nextVersion = getNextCaseVersion(caseId);
+
+    res.json({
+      caseId,
+      valid: issues.length === 0,
+      issues,
+      nextVersion,
+      summary: issues.length === 0 ? summarizeCase(caseData as MedicalCase, nextVersion) : undefined,
+      case: caseData,
+      source: draft
+    });
+
+  } catch (error: any) {
+    console.error('Error previewing case draft:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /authoring/cases/:caseId/publish
+ * Publish a case's draft as a new version
+ * The draft must validate; it is removed once published.
+ *
+ * Response (201):
+ * {
+ *   caseId: string,
+ *   version: number
+ * }
+ *
+ * Response (422) if the draft is invalid:
+ * {
+ *   error: string,
+ *   issues: CaseValidationIssue[]
+ * }
+ */
+export async function publishCaseDraft(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId } = req.params;
+
+    const draft = readDraft(caseId);
+    if (!draft) {
+      res.status(404).json({ error: `No draft for case ${caseId}` });
+      return;
+    }
+
+    const issues = validateCaseData(draft, caseId);
+    if (issues.length > 0) {
+      res.status(422).json({ error: `Case ${caseId} is invalid and can't be published`, issues });
+      return;
+    }
+
+    // Pin the base case, so this version doesn't change when the base is edited later
+    const version = getNextCaseVersion(caseId);
+    writeVersion(caseId, version, pinBaseVersion(draft));
+    deleteDraft(caseId);
+
+    console.log(`Published case ${caseId} version ${version}`);
+
+    res.status(201).json({ caseId, version });
+
+  } catch (error: any) {
+    console.error('Error publishing case:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /authoring/cases/:caseId/versions/:version
+ * Get a published version of a case
+ *
+ * Response:
+ * {
+ *   caseId: string,
+ *   version: number,
+ *   case: MedicalCase
+ * }
+ */
+export async function getCaseVersion(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      res.status(400).json({ error: 'Invalid version' });
+      return;
+    }
+
+    let caseData;
+    try {
+      ({ caseData } = loadCaseVersion(caseId, version));
+    } catch (error: any) {
+      res.status(404).json({ error: `Case not found: ${caseId} version ${version}` });
+      return;
+    }
+
+    res.json({ caseId, version, case: caseData });
+
+  } catch (error: any) {
+    console.error('Error getting case version:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Whether a case exists as a built-in scenario, a draft or a published version
+ */
+function caseExists(caseId: string): boolean {
+  return listBuiltInCaseIds().includes(caseId) || getAuthoredCaseInfo(caseId) !== null;
+}
+
+/**
+ * Draft and version info for a case, counting a built-in scenario as its first version
+ */
+function describeCase(caseId: string) {
+  const info = getAuthoredCaseInfo(caseId);
+  const versions = [
+    ...(listBuiltInCaseIds().includes(caseId) ? [BUILT_IN_VERSION] : []),
+    ...(info?.versions ?? [])
+  ];
+
+  return {
+    caseId,
+    hasDraft: info?.hasDraft ?? false,
+    draftUpdatedAt: info?.draftUpdatedAt,
+    versions,
+    publishedVersion: versions[versions.length - 1]
+  };
+}
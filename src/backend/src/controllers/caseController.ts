@@ -0,0 +1,32 @@
+/**
+ * Case Controller
+ * Handles requests for the case catalog
+ */
+
+import { Request, Response } from 'express';
+import { listCases } from '../services/caseLoader';
+
+/**
+ * GET /cases
+ * List the available cases
+ * 
+ * Response:
+ * {
+ *   cases: Array<{
+ *     caseId: string,
+ *     title: string,
+ *     specialty?: string,
+ *     level: 1 | 2 | 3,
+ *     description?: string,
+ *     difficulty: 'Easy' | 'Medium' | 'Hard'
+ *   }>
+ * }
+ */
+export async function getCases(req: Request, res: Response): Promise<void> {
+  try {
+    res.json({ cases: listCases() });
+  } catch (error: any) {
+    console.error('Error listing cases:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
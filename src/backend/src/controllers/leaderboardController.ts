@@ -0,0 +1,78 @@
+/**
+ * Leaderboard Controller
+ * Handles leaderboard requests
+ */
+
+import { Request, Response } from 'express';
+import { buildLeaderboard, LEADERBOARD_WINDOWS, LeaderboardWindow } from '../services/leaderboardService';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * GET /leaderboard
+ * Rank users on a case or a level by their best completed attempt
+ * 
+ * Query params:
+ *   caseId?: string (rank attempts at this case)
+ *   level?: 1 | 2 | 3 (rank attempts at this level, across cases)
+ *   window?: 'daily' | 'weekly' | 'all-time' (default 'all-time'; daily and weekly are the last 24 hours / 7 days)
+ *   limit?: number (default 20, max 100)
+ * 
+ * At least one of caseId and level is required.
+ * 
+ * Response:
+ * {
+ *   window: string,
+ *   entries: Array<{ rank, displayName, summaryScore, durationSec, caseId, title, endedAt, isYou }>,
+ *   you?: LeaderboardEntry (the signed-in user's entry, if it didn't make the list)
+ * }
+ */
+export async function getLeaderboard(req: Request, res: Response): Promise<void> {
+  try {
+    const { caseId, level, window = 'all-time', limit } = req.query;
+    
+    if (caseId !== undefined && (typeof caseId !== 'string' || !caseId.trim())) {
+      res.status(400).json({ error: 'Invalid caseId query parameter' });
+      return;
+    }
+    
+    const parsedLevel = level === undefined ? undefined : Number(level);
+    if (parsedLevel !== undefined && ![1, 2, 3].includes(parsedLevel)) {
+      res.status(400).json({ error: 'Invalid level - must be 1, 2 or 3' });
+      return;
+    }
+    
+    if (caseId === undefined && parsedLevel === undefined) {
+      res.status(400).json({ error: 'Specify a caseId or a level' });
+      return;
+    }
+    
+    if (!LEADERBOARD_WINDOWS.includes(window as LeaderboardWindow)) {
+      res.status(400).json({ error: `Invalid window - must be one of: ${LEADERBOARD_WINDOWS.join(', ')}` });
+      return;
+    }
+    
+    const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+      res.status(400).json({ error: `Invalid limit - must be between 1 and ${MAX_LIMIT}` });
+      return;
+    }
+    
+    const leaderboard = buildLeaderboard(
+      {
+        caseId: caseId as string | undefined,
+        level: parsedLevel as 1 | 2 | 3 | undefined,
+        window: window as LeaderboardWindow,
+        limit: parsedLimit
+      },
+      req.user!.userId
+    );
+    
+    res.json({ window, ...leaderboard });
+    
+  } catch (error: any) {
+    console.error('Error building leaderboard:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Progress Controller
+ * Handles requests for a learner's attempt history and progress
+ */
+
+import { Request, Response } from 'express';
+import { listAttempts, getProgressSummary } from '../services/progressService';
+import { getUserById } from '../store/userStore';
+
+/**
+ * GET /progress/attempts
+ * List the signed-in user's attempts, newest first
+ * 
+ * Query params:
+ *   caseId?: string (only attempts at this case)
+ *   userId?: string (instructors and admins: another user's attempts)
+ * 
+ * Response:
+ * {
+ *   attempts: Array<{
+ *     sessionId, caseId, caseVersion, title, difficulty, mode,
+ *     startedAt, endedAt, durationSec, submittedDiagnosis,
+ *     summaryScore, solved, outcome?
+ *   }>
+ * }
+ * 
+ * The full feedback for an attempt comes from GET /session/feedback?sessionId=...
+ */
+export async function getAttemptHistory(req: Request, res: Response): Promise<void> {
+  try {
+    const userId = resolveProgressUser(req, res);
+    if (!userId) {
+      return;
+    }
+    
+    const { caseId } = req.query;
+    if (caseId !== undefined && typeof caseId !== 'string') {
+      res.status(400).json({ error: 'Invalid caseId query parameter' });
+      return;
+    }
+    
+    res.json({ attempts: listAttempts(userId, caseId) });
+    
+  } catch (error: any) {
+    console.error('Error listing attempts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /progress/summary
+ * Get the signed-in user's best score per case and solved cases by difficulty
+ * 
+ * Query params:
+ *   userId?: string (instructors and admins: another user's progress)
+ * 
+ * Response:
+ * {
+ *   attempts: number,
+ *   solved: { total, Easy, Medium, Hard },
+ *   cases: Array<{ caseId, title, difficulty, attempts, bestScore, solved, lastAttemptAt }>
+ * }
+ */
+export async function getProgress(req: Request, res: Response): Promise<void> {
+  try {
+    const userId = resolveProgressUser(req, res);
+    if (!userId) {
+      return;
+    }
+    
+    res.json(getProgressSummary(userId));
+    
+  } catch (error: any) {
+    console.error('Error getting progress:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Whose progress to show: the signed-in user's, or (for instructors and admins) the
+ * ?userId one. Sends the error response and returns null if not allowed.
+ */
+function resolveProgressUser(req: Request, res: Response): string | null {
+  const user = req.user!;
+  const { userId } = req.query;
+  
+  if (userId === undefined || userId === user.userId) {
+    return user.userId;
+  }
+  
+  if (typeof userId !== 'string') {
+    res.status(400).json({ error: 'Invalid userId query parameter' });
+    return null;
+  }
+  
+  if (user.role !== 'instructor' && user.role !== 'admin') {
+    res.status(403).json({ error: 'You do not have permission to do this' });
+    return null;
+  }
+  
+  if (!getUserById(userId)) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  
+  return userId;
+}
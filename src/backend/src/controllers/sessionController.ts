@@ -4,36 +4,78 @@
  */
 
 import { Request, Response } from 'express';
-import { loadCase } from '../services/caseLoader';
-import { createSession, getSession, appendMessage, recordAction, markEnded, storeFeedback } from '../store/sessionStore';
+import { loadCase, loadCaseVersion, CaseValidationError } from '../services/caseLoader';
+import { applyCaseVariant } from '../services/caseVariants';
+import {
+  createSession,
+  getSession,
+  appendMessage,
+  recordAction,
+  recordGuardrailViolation,
+  markEnded,
+  storeFeedback,
+  saveSession
+} from '../store/sessionStore';
 import { generatePatientReply } from '../services/patientEngine';
 import { generateGuidance } from '../services/guidanceEngine';
-import { CreateSessionParams } from '../models/session.types';
-import { analyzeSession } from '../feedback';
+import { revealFactsFromMessage } from '../services/factRevealer';
+import {
+  updateClinicalState,
+  getSimulatedMinutes,
+  scheduleActionEffects,
+  consumePatientResponses,
+  getDefaultTimeScale,
+  MIN_TIME_SCALE,
+  MAX_TIME_SCALE
+} from '../services/clinicalStateEngine';
+import {
+  ORDER_CATEGORIES,
+  FREE_FORM_CATEGORIES,
+  OrderCategory,
+  buildOrderCatalog,
+  resolveOrderItem,
+  getOrderActionType,
+  performOrder,
+  updateOrderResults
+} from '../services/orderCatalog';
+import { CreateSessionParams, Session, DiagnosticOrder, GuidanceLevel } from '../models/session.types';
+import { analyzeSession, getCaseTimeLimit } from '../feedback';
+import { MedicalCase } from '../../../shared/types/case.types';
 
 /**
  * POST /session/start
- * Start a new encounter session
+ * Start a new encounter session, owned by the signed-in user
  * 
  * Request body:
  * {
  *   caseId: string,
  *   level: 1 | 2 | 3,
- *   userName: string,
- *   timeLimitSec?: number,
- *   maxTurns?: number
+ *   timeLimitSec?: number (ends the session when it runs out; default: no limit),
+ *   maxTurns?: number,
+ *   timeScale?: number (simulated minutes per real minute, 1-20; default: fits the case's timeline into the time limit),
+ *   patientMode?: 'llm' | 'scripted' (scripted answers from the case data without an LLM),
+ *   variantSeed?: number (replay a known case variant; default: a new random variant),
+ *   mode?: 'test' | 'learning' (default 'test'; used by messages that don't send one),
+ *   guidanceLevel?: 'low' | 'medium' | 'high' (learning mode)
  * }
  * 
  * Response:
  * {
  *   sessionId: string,
+ *   caseId: string,
+ *   caseVersion: number (published version of the case the session runs),
+ *   variantSeed: number (seed of the case variant the session runs),
+ *   title: string,
+ *   patient: { name, age, sex, chiefComplaint, image? },
  *   timeLimitSec?: number,
+ *   maxTurns?: number,
  *   introLine?: string
  * }
  */
 export async function startSession(req: Request, res: Response): Promise<void> {
   try {
-    const { caseId, level, userName, timeLimitSec, maxTurns } = req.body;
+    const { caseId, level, timeLimitSec, maxTurns, timeScale, patientMode, variantSeed, mode, guidanceLevel } = req.body;
+    const user = req.user!;
     
     // Validate required fields
     if (!caseId || typeof caseId !== 'string') {
@@ -46,20 +88,41 @@ export async function startSession(req: Request, res: Response): Promise<void> {
       return;
     }
     
-    if (!userName || typeof userName !== 'string') {
-      res.status(400).json({ error: 'Missing or invalid userName' });
+    if (patientMode !== undefined && !['llm', 'scripted'].includes(patientMode)) {
+      res.status(400).json({ error: "Invalid patientMode - must be 'llm' or 'scripted'" });
+      return;
+    }
+    
+    if (variantSeed !== undefined && (!Number.isInteger(variantSeed) || variantSeed < 0 || variantSeed > 0xffffffff)) {
+      res.status(400).json({ error: 'Invalid variantSeed - must be an integer from 0 to 4294967295' });
+      return;
+    }
+    
+    if (mode !== undefined && !['test', 'learning'].includes(mode)) {
+      res.status(400).json({ error: "Invalid mode - must be 'test' or 'learning'" });
+      return;
+    }
+    
+    if (guidanceLevel !== undefined && !['low', 'medium', 'high'].includes(guidanceLevel)) {
+      res.status(400).json({ error: "Invalid guidanceLevel - must be 'low', 'medium' or 'high'" });
       return;
     }
     
     // Sanitize inputs
     const safeCaseId = caseId.replace(/[^a-zA-Z0-9-]/g, '');
-    const safeUserName = userName.trim().substring(0, 100); // Limit length
     
     // Load case via A1 loader
     let caseData;
+    let caseVersion;
     try {
-      caseData = loadCase(safeCaseId);
+      ({ caseData, version: caseVersion } = loadCaseVersion(safeCaseId));
     } catch (error: any) {
+      // The case exists but is malformed - a content problem, not a bad request
+      if (error instanceof CaseValidationError) {
+        console.error(error.message);
+        res.status(500).json({ error: `Case ${safeCaseId} failed validation`, issues: error.issues });
+        return;
+      }
       res.status(404).json({ error: `Case not found: ${safeCaseId}` });
       return;
     }
@@ -68,26 +131,38 @@ export async function startSession(req: Request, res: Response): Promise<void> {
     // For now, we'll use the requested level even if it differs from case level
     
     // Create session
+    const sessionTimeLimitSec = timeLimitSec ? Math.min(Math.max(timeLimitSec, 60), 7200) : undefined; // 1 min to 2 hours
     const params: CreateSessionParams = {
       caseId: safeCaseId,
+      caseVersion,
       level: level as 1 | 2 | 3,
-      userName: safeUserName,
-      timeLimitSec: timeLimitSec ? Math.min(Math.max(timeLimitSec, 60), 7200) : undefined, // 1 min to 2 hours
-      maxTurns: maxTurns ? Math.min(Math.max(maxTurns, 1), 100) : undefined // 1 to 100 turns
+      userId: user.userId,
+      userName: user.displayName,
+      timeLimitSec: sessionTimeLimitSec,
+      maxTurns: maxTurns ? Math.min(Math.max(maxTurns, 1), 100) : undefined, // 1 to 100 turns
+      timeScale: typeof timeScale === 'number'
+        ? Math.min(Math.max(timeScale, MIN_TIME_SCALE), MAX_TIME_SCALE)
+        : getDefaultTimeScale(caseData, sessionTimeLimitSec ?? getCaseTimeLimit(caseData, level as 1 | 2 | 3)),
+      patientMode,
+      variantSeed,
+      mode,
+      guidanceLevel: mode === 'learning' ? guidanceLevel : undefined
     };
     
     const session = createSession(params, caseData);
     
-    // Generate optional intro line from patient
-    // This could be the patient's initial presentation
-    const introLine = `Hello, I'm ${caseData.patient.name}. ${caseData.patient.chiefComplaint}`;
-    
     // Return session info
+    const { name, age, sex, chiefComplaint, image } = session.case.patient;
     res.status(201).json({
       sessionId: session.sessionId,
+      caseId: caseData.caseId,
+      caseVersion,
+      variantSeed: session.variantSeed,
+      title: caseData.title,
+      patient: { name, age, sex, chiefComplaint, image },
       timeLimitSec: session.timeLimitSec,
       maxTurns: session.maxTurns,
-      introLine
+      introLine: getIntroLine(session)
     });
     
   } catch (error: any) {
@@ -114,12 +189,128 @@ export async function startSession(req: Request, res: Response): Promise<void> {
  *   currentTurn: number,
  *   maxTurns?: number,
  *   isActive: boolean,
- *   guidance?: { type: string, message: string } (only if mode is 'learning')
+ *   guidance?: { type: string, message: string } (only if mode is 'learning'),
+ *   outcome?: EncounterOutcome (present once the patient has deteriorated or the encounter ended)
  * }
+ * 
+ * If a critical deterioration ends the encounter, patientReply is null and isActive is false.
  */
 export async function sendMessage(req: Request, res: Response): Promise<void> {
   try {
-    const { sessionId, message, mode, guidanceLevel } = req.body;
+    const turn = loadMessageTurn(req, res);
+    if (!turn) {
+      return;
+    }
+    
+    const patientReply = await runMessageTurn(turn.session, turn.message);
+    const response = await buildTurnResponse(turn.session, turn.message, patientReply, turn.mode, turn.guidanceLevel);
+    saveSession(turn.session);
+    
+    res.json(response);
+    
+  } catch (error: any) {
+    console.error('Error sending message:', error);
+    
+    // Handle specific errors
+    if (error.message && error.message.includes('Session')) {
+      res.status(404).json({ error: error.message });
+      return;
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /session/message/stream
+ * Send a message to the patient and stream their reply over Server-Sent Events
+ * 
+ * Request body: same as POST /session/message
+ * 
+ * Events:
+ *   token   { text: string } - next piece of the patient's reply (a sentence at a time, each checked against the guardrails first)
+ *   replace { text: string } - the reply streamed so far was replaced (guardrail violation); show this instead
+ *   done    { ...same body as the POST /session/message response }
+ *   error   { error: string }
+ * 
+ * Validation errors are returned as JSON with a 4xx status before the stream starts.
+ */
+export async function sendMessageStream(req: Request, res: Response): Promise<void> {
+  const turn = loadMessageTurn(req, res);
+  if (!turn) {
+    return;
+  }
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  
+  const sendEvent = (event: string, data: any) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    let streamed = '';
+    const patientReply = await runMessageTurn(turn.session, turn.message, token => {
+      streamed += token;
+      sendEvent('token', { text: token });
+    });
+    
+    // The final reply differs from what was streamed when it was regenerated, replaced
+    // by a fallback, or never streamed at all (scripted patient)
+    if (patientReply !== null && patientReply !== streamed) {
+      if (patientReply.startsWith(streamed)) {
+        sendEvent('token', { text: patientReply.slice(streamed.length) });
+      } else {
+        sendEvent('replace', { text: patientReply });
+      }
+    }
+    
+    const response = await buildTurnResponse(turn.session, turn.message, patientReply, turn.mode, turn.guidanceLevel);
+    saveSession(turn.session);
+    
+    sendEvent('done', response);
+    
+  } catch (error: any) {
+    console.error('Error streaming message:', error);
+    sendEvent('error', { error: 'Internal server error' });
+  }
+  
+  res.end();
+}
+
+/**
+ * POST /session/action
+ * Place an order (exam, lab, imaging, EKG, medication, consult, procedure) and get its deterministic result
+ * 
+ * Request body:
+ * {
+ *   sessionId: string,
+ *   category: 'exam' | 'lab' | 'imaging' | 'ekg' | 'medication' | 'consult' | 'procedure',
+ *   item: string (e.g., "cardiovascular", "BMP", "Chest X-ray", "Aspirin 325mg"),
+ *   details?: any
+ * }
+ * 
+ * Response:
+ * {
+ *   result: string,
+ *   actionType: string (e.g., "ordered_bmp"),
+ *   order?: { orderId, category, item, status, orderedAt, completedAt?, result? } (diagnostic tests only),
+ *   actionRecorded: boolean,
+ *   scheduledEffects: Array<{ trigger: string, dueAtMinute: number }>,
+ *   isActive: boolean,
+ *   outcome?: EncounterOutcome
+ * }
+ * 
+ * Items in exam, lab, imaging and ekg must exist in the case; otherwise a 400 is returned
+ * with the items that are available in that category. Diagnostic tests return a pending
+ * order whose result is available from GET /session/results once its turnaround has elapsed.
+ */
+export async function recordSessionAction(req: Request, res: Response): Promise<void> {
+  try {
+    const { sessionId, category, item, details } = req.body;
     
     // Validate inputs
     if (!sessionId || typeof sessionId !== 'string') {
@@ -127,19 +318,19 @@ export async function sendMessage(req: Request, res: Response): Promise<void> {
       return;
     }
     
-    if (!message || typeof message !== 'string') {
-      res.status(400).json({ error: 'Missing or invalid message' });
+    if (!category || !ORDER_CATEGORIES.includes(category)) {
+      res.status(400).json({ error: `Invalid category - must be one of: ${ORDER_CATEGORIES.join(', ')}` });
       return;
     }
     
-    // Sanitize message (limit length, basic sanitization)
-    const sanitizedMessage = message.trim().substring(0, 2000); // Max 2000 chars
-    
-    if (!sanitizedMessage) {
-      res.status(400).json({ error: 'Message cannot be empty' });
+    if (!item || typeof item !== 'string' || !item.trim()) {
+      res.status(400).json({ error: 'Missing or invalid item' });
       return;
     }
     
+    // Sanitize item name
+    const sanitizedItem = item.trim().substring(0, 100);
+    
     // Get session
     const session = getSession(sessionId);
     if (!session) {
@@ -147,83 +338,70 @@ export async function sendMessage(req: Request, res: Response): Promise<void> {
       return;
     }
     
-    if (!session.isActive) {
-      res.status(400).json({ error: 'Session has ended' });
+    if (!checkSessionAccess(req, res, session, 'write')) {
       return;
     }
     
-    // Check max turns
-    if (session.maxTurns && session.currentTurn >= session.maxTurns) {
-      res.status(400).json({ error: 'Maximum turns reached' });
+    if (!session.isActive) {
+      res.status(400).json({ error: 'Session has ended' });
       return;
     }
     
-    // Append user message to session
-    appendMessage(sessionId, 'user', sanitizedMessage);
-    
-    // Generate patient reply using A1 patientEngine
-    let patientReply: string;
-    try {
-      patientReply = await generatePatientReply({
-        case: session.case,
-        level: session.level,
-        revealedFacts: session.revealedFacts,
-        conversationHistory: session.messages.slice(0, -1), // All messages except the one we just added
-        userInput: sanitizedMessage
+    // Validate the item against what this case defines
+    const orderCategory = category as OrderCategory;
+    const itemName = resolveOrderItem(session.case, orderCategory, sanitizedItem);
+    if (!itemName) {
+      res.status(400).json({
+        error: `"${sanitizedItem}" is not available in this case`,
+        available: buildOrderCatalog(session.case)[orderCategory]
       });
-    } catch (error: any) {
-      console.error('Error generating patient reply:', error?.message || error);
-      console.error('Stack:', error?.stack);
-      // Fallback response if LLM call fails
-      patientReply = "Sorry, can you repeat that? I didn't catch that.";
+      return;
     }
     
-    // Append patient reply to session
-    appendMessage(sessionId, 'assistant', patientReply);
-    
-    // Get updated session to check current turn
-    const updatedSession = getSession(sessionId);
-    if (!updatedSession) {
-      res.status(404).json({ error: 'Session not found' });
+    // Advance the patient's condition so results reflect the current state
+    updateClinicalState(session);
+    updateOrderResults(session);
+    
+    if (endEncounterIfRequired(session)) {
+      saveSession(session);
+      res.json({
+        result: session.outcome?.description || 'The patient has deteriorated.',
+        actionRecorded: false,
+        scheduledEffects: [],
+        isActive: false,
+        outcome: session.outcome
+      });
       return;
     }
     
-    // Generate guidance for learning mode
-    let guidance = null;
-    if (mode === 'learning') {
-      try {
-        guidance = await generateGuidance({
-          session: updatedSession,
-          caseData: updatedSession.case,
-          lastUserMessage: sanitizedMessage,
-          lastPatientReply: patientReply,
-          guidanceLevel: guidanceLevel || 'medium' // Default to medium if not specified
-        });
-      } catch (error: any) {
-        console.error('Error generating guidance:', error?.message || error);
-        // Don't fail the request if guidance generation fails
-        guidance = null;
-      }
-    }
+    // Perform the order and get its deterministic result
+    const actionType = getOrderActionType(orderCategory, itemName);
+    const { result, order } = performOrder(session, orderCategory, itemName);
     
-    const response: any = {
-      patientReply,
-      currentTurn: updatedSession.currentTurn || 0,
-      maxTurns: updatedSession.maxTurns,
-      isActive: updatedSession.isActive ?? false
-    };
+    // Record action in session
+    recordAction(sessionId, actionType, { category: orderCategory, item: itemName, details }, result);
     
-    // Add guidance if available
-    if (guidance) {
-      response.guidance = guidance;
-    }
+    // Schedule any case-defined treatment effects (e.g., pain easing after nitroglycerin)
+    const scheduledEffects = scheduleActionEffects(session, actionType);
+    endEncounterIfRequired(session);
+    saveSession(session);
     
-    res.json(response);
+    res.json({
+      result,
+      actionType,
+      order: order && formatOrder(order),
+      actionRecorded: true,
+      scheduledEffects: scheduledEffects.map(effect => ({
+        trigger: effect.trigger,
+        dueAtMinute: Math.round(effect.dueAtMinute * 10) / 10
+      })),
+      isActive: session.isActive,
+      outcome: session.outcome
+    });
     
   } catch (error: any) {
-    console.error('Error sending message:', error);
+    console.error('Error recording action:', error);
     
-    // Handle specific errors
     if (error.message && error.message.includes('Session')) {
       res.status(404).json({ error: error.message });
       return;
@@ -234,71 +412,95 @@ export async function sendMessage(req: Request, res: Response): Promise<void> {
 }
 
 /**
- * POST /session/action
- * Record an action and get deterministic result
+ * GET /session/catalog
+ * List what can be ordered in the session's case
  * 
- * Request body:
- * {
- *   sessionId: string,
- *   actionType: string,
- *   details?: any
- * }
+ * Query params:
+ *   sessionId: string
  * 
  * Response:
  * {
- *   result: string,
- *   actionRecorded: boolean
+ *   catalog: { exam: string[], lab: string[], imaging: string[], ekg: string[], medication: [], consult: [], procedure: string[] },
+ *   freeFormCategories: string[] (categories that accept any item name)
  * }
  */
-export async function recordSessionAction(req: Request, res: Response): Promise<void> {
+export function getOrderCatalog(req: Request, res: Response): void {
   try {
-    const { sessionId, actionType, details } = req.body;
+    const { sessionId } = req.query;
     
-    // Validate inputs
     if (!sessionId || typeof sessionId !== 'string') {
-      res.status(400).json({ error: 'Missing or invalid sessionId' });
+      res.status(400).json({ error: 'Missing or invalid sessionId query parameter' });
       return;
     }
     
-    if (!actionType || typeof actionType !== 'string') {
-      res.status(400).json({ error: 'Missing or invalid actionType' });
+    const session = getSession(sessionId as string);
+    if (!session) {
+      res.status(404).json({ error: 'Session not found or expired' });
       return;
     }
     
-    // Sanitize action type
-    const sanitizedActionType = actionType.trim().substring(0, 100);
+    if (!checkSessionAccess(req, res, session, 'read')) {
+      return;
+    }
     
-    // Get session
-    const session = getSession(sessionId);
+    res.json({
+      catalog: buildOrderCatalog(session.case),
+      freeFormCategories: FREE_FORM_CATEGORIES
+    });
+    
+  } catch (error: any) {
+    console.error('Error getting order catalog:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /session/results
+ * List the session's diagnostic orders with their results
+ * 
+ * Query params:
+ *   sessionId: string
+ * 
+ * Response:
+ * {
+ *   simulatedMinutes: number,
+ *   pending: Array<{ orderId, category, item, status, orderedAt, expectedAt }>,
+ *   completed: Array<{ orderId, category, item, status, orderedAt, completedAt, result }>
+ * }
+ */
+export function getOrderResults(req: Request, res: Response): void {
+  try {
+    const { sessionId } = req.query;
+    
+    if (!sessionId || typeof sessionId !== 'string') {
+      res.status(400).json({ error: 'Missing or invalid sessionId query parameter' });
+      return;
+    }
+    
+    const session = getSession(sessionId as string);
     if (!session) {
       res.status(404).json({ error: 'Session not found or expired' });
       return;
     }
     
-    if (!session.isActive) {
-      res.status(400).json({ error: 'Session has ended' });
+    if (!checkSessionAccess(req, res, session, 'read')) {
       return;
     }
     
-    // Process action and get deterministic result
-    const result = processAction(session, sanitizedActionType, details);
-    
-    // Record action in session
-    recordAction(sessionId, sanitizedActionType, details, result);
+    // Results come due on the simulated clock
+    updateClinicalState(session);
+    updateOrderResults(session);
+    endEncounterIfRequired(session);
+    saveSession(session);
     
     res.json({
-      result,
-      actionRecorded: true
+      simulatedMinutes: Math.round(getSimulatedMinutes(session) * 10) / 10,
+      pending: session.orders.filter(order => order.status === 'pending').map(formatOrder),
+      completed: session.orders.filter(order => order.status === 'completed').map(formatOrder)
     });
     
   } catch (error: any) {
-    console.error('Error recording action:', error);
-    
-    if (error.message && error.message.includes('Session')) {
-      res.status(404).json({ error: error.message });
-      return;
-    }
-    
+    console.error('Error getting order results:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 }
@@ -306,6 +508,7 @@ export async function recordSessionAction(req: Request, res: Response): Promise<
 /**
  * POST /session/end
  * End a session and record submitted diagnosis
+ * A submitted diagnosis is scored right away, so the attempt shows up in the user's progress.
  * 
  * Request body:
  * {
@@ -317,10 +520,12 @@ export async function recordSessionAction(req: Request, res: Response): Promise<
  * {
  *   success: boolean,
  *   sessionId: string,
- *   endedAt: number
+ *   endedAt: number,
+ *   outcome: EncounterOutcome,
+ *   summaryScore?: number (missing if scoring failed; GET /session/feedback retries it)
  * }
  */
-export function endSession(req: Request, res: Response): void {
+export async function endSession(req: Request, res: Response): Promise<void> {
   try {
     const { sessionId, diagnosis } = req.body;
     
@@ -337,9 +542,7 @@ export function endSession(req: Request, res: Response): void {
       return;
     }
     
-    // Check if session is already ended
-    if (!session.isActive) {
-      res.status(400).json({ error: 'Session has already ended' });
+    if (!checkSessionAccess(req, res, session, 'write')) {
       return;
     }
     
@@ -348,17 +551,38 @@ export function endSession(req: Request, res: Response): void {
       ? diagnosis.trim().substring(0, 500) // Max 500 chars
       : undefined;
     
+    // Check if session is already ended
+    // (a session ended by the simulation - time limit, patient outcome or abandonment - still accepts one diagnosis)
+    if (!session.isActive && (session.submittedDiagnosis || !sanitizedDiagnosis)) {
+      res.status(400).json({ error: 'Session has already ended' });
+      return;
+    }
+    
     // Mark session as ended with diagnosis
     markEnded(sessionId, sanitizedDiagnosis);
     
     // Get updated session to get end time
     const updatedSession = getSession(sessionId);
     
+    // Score the attempt now (a failure only delays it until feedback is asked for)
+    let summaryScore: number | undefined;
+    if (updatedSession && sanitizedDiagnosis) {
+      try {
+        const feedbackResult = await analyzeSession(updatedSession, loadSessionCase(updatedSession));
+        storeFeedback(sessionId, feedbackResult);
+        summaryScore = feedbackResult.summaryScore;
+      } catch (error: any) {
+        console.error(`Error scoring session ${sessionId}:`, error?.message || error);
+      }
+    }
+    
     res.json({
       success: true,
       sessionId,
       endedAt: updatedSession?.endedAt,
-      submittedDiagnosis: sanitizedDiagnosis
+      submittedDiagnosis: sanitizedDiagnosis,
+      outcome: updatedSession?.outcome,
+      summaryScore
     });
     
   } catch (error: any) {
@@ -373,9 +597,95 @@ export function endSession(req: Request, res: Response): void {
   }
 }
 
+/**
+ * GET /session/state
+ * Get what the simulation page needs to resume a session (e.g., after a page reload)
+ * 
+ * Query params:
+ *   sessionId: string
+ * 
+ * Response:
+ * {
+ *   sessionId: string,
+ *   caseId: string,
+ *   caseVersion: number,
+ *   level: number,
+ *   title: string,
+ *   patient: { name, age, sex, chiefComplaint, image? },
+ *   introLine: string,
+ *   mode: 'test' | 'learning',
+ *   guidanceLevel?: 'low' | 'medium' | 'high',
+ *   messages: Message[],
+ *   actions: SessionAction[],
+ *   orders: Array<{ orderId, category, item, status, orderedAt, expectedAt | completedAt, result }>,
+ *   currentTurn: number,
+ *   maxTurns?: number,
+ *   timeLimitSec?: number,
+ *   remainingSec?: number (time left before the time limit; 0 once it has passed),
+ *   isActive: boolean,
+ *   submittedDiagnosis?: string,
+ *   outcome?: EncounterOutcome
+ * }
+ */
+export function getSessionState(req: Request, res: Response): void {
+  try {
+    const { sessionId } = req.query;
+    
+    if (!sessionId || typeof sessionId !== 'string') {
+      res.status(400).json({ error: 'Missing or invalid sessionId query parameter' });
+      return;
+    }
+    
+    const session = getSession(sessionId as string);
+    if (!session) {
+      res.status(404).json({ error: 'Session not found or expired' });
+      return;
+    }
+    
+    if (!checkSessionAccess(req, res, session, 'read')) {
+      return;
+    }
+    
+    // Bring the clinical state and results up to date, as any other request would
+    updateClinicalState(session);
+    updateOrderResults(session);
+    endEncounterIfRequired(session);
+    saveSession(session);
+    
+    const elapsedSec = Math.floor(((session.endedAt ?? Date.now()) - session.createdAt) / 1000);
+    const { name, age, sex, chiefComplaint, image } = session.case.patient;
+    
+    res.json({
+      sessionId: session.sessionId,
+      caseId: session.caseId,
+      caseVersion: session.caseVersion,
+      level: session.level,
+      title: session.case.title,
+      patient: { name, age, sex, chiefComplaint, image },
+      introLine: getIntroLine(session),
+      mode: session.mode,
+      guidanceLevel: session.guidanceLevel,
+      messages: session.messages,
+      actions: session.actions,
+      orders: session.orders.map(formatOrder),
+      currentTurn: session.currentTurn,
+      maxTurns: session.maxTurns,
+      timeLimitSec: session.timeLimitSec,
+      remainingSec: session.timeLimitSec ? Math.max(0, session.timeLimitSec - elapsedSec) : undefined,
+      isActive: session.isActive,
+      submittedDiagnosis: session.submittedDiagnosis,
+      outcome: session.outcome
+    });
+    
+  } catch (error: any) {
+    console.error('Error getting session state:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 /**
  * GET /session/export
- * Export full session data for scoring/leaderboard
+ * Export full session data for review and scoring (rankings: GET /leaderboard)
  * 
  * Query params:
  *   sessionId: string
@@ -384,13 +694,20 @@ export function endSession(req: Request, res: Response): void {
  * {
  *   sessionId: string,
  *   caseId: string,
+ *   caseVersion: number,
+ *   variantSeed?: number,
  *   level: number,
+ *   userId: string,
  *   userName: string,
  *   messages: Message[],
  *   actions: SessionAction[],
  *   createdAt: number,
  *   endedAt?: number,
  *   durationSec?: number,
+ *   revealLog: RevealEvent[] (which history facts were revealed, when, and why),
+ *   guardrailViolations: GuardrailViolation[] (patient replies rejected by the guardrail checker),
+ *   clinicalState: ClinicalState,
+ *   simulatedMinutes: number,
  *   ... (full session object)
  * }
  */
@@ -409,6 +726,16 @@ export function exportSession(req: Request, res: Response): void {
       return;
     }
     
+    if (!checkSessionAccess(req, res, session, 'read')) {
+      return;
+    }
+    
+    // Bring the clinical state and results up to date before exporting them
+    updateClinicalState(session);
+    updateOrderResults(session);
+    endEncounterIfRequired(session);
+    saveSession(session);
+    
     // Calculate duration if session ended
     const durationSec = session.endedAt 
       ? Math.floor((session.endedAt - session.createdAt) / 1000)
@@ -418,11 +745,21 @@ export function exportSession(req: Request, res: Response): void {
     const exportData = {
       sessionId: session.sessionId,
       caseId: session.caseId,
+      caseVersion: session.caseVersion,
+      variantSeed: session.variantSeed,
       level: session.level,
+      userId: session.userId,
       userName: session.userName,
       messages: session.messages,
       actions: session.actions,
+      orders: session.orders,
       revealedFacts: session.revealedFacts,
+      revealLog: session.revealLog,
+      guardrailViolations: session.guardrailViolations,
+      clinicalState: session.clinicalState,
+      simulatedMinutes: Math.round(getSimulatedMinutes(session) * 10) / 10,
+      timeScale: session.timeScale,
+      patientMode: session.patientMode,
       createdAt: session.createdAt,
       updatedAt: session.updatedAt,
       endedAt: session.endedAt,
@@ -430,11 +767,13 @@ export function exportSession(req: Request, res: Response): void {
       currentTurn: session.currentTurn,
       maxTurns: session.maxTurns,
       isActive: session.isActive,
+      outcome: session.outcome,
       // Include case metadata (but not full case data to keep export smaller)
       caseMetadata: {
         caseId: session.case.caseId,
         title: session.case.title,
         specialty: session.case.specialty,
+        patient: { name: session.case.patient.name, age: session.case.patient.age, sex: session.case.patient.sex },
         diagnosis: session.case.diagnosis
       }
     };
@@ -457,7 +796,8 @@ export function exportSession(req: Request, res: Response): void {
  * Response:
  * {
  *   summaryScore: number,
- *   breakdown: { diagnosis, criticalActions, communication, efficiency },
+ *   breakdown: { diagnosis, criticalActions, communication, efficiency, safety },
+ *   safetyEvents: Array<{ action, severity, penalty, reason?, performed, atMinute? }>,
  *   whatWentWell: string[],
  *   missed: string[],
  *   redFlagsMissed: string[],
@@ -481,6 +821,10 @@ export async function getFeedback(req: Request, res: Response): Promise<void> {
       return;
     }
     
+    if (!checkSessionAccess(req, res, session, 'read')) {
+      return;
+    }
+    
     // Check if session is completed
     if (session.isActive) {
       res.status(400).json({ error: 'Session must be completed before getting feedback' });
@@ -493,12 +837,11 @@ export async function getFeedback(req: Request, res: Response): Promise<void> {
       return;
     }
     
-    // Load case data via A1 loader
     let caseData;
     try {
-      caseData = loadCase(session.caseId);
+      caseData = loadSessionCase(session);
     } catch (error: any) {
-      res.status(500).json({ error: `Failed to load case: ${session.caseId}` });
+      res.status(500).json({ error: `Failed to load case: ${session.caseId} version ${session.caseVersion}` });
       return;
     }
     
@@ -523,87 +866,259 @@ export async function getFeedback(req: Request, res: Response): Promise<void> {
 }
 
 /**
- * Process an action and return deterministic result
- * This handles physical exams, labs, imaging, treatments, etc.
+ * Validate a message request and load its session
+ * Sends the error response and returns null if the turn can't go ahead
  */
-function processAction(session: any, actionType: string, details?: any): string {
-  const { case: caseData, level, revealedFacts } = session;
+function loadMessageTurn(req: Request, res: Response): {
+  session: Session;
+  message: string;
+  mode?: string;
+  guidanceLevel?: GuidanceLevel;
+} | null {
+  const { sessionId, message, mode, guidanceLevel } = req.body;
   
-  // Normalize action type to lowercase for matching
-  const normalizedAction = actionType.toLowerCase();
+  // Validate inputs
+  if (!sessionId || typeof sessionId !== 'string') {
+    res.status(400).json({ error: 'Missing or invalid sessionId' });
+    return null;
+  }
   
-  // Physical exam actions
-  if (normalizedAction.includes('exam') || normalizedAction.includes('examine')) {
-    if (normalizedAction.includes('cardiac') || normalizedAction.includes('heart')) {
-      revealedFacts.physicalExam.push('cardiovascular');
-      const findings = caseData.physicalExam.cardiovascular?.[`level${level}` as 'level1' | 'level2' | 'level3'];
-      return findings || 'Cardiovascular exam: No murmurs, regular rhythm.';
-    }
-    if (normalizedAction.includes('respiratory') || normalizedAction.includes('lung')) {
-      revealedFacts.physicalExam.push('respiratory');
-      const findings = caseData.physicalExam.respiratory?.[`level${level}` as 'level1' | 'level2' | 'level3'];
-      return findings || 'Respiratory exam: Clear to auscultation bilaterally.';
-    }
-    if (normalizedAction.includes('abdominal') || normalizedAction.includes('abdomen')) {
-      revealedFacts.physicalExam.push('abdominal');
-      const findings = caseData.physicalExam.abdominal?.[`level${level}` as 'level1' | 'level2' | 'level3'];
-      return findings || 'Abdominal exam: Soft, non-tender, non-distended.';
-    }
-    // Generic exam
-    return `General exam performed. Patient appears as described in presentation.`;
+  if (!message || typeof message !== 'string') {
+    res.status(400).json({ error: 'Missing or invalid message' });
+    return null;
   }
   
-  // Vitals check
-  if (normalizedAction.includes('vital') || normalizedAction.includes('vitals')) {
-    const vitals = caseData.physicalExam.vitals[`level${level}` as 'level1' | 'level2' | 'level3'];
-    return `Vitals: BP ${vitals.BP}, HR ${vitals.HR} bpm, RR ${vitals.RR}/min, Temp ${vitals.temp}°C, O2 Sat ${vitals.O2}%`;
+  // Sanitize message (limit length, basic sanitization)
+  const sanitizedMessage = message.trim().substring(0, 2000); // Max 2000 chars
+  
+  if (!sanitizedMessage) {
+    res.status(400).json({ error: 'Message cannot be empty' });
+    return null;
   }
   
-  // Lab orders
-  if (normalizedAction.includes('order') || normalizedAction.includes('lab')) {
-    if (normalizedAction.includes('troponin')) {
-      revealedFacts.diagnostics.push('troponin');
-      if (caseData.diagnostics.labs?.results?.troponin) {
-        const result = caseData.diagnostics.labs.results.troponin[`level${level}` as 'level1' | 'level2' | 'level3'];
-        return `Troponin result: ${JSON.stringify(result)}`;
-      }
-      return 'Troponin ordered. Results pending...';
-    }
-    if (normalizedAction.includes('ekg') || normalizedAction.includes('ecg')) {
-      revealedFacts.diagnostics.push('ekg');
-      if (caseData.diagnostics.ekg) {
-        const result = caseData.diagnostics.ekg[`level${level}` as 'level1' | 'level2' | 'level3'];
-        return `EKG: ${result}`;
-      }
-      return 'EKG ordered. Results pending...';
-    }
-    return 'Lab test ordered. Results pending...';
+  // Get session
+  const session = getSession(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found or expired' });
+    return null;
   }
   
-  // Imaging orders
-  if (normalizedAction.includes('imaging') || normalizedAction.includes('xray') || normalizedAction.includes('ct')) {
-    if (caseData.diagnostics.imaging?.available && caseData.diagnostics.imaging.available.length > 0) {
-      const imagingType = caseData.diagnostics.imaging.available[0];
-      revealedFacts.diagnostics.push(imagingType);
-      if (caseData.diagnostics.imaging.results[imagingType]) {
-        const result = caseData.diagnostics.imaging.results[imagingType][`level${level}` as 'level1' | 'level2' | 'level3'];
-        return `${imagingType}: ${result}`;
-      }
-    }
-    return 'Imaging ordered. Results pending...';
+  if (!checkSessionAccess(req, res, session, 'write')) {
+    return null;
   }
   
-  // Treatment actions
-  if (normalizedAction.includes('give') || normalizedAction.includes('administer')) {
-    if (normalizedAction.includes('aspirin')) {
-      return 'Aspirin 325mg given. Patient reports feeling slightly better.';
-    }
-    if (normalizedAction.includes('nitro') || normalizedAction.includes('nitroglycerin')) {
-      return 'Nitroglycerin administered. Pain decreased.';
+  if (!session.isActive) {
+    res.status(400).json({ error: 'Session has ended' });
+    return null;
+  }
+  
+  // Check max turns
+  if (session.maxTurns && session.currentTurn >= session.maxTurns) {
+    res.status(400).json({ error: 'Maximum turns reached' });
+    return null;
+  }
+  
+  // Fall back to the mode the session was started in
+  return {
+    session,
+    message: sanitizedMessage,
+    mode: mode ?? session.mode,
+    guidanceLevel: guidanceLevel ?? session.guidanceLevel
+  };
+}
+
+/**
+ * Check that the signed-in user may use a session
+ * Learners only reach their own sessions; instructors and admins can also review
+ * (read, export, get feedback for) anyone's. Sends a 403 if not.
+ */
+function checkSessionAccess(req: Request, res: Response, session: Session, access: 'read' | 'write'): boolean {
+  const user = req.user;
+  const isOwner = user !== undefined && session.userId === user.userId;
+  const isReviewer = user !== undefined && (user.role === 'instructor' || user.role === 'admin');
+  
+  if (isOwner || (access === 'read' && isReviewer)) {
+    return true;
+  }
+  
+  res.status(403).json({ error: 'You do not have access to this session' });
+  return false;
+}
+
+/**
+ * Rebuild the exact case a session ran (its version and variant), so edits published
+ * since don't change its feedback
+ * 
+ * @throws Error if the case version can't be loaded
+ */
+function loadSessionCase(session: Session): MedicalCase {
+  const caseData = loadCase(session.caseId, session.caseVersion);
+  return session.variantSeed !== undefined ? applyCaseVariant(caseData, session.variantSeed) : caseData;
+}
+
+/**
+ * The patient's opening line (shown before the first message; not part of the transcript)
+ */
+function getIntroLine(session: Session): string {
+  const { name, chiefComplaint } = session.case.patient;
+  return `Hello, I'm ${name}. ${chiefComplaint}`;
+}
+
+/**
+ * Run one conversation turn: advance the clinical state, reveal the facts asked about,
+ * generate the patient's reply and record both messages
+ * 
+ * @param onToken - Streams the reply as it is generated
+ * @returns The patient's reply, or null if the patient's condition ended the encounter first
+ */
+async function runMessageTurn(
+  session: Session,
+  message: string,
+  onToken?: (token: string) => void
+): Promise<string | null> {
+  const { sessionId } = session;
+  
+  // Advance the patient's condition and pending results to the current simulated time
+  updateClinicalState(session);
+  updateOrderResults(session);
+  
+  // A critical deterioration ends the encounter before the patient can answer
+  if (endEncounterIfRequired(session)) {
+    return null;
+  }
+  
+  // Append user message to session
+  appendMessage(sessionId, 'user', message);
+  
+  // Reveal the history the learner asked about, per the case's revealRules
+  const revealEvents = revealFactsFromMessage(session, message, session.messages.length - 1);
+  
+  // Treatment responses that came due since the last reply (e.g., "I do feel a bit better")
+  const patientResponses = consumePatientResponses(session);
+  const prefix = patientResponses.length > 0 ? `${patientResponses.join(' ')} ` : '';
+  if (prefix && onToken) {
+    onToken(prefix);
+  }
+  
+  // Generate patient reply using A1 patientEngine
+  let patientReply: string;
+  try {
+    patientReply = await generatePatientReply({
+      case: session.case,
+      level: session.level,
+      revealedFacts: session.revealedFacts,
+      conversationHistory: session.messages.slice(0, -1), // All messages except the one we just added
+      userInput: message,
+      clinicalState: session.clinicalState,
+      mode: session.patientMode,
+      revealEvents,
+      onToken,
+      onGuardrailViolation: violation => recordGuardrailViolation(sessionId, {
+        ...violation,
+        messageIndex: session.messages.length // The reply is appended next
+      })
+    });
+  } catch (error: any) {
+    console.error('Error generating patient reply:', error?.message || error);
+    console.error('Stack:', error?.stack);
+    // Fallback response if LLM call fails
+    patientReply = "Sorry, can you repeat that? I didn't catch that.";
+  }
+  
+  patientReply = prefix + patientReply;
+  
+  // Append patient reply to session
+  appendMessage(sessionId, 'assistant', patientReply);
+  
+  return patientReply;
+}
+
+/**
+ * Build the response for a conversation turn (guidance in learning mode, outcome)
+ */
+async function buildTurnResponse(
+  session: Session,
+  message: string,
+  patientReply: string | null,
+  mode?: string,
+  guidanceLevel?: GuidanceLevel
+): Promise<any> {
+  // The patient's condition ended the encounter before they could answer
+  if (patientReply === null) {
+    return {
+      patientReply: null,
+      currentTurn: session.currentTurn,
+      maxTurns: session.maxTurns,
+      isActive: false,
+      outcome: session.outcome
+    };
+  }
+  
+  // Generate guidance for learning mode
+  let guidance = null;
+  if (mode === 'learning') {
+    try {
+      guidance = await generateGuidance({
+        session,
+        caseData: session.case,
+        lastUserMessage: message,
+        lastPatientReply: patientReply,
+        guidanceLevel: guidanceLevel || 'medium' // Default to medium if not specified
+      });
+    } catch (error: any) {
+      console.error('Error generating guidance:', error?.message || error);
+      // Don't fail the request if guidance generation fails
+      guidance = null;
     }
-    return 'Medication administered as ordered.';
   }
   
-  // Default response for unrecognized actions
-  return `Action "${actionType}" recorded.`;
+  const response: any = {
+    patientReply,
+    currentTurn: session.currentTurn || 0,
+    maxTurns: session.maxTurns,
+    isActive: session.isActive ?? false
+  };
+  
+  // Add guidance if available
+  if (guidance) {
+    response.guidance = guidance;
+  }
+  
+  // Let the client know when the patient's condition has changed course
+  if (session.outcome) {
+    response.outcome = session.outcome;
+  }
+  
+  return response;
+}
+
+/**
+ * End the encounter if the patient's outcome requires it (e.g., a critical deterioration)
+ * 
+ * @returns true if the session was ended by this call
+ */
+function endEncounterIfRequired(session: Session): boolean {
+  if (!session.isActive || !session.outcome?.endedEncounter) {
+    return false;
+  }
+  
+  markEnded(session.sessionId);
+  return true;
+}
+
+/**
+ * Shape a diagnostic order for API responses
+ * Pending orders show when their result is expected instead of a result.
+ */
+function formatOrder(order: DiagnosticOrder) {
+  return {
+    orderId: order.orderId,
+    category: order.category,
+    item: order.item,
+    status: order.status,
+    orderedAt: order.orderedAt,
+    ...(order.status === 'pending'
+      ? { expectedAt: order.expectedAt }
+      : { completedAt: order.completedAt, result: order.result })
+  };
 }
@@ -0,0 +1,195 @@
+/**
+ * Action Timeline
+ * Compares when each expected action was done with when it should have been done, and
+ * whether it came after the actions it depends on. Expectations come from the case's
+ * progression.actionPlan, or from its red flags when it has none.
+ *
+ * Times are simulated minutes (the case progression clock), like red flag time windows.
+ * Only actions ordered during the encounter count as done, as for red flags - naming an
+ * action in the submitted intervention shows on the timeline but earns no credit.
+ */
+
+import { Session } from '../models/session.types';
+import { MedicalCase, ActionPlanStep } from '../../../shared/types/case.types';
+import { matchesAction } from '../utils/actionMatching';
+import { getSimulatedMinutes } from '../services/clinicalStateEngine';
+
+export type ActionTimingStatus = 'on_time' | 'late' | 'done' | 'missed'; // done: no target time
+
+export interface ActionTimelineEntry {
+  id: string;
+  action: string;
+  targetMinute?: number; // When it should have been done by
+  performedAtMinute?: number; // When it was done (rounded to 0.1)
+  via?: 'order' | 'intervention'; // Ordered during the encounter, or only named in the submitted intervention (missed)
+  status: ActionTimingStatus;
+  credit: number; // 0-1: full on time, decaying to 0 at twice the target
+  expectedAfter: string[]; // Actions expected before this one
+  outOfOrder: string[]; // Of those, the ones that were done after this one
+}
+
+/**
+ * Build the action timeline for a session
+ *
+ * @param session - The session with its recorded actions
+ * @param caseData - The medical case with the expectations
+ * @returns One entry per expected action, in plan order
+ */
+export function buildActionTimeline(session: Session, caseData: MedicalCase): ActionTimelineEntry[] {
+  const steps = getPlanSteps(caseData);
+  const redFlags = caseData.progression?.redFlags ?? [];
+
+  const interventionText = session.submittedDiagnosis?.split(/[|]\s*[Ii]ntervention:/)[1]?.trim().toLowerCase() ?? '';
+
+  // When each step was done - the first matching action
+  const performed = new Map<string, number>();
+  for (const step of steps) {
+    const action = session.actions.find(candidate => matchesAction(candidate.actionType, step.action));
+    if (action) {
+      performed.set(step.id, getSimulatedMinutes(session, action.timestamp));
+    }
+  }
+
+  const actionNames = new Map(steps.map(step => [step.id, step.action]));
+
+  return steps.map(step => {
+    const doneAt = performed.get(step.id);
+    const targetMinute = step.targetMinute ??
+      redFlags.find(redFlag => sameAction(redFlag.action, step.action))?.timeWindow;
+    const expectedAfter = step.after ?? [];
+
+    let status: ActionTimingStatus = 'missed';
+    let credit = 0;
+    if (doneAt !== undefined) {
+      if (targetMinute === undefined) {
+        status = 'done';
+        credit = 1;
+      } else if (doneAt <= targetMinute) {
+        status = 'on_time';
+        credit = 1;
+      } else {
+        status = 'late';
+        credit = Math.max(0, 1 - (doneAt - targetMinute) / targetMinute);
+      }
+    }
+
+    // Prerequisites done after this step (ones never done are already missed, not out of order)
+    const outOfOrder = doneAt !== undefined
+      ? expectedAfter.filter(id => {
+          const before = performed.get(id);
+          return before !== undefined && before > doneAt;
+        })
+      : [];
+    const namedInIntervention = doneAt === undefined && interventionText !== '' && matchesAction(interventionText, step.action);
+
+    return {
+      id: step.id,
+      action: step.action,
+      ...(targetMinute !== undefined && { targetMinute }),
+      ...(doneAt !== undefined && { performedAtMinute: Math.round(doneAt * 10) / 10, via: 'order' as const }),
+      ...(namedInIntervention && { via: 'intervention' as const }),
+      status,
+      credit: Math.round(credit * 100) / 100,
+      expectedAfter: expectedAfter.map(id => actionNames.get(id) ?? id),
+      outOfOrder: outOfOrder.map(id => actionNames.get(id) ?? id)
+    };
+  });
+}
+
+/**
+ * Summarize a timeline as shares of the possible credit
+ *
+ * @returns timeliness: average credit (0-1); ordering: share of dependencies respected by
+ *          the actions that were done (0-1), or null if there is no order to judge. A dependency
+ *          on a step that was never done isn't counted - the missed step already costs timeliness.
+ */
+export function scoreActionTimeline(timeline: ActionTimelineEntry[]): { timeliness: number; ordering: number | null } {
+  const timeliness = timeline.length > 0
+    ? timeline.reduce((sum, entry) => sum + entry.credit, 0) / timeline.length
+    : 0;
+
+  const doneActions = new Set(timeline.filter(entry => entry.status !== 'missed').map(entry => entry.action));
+  const dependencies = timeline.filter(entry => entry.status !== 'missed')
+    .reduce((sum, entry) => sum + entry.expectedAfter.filter(action => doneActions.has(action)).length, 0);
+  const violations = timeline.reduce((sum, entry) => sum + entry.outOfOrder.length, 0);
+
+  // No dependencies between steps that were both done (or none in the plan): nothing to judge
+  const ordering = dependencies > 0 ? (dependencies - violations) / dependencies : null;
+
+  return { timeliness, ordering };
+}
+
+/**
+ * Check a case's action plan beyond what the schema can express
+ */
+export function checkActionPlan(caseData: MedicalCase): Array<{ path: string; message: string }> {
+  const issues: Array<{ path: string; message: string }> = [];
+  const plan = caseData.progression?.actionPlan;
+  if (!plan) {
+    return issues;
+  }
+
+  const ids = new Set<string>();
+  plan.steps.forEach((step, index) => {
+    if (ids.has(step.id)) {
+      issues.push({ path: `$.progression.actionPlan.steps[${index}].id`, message: `duplicates step id "${step.id}"` });
+    }
+    ids.add(step.id);
+  });
+
+  plan.steps.forEach((step, index) => {
+    (step.after ?? []).forEach((id, afterIndex) => {
+      if (!ids.has(id)) {
+        issues.push({ path: `$.progression.actionPlan.steps[${index}].after[${afterIndex}]`, message: `refers to unknown step "${id}"` });
+      }
+    });
+  });
+
+  // Dependencies must not loop (A after B after A)
+  const steps = getPlanSteps(caseData);
+  const visiting = new Set<string>();
+  const visited = new Set<string>();
+  const loops = (id: string): boolean => {
+    if (visiting.has(id)) return true;
+    if (visited.has(id)) return false;
+    visiting.add(id);
+    const found = (steps.find(step => step.id === id)?.after ?? []).some(loops);
+    visiting.delete(id);
+    visited.add(id);
+    return found;
+  };
+  const looping = steps.find(step => loops(step.id));
+  if (looping) {
+    issues.push({ path: '$.progression.actionPlan', message: `step dependencies form a loop (through "${looping.id}")` });
+  }
+
+  return issues;
+}
+
+/**
+ * The case's plan steps, with an ordered plan's sequence turned into dependencies
+ * Without a plan, every red flag is a step with no order.
+ */
+function getPlanSteps(caseData: MedicalCase): ActionPlanStep[] {
+  const plan = caseData.progression?.actionPlan;
+  if (!plan) {
+    return (caseData.progression?.redFlags ?? []).map((redFlag, index) => ({
+      id: `redFlag-${index}`,
+      action: redFlag.action
+    }));
+  }
+
+  return plan.steps.map((step, index) => ({
+    ...step,
+    after: plan.ordered && index > 0
+      ? [...new Set([plan.steps[index - 1].id, ...(step.after ?? [])])]
+      : step.after
+  }));
+}
+
+/**
+ * Whether a red flag and a plan step name the same action
+ */
+function sameAction(redFlagAction: string, stepAction: string): boolean {
+  return redFlagAction.toLowerCase() === stepAction.toLowerCase() || matchesAction(stepAction, redFlagAction);
+}
@@ -8,12 +8,9 @@
 
 import { Session } from '../models/session.types';
 import { MedicalCase } from '../../../shared/types/case.types';
-import { FeedbackResult } from './types';
-import { 
-  calculateScoringContext, 
-  getTimeLimit, 
-  getSessionDuration 
-} from './scoringRules';
+import { FeedbackResult, FeedbackCategory } from './types';
+import { calculateScoringContext } from './scoringRules';
+import { RUBRIC_CATEGORY_LABELS, SAFETY_CATEGORY_LABEL } from './rubric';
 import {
   generateWhatWentWell,
   generateMissed,
@@ -35,13 +32,42 @@ export async function analyzeSession(
   // Calculate all scores (diagnosis scoring is now async)
   const context = await calculateScoringContext(session, caseData);
   
-  // Calculate summary score (sum of all breakdown scores)
-  const summaryScore = Math.min(100, Math.round(
-    context.diagnosisScore +
-    context.criticalActionsScore +
-    context.communicationScore +
-    context.efficiencyScore
-  ));
+  // Score cards: the categories the rubric gives points to, then its extra items, then the
+  // safety penalty if there was one
+  const categoryScores = {
+    diagnosis: context.diagnosisCorrectnessScore || 0,
+    intervention: context.interventionScore || 0,
+    criticalActions: context.criticalActionsScore,
+    communication: context.communicationScore,
+    efficiency: context.efficiencyScore
+  };
+  const categories: FeedbackCategory[] = [
+    ...(Object.keys(RUBRIC_CATEGORY_LABELS) as Array<keyof typeof RUBRIC_CATEGORY_LABELS>)
+      .filter(category => context.maxScores[category] > 0)
+      .map(category => ({
+        id: category,
+        label: RUBRIC_CATEGORY_LABELS[category],
+        score: categoryScores[category],
+        maxScore: context.maxScores[category]
+      })),
+    ...context.rubricItems.map(({ item, met }) => ({
+      id: item.id,
+      label: item.label,
+      score: met ? item.points : 0,
+      maxScore: item.points
+    })),
+    ...(context.safetyScore < 0 ? [{
+      id: 'safety',
+      label: SAFETY_CATEGORY_LABEL,
+      score: context.safetyScore,
+      maxScore: 0
+    }] : [])
+  ];
+  
+  // Calculate summary score (points earned, less safety penalties, as a share of the rubric's total, 0-100)
+  const earned = categories.reduce((sum, category) => sum + category.score, 0);
+  const possible = categories.reduce((sum, category) => sum + category.maxScore, 0);
+  const summaryScore = possible > 0 ? Math.max(0, Math.min(100, Math.round(earned / possible * 100))) : 0;
   
   // Calculate timing information
   const timeLimit = context.timeLimit;
@@ -64,8 +90,15 @@ export async function analyzeSession(
       intervention: context.interventionScore || 0,
       criticalActions: context.criticalActionsScore,
       communication: context.communicationScore,
-      efficiency: context.efficiencyScore
+      efficiency: context.efficiencyScore,
+      safety: context.safetyScore
     },
+    categories,
+    diagnosisMatch: context.diagnosisMatch,
+    historyChecklist: context.historyChecklist,
+    interpersonal: context.interpersonal,
+    actionTimeline: context.actionTimeline,
+    safetyEvents: context.safetyEvents,
     timing: {
       timeLimitSec: timeLimit,
       actualDurationSec: duration,
@@ -79,6 +112,14 @@ export async function analyzeSession(
     solution: {
       primaryDiagnosis: caseData.diagnosis.primary,
       criticalActions: caseData.diagnosis.criticalActions
-    }
+    },
+    ...(context.outcome && {
+      outcome: {
+        status: context.outcome.status,
+        trigger: context.outcome.trigger,
+        description: context.outcome.description,
+        endedEncounter: context.outcome.endedEncounter
+      }
+    })
   };
 }
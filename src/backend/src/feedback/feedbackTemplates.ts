@@ -5,6 +5,22 @@
 
 import { ScoringContext } from './types';
 import { MedicalCase } from '../../../shared/types/case.types';
+import { InterpersonalCriterion } from '../utils/interpersonalRules';
+
+// Advice for an interpersonal skill the learner didn't show at all
+const INTERPERSONAL_TIPS: Record<InterpersonalCriterion, string> = {
+  introduction: `Start each encounter by introducing yourself with your name and role - it sets up trust before you ask personal questions.`,
+  openQuestions: `Open each topic with an open-ended question ("Tell me about the pain") before narrowing down, and avoid leading questions that suggest the answer.`,
+  summarizing: `Summarize what the patient has told you back to them ("So the pain started...") to check your understanding and let them correct you.`,
+  acknowledgesEmotion: `Acknowledge how the patient is feeling ("That sounds frightening") - patients share more when they feel heard.`,
+  plainLanguage: `Use plain language with patients - replace terms like "dyspnea" or "MI" with "trouble breathing" or "heart attack".`
+};
+
+// Communication score as a share of the rubric's communication points (null if the rubric doesn't score it)
+function communicationRatio(context: ScoringContext): number | null {
+  const maxScore = context.maxScores.communication;
+  return maxScore > 0 ? context.communicationScore / maxScore : null;
+}
 
 /**
  * Generate "What Went Well" items
@@ -16,9 +32,9 @@ export function generateWhatWentWell(
   const items: string[] = [];
   
   // Diagnosis
-  if (context.diagnosisScore >= 20) {
+  if (context.diagnosisMatch === 'primary') {
     items.push(`Correctly identified the primary diagnosis: ${caseData.diagnosis.primary}`);
-  } else if (context.diagnosisScore >= 10) {
+  } else if (context.diagnosisMatch === 'differential') {
     items.push(`Considered appropriate differential diagnoses in your clinical assessment`);
   }
   
@@ -36,12 +52,30 @@ export function generateWhatWentWell(
   }
   
   // Communication
-  if (context.communicationScore >= 15) {
+  const communication = communicationRatio(context);
+  if (communication !== null && communication >= 0.75) {
     items.push(`Demonstrated excellent history-taking and clinical communication skills`);
-  } else if (context.communicationScore >= 10) {
+  } else if (communication !== null && communication >= 0.5) {
     items.push(`Asked clinically relevant questions during the patient interview`);
   }
   
+  // Case-specific rubric items
+  for (const { item } of context.rubricItems.filter(result => result.met)) {
+    items.push(`Met rubric item: ${item.label}`);
+  }
+  
+  // Harmful management avoided
+  const harmfulActions = (caseData.diagnosis.avoidActions?.length ?? 0) + (caseData.diagnosis.contraindications?.length ?? 0);
+  if (harmfulActions > 0 && context.safetyEvents.length === 0) {
+    items.push(`Avoided harmful or contraindicated management`);
+  }
+  
+  // Time-critical actions done by their target minute
+  const onTime = context.actionTimeline.filter(entry => entry.status === 'on_time');
+  if (onTime.length > 0) {
+    items.push(`Done on target: ${onTime.map(entry => `${entry.action} (minute ${entry.performedAtMinute})`).join('; ')}`);
+  }
+  
   // Efficiency
   const timeUsedPercent = (context.duration / context.timeLimit) * 100;
   if (timeUsedPercent <= 75) {
@@ -65,18 +99,41 @@ export function generateMissed(
 ): string[] {
   const items: string[] = [];
   
+  // Harmful actions
+  for (const event of context.safetyEvents) {
+    items.push(`Safety event (${event.severity}, -${event.penalty} points): ${event.action}${event.reason ? ` - ${event.reason}` : ''}`);
+  }
+  
+  // Patient deterioration caused by mismanagement
+  for (const deterioration of context.deteriorations) {
+    items.push(`Patient deteriorated (${deterioration.severity}) at minute ${Math.round(deterioration.atMinute)}: ${deterioration.trigger}`);
+  }
+  
   // Missed critical actions
   for (const missedAction of context.missedCriticalActions) {
     items.push(`Missed critical intervention: ${missedAction}`);
   }
   
-  // Communication gaps
-  if (context.communicationScore < 10) {
-    items.push(`Incomplete history-taking - consider asking about pain characteristics (location, radiation, quality), past medical history (PMH), medications, and associated symptoms`);
+  // Case-specific rubric items
+  for (const { item } of context.rubricItems.filter(result => !result.met)) {
+    items.push(`Missed rubric item: ${item.label}`);
+  }
+  
+  // Expected actions done before the ones they depend on
+  for (const entry of context.actionTimeline.filter(entry => entry.outOfOrder.length > 0)) {
+    items.push(`Out of order: ${entry.action} came before ${entry.outOfOrder.join(' and ')}`);
+  }
+  
+  // History checklist items the learner never asked about
+  const notAsked = context.historyChecklist.filter(item => !item.covered);
+  if (notAsked.length > 0) {
+    const communication = communicationRatio(context);
+    const prefix = communication !== null && communication < 0.5 ? 'Incomplete history-taking - did not ask about' : 'Did not ask about';
+    items.push(`${prefix}: ${notAsked.map(item => item.label).join('; ')}`);
   }
   
   // Diagnosis
-  if (context.diagnosisScore === 0) {
+  if (context.diagnosisMatch === 'incorrect') {
     items.push(`Did not identify the correct primary diagnosis: ${caseData.diagnosis.primary}`);
   }
   
@@ -115,6 +172,33 @@ export function generateRecommendations(
     );
   }
   
+  // Patient outcome
+  if (context.outcome && context.outcome.status !== 'stable') {
+    const what = context.outcome.status === 'arrested' ? 'arrested' : 'deteriorated';
+    const trigger = context.outcome.trigger;
+    const causedByHarm = context.safetyEvents.some(event => trigger?.startsWith(event.action));
+    recommendations.push(
+      `The patient ${what}${trigger ? ` because of: ${trigger}` : ''}. ${causedByHarm ? 'Think through what could harm this patient before you order.' : 'Prioritize time-critical treatment before further workup.'}`
+    );
+  }
+  
+  // Harmful actions
+  for (const event of context.safetyEvents) {
+    if (event.source === 'contraindication') {
+      recommendations.push(
+        `${event.action} is contraindicated for this patient${event.reason ? ` - ${event.reason}` : ''}. Check allergies, medications and contraindications before every order.`
+      );
+    } else if (event.via === 'delay') {
+      recommendations.push(
+        `Never let a time-critical step slip: ${event.performed}. Order it as soon as the presentation calls for it.`
+      );
+    } else {
+      recommendations.push(
+        `Avoid "${event.action}" for patients presenting with ${caseData.patient.chiefComplaint.toLowerCase()} - it can cause harm. Review why before your next attempt.`
+      );
+    }
+  }
+  
   // Missed critical actions
   if (context.missedCriticalActions.length > 0) {
     const firstMissed = context.missedCriticalActions[0];
@@ -132,24 +216,40 @@ export function generateRecommendations(
     }
   }
   
+  // Expected actions done after their target minute
+  const late = context.actionTimeline.filter(entry => entry.status === 'late');
+  if (late.length > 0) {
+    recommendations.push(
+      `Act sooner on time-critical steps: ${late.map(entry => `${entry.action} at minute ${entry.performedAtMinute} (target: by minute ${entry.targetMinute})`).join('; ')}.`
+    );
+  }
+  
   // Communication
-  if (context.communicationScore < 10) {
+  const communication = communicationRatio(context);
+  if (communication !== null && communication < 0.5) {
     recommendations.push(
-      `Enhance your history-taking by systematically evaluating: pain characteristics (location, radiation, quality, severity), associated symptoms, past medical history (PMH), current medications, and allergies. This comprehensive approach improves diagnostic accuracy.`
+      `Enhance your history-taking by systematically covering: the history of present illness (onset, location, quality, radiation, severity, aggravating and relieving factors, associated symptoms), past medical history (PMH), current medications, allergies, and social and family history. This comprehensive approach improves diagnostic accuracy.`
     );
   }
   
+  // Interpersonal skills not shown at all
+  for (const criterion of context.interpersonal.criteria.filter(criterion => criterion.score === 0)) {
+    recommendations.push(INTERPERSONAL_TIPS[criterion.id]);
+  }
+  
   // Diagnosis
-  if (context.diagnosisScore < 15) {
+  if (context.diagnosisMatch !== 'primary') {
     recommendations.push(
       `Review the clinical presentation carefully. The primary diagnosis was ${caseData.diagnosis.primary}. Integrate the patient's history, physical examination findings, and diagnostic workup to reach the correct diagnosis.`
     );
   }
   
   // General encouragement if doing well
-  if (context.diagnosisScore >= 20 && 
+  if (context.diagnosisMatch === 'primary' && 
       context.missedCriticalActions.length === 0 && 
-      context.missedRedFlags.length === 0) {
+      context.missedRedFlags.length === 0 &&
+      context.deteriorations.length === 0 &&
+      context.safetyEvents.length === 0) {
     recommendations.push(
       `Excellent clinical performance! Continue to practice maintaining efficiency while ensuring comprehensive patient assessment and appropriate interventions.`
     );
@@ -0,0 +1,180 @@
+/**
+ * History Checklist
+ * Builds the history-taking checklist from the case's own content (HPI elements, PMH items,
+ * medications, allergies, social and family history, and the case's must-ask questions) and
+ * marks each item covered by the first learner message that asked about it
+ */
+
+import { Session, HistoryDomain } from '../models/session.types';
+import { MedicalCase } from '../../../shared/types/case.types';
+import { classifyMessage } from '../services/factRevealer';
+
+export type ChecklistDomain = HistoryDomain | 'mustAsk';
+
+export interface HistoryChecklistItem {
+  id: string; // e.g., "hpi:radiation", "pmh:0", "socialHistory:smoking", "mustAsk:recent-travel"
+  domain: ChecklistDomain;
+  label: string;
+  covered: boolean;
+  messageIndex?: number; // Index in session.messages of the learner message that covered it
+}
+
+// HPI elements: included when the case's HPI describes them, covered when the learner asks about them
+const HPI_ELEMENTS: Array<{ id: string; label: string; described: RegExp; asked: RegExp }> = [
+  {
+    id: 'onset',
+    label: 'Onset',
+    described: /\b(started|began|begun|onset|ago|sudden(ly)?|since)\b/,
+    asked: /\b(when did|start(ed)?|began|how long|since when|onset|sudden(ly)?|come on)\b/
+  },
+  {
+    id: 'location',
+    label: 'Location',
+    described: /\b(substernal|retrosternal|epigastric|chest|abdomen|abdominal|head|back|flank|throat|ear|leg|arm)\b/,
+    asked: /\b(where|location|point to|which part|which side)\b/
+  },
+  {
+    id: 'quality',
+    label: 'Quality',
+    described: /\b(describes?|like a|sharp|dull|pressure|heavy|burning|stabbing|tight(ness)?|crushing|aching|throbbing|cramping)\b/,
+    asked: /\b(describe|feel like|what kind|what type|kind of pain|type of pain|quality|sharp|dull|pressure|burning)\b/
+  },
+  {
+    id: 'radiation',
+    label: 'Radiation',
+    described: /\b(radiat\w*|spreads?|moves? to)\b/,
+    asked: /\b(radiat\w*|spread\w*|go anywhere|move anywhere|anywhere else)\b/
+  },
+  {
+    id: 'severity',
+    label: 'Severity',
+    described: /\b(severe|mild|moderate|worst|\d+\s*\/\s*10|out of (10|ten))\b/,
+    asked: /\b(how bad|severe|severity|scale|out of (10|ten)|rate (it|the))\b/
+  },
+  {
+    id: 'modifyingFactors',
+    label: 'Aggravating and relieving factors',
+    described: /\b(worse|better|reliev\w*|relief|tried|aggravat\w*|exertion)\b/,
+    asked: /\b(worse|better|reliev\w*|relief|helps?|tried anything|aggravat\w*|makes? it)\b/
+  },
+  {
+    id: 'associatedSymptoms',
+    label: 'Associated symptoms',
+    described: /\b(associated|accompanied|nausea|vomit\w*|shortness of breath|sweat\w*|diaphore\w*|fever|cough|dizz\w*|denies)\b/,
+    asked: /\b(other symptoms|any other|nausea|vomit\w*|short(ness)? of breath|breath(ing|less)?|sweat\w*|fever|cough|dizz\w*|associated)\b/
+  }
+];
+
+// Social history topic labels (keys match MedicalHistory.socialHistory)
+const SOCIAL_TOPIC_LABELS: Record<string, string> = {
+  smoking: 'Smoking',
+  alcohol: 'Alcohol use',
+  drugs: 'Recreational drug use',
+  occupation: 'Occupation',
+  livingSituation: 'Living situation'
+};
+
+/**
+ * Build the case's history checklist and mark what the learner asked about
+ *
+ * @param session - The session (only learner messages count - facts the case reveals
+ *                  unprompted or the patient volunteers are not covered)
+ * @param caseData - The medical case the checklist is built from
+ * @returns Checklist items in the order a history is usually taken
+ */
+export function buildHistoryChecklist(session: Session, caseData: MedicalCase): HistoryChecklistItem[] {
+  const { history } = caseData;
+  const hpi = history.hpi.toLowerCase();
+
+  // What each learner message asks about, with its index in session.messages
+  const questions = session.messages
+    .map((message, index) => ({ message, index }))
+    .filter(({ message }) => message.role === 'user')
+    .map(({ message, index }) => {
+      const text = message.content.toLowerCase();
+      return { index, text, classification: classifyMessage(caseData, message.content) };
+    });
+
+  const firstAsked = (asked: (question: typeof questions[number]) => boolean): number | undefined =>
+    questions.find(asked)?.index;
+
+  const items: Array<Omit<HistoryChecklistItem, 'covered'>> = [];
+
+  // HPI elements the case describes
+  for (const element of HPI_ELEMENTS.filter(element => element.described.test(hpi))) {
+    items.push({
+      id: `hpi:${element.id}`,
+      domain: 'hpi',
+      label: `HPI: ${element.label}`,
+      messageIndex: firstAsked(question => element.asked.test(question.text))
+    });
+  }
+
+  // Past medical history - a general question covers every condition, otherwise ask by name
+  history.pmh.forEach((condition, index) => {
+    items.push({
+      id: `pmh:${index}`,
+      domain: 'pmh',
+      label: `Past medical history: ${condition}`,
+      messageIndex: firstAsked(({ classification }) =>
+        classification.generalPmh || classification.conditions.includes(condition))
+    });
+  });
+
+  // Medications and allergies - covered by asking about the domain
+  history.medications.forEach((medication, index) => {
+    items.push({
+      id: `medications:${index}`,
+      domain: 'medications',
+      label: `Medication: ${medication}`,
+      messageIndex: firstAsked(({ classification }) => classification.domains.includes('medications'))
+    });
+  });
+  history.allergies.forEach((allergy, index) => {
+    items.push({
+      id: `allergies:${index}`,
+      domain: 'allergies',
+      label: `Allergy: ${allergy}`,
+      messageIndex: firstAsked(({ classification }) => classification.domains.includes('allergies'))
+    });
+  });
+
+  // Social history - each topic the case fills in
+  for (const topic of Object.keys(SOCIAL_TOPIC_LABELS)) {
+    if (!(history.socialHistory as Record<string, string | undefined>)[topic]) {
+      continue;
+    }
+    items.push({
+      id: `socialHistory:${topic}`,
+      domain: 'socialHistory',
+      label: `Social history: ${SOCIAL_TOPIC_LABELS[topic]}`,
+      messageIndex: firstAsked(({ classification }) => classification.socialTopics.includes(topic))
+    });
+  }
+
+  // Family history
+  if (history.familyHistory) {
+    items.push({
+      id: 'familyHistory',
+      domain: 'familyHistory',
+      label: 'Family history',
+      messageIndex: firstAsked(({ classification }) => classification.domains.includes('familyHistory'))
+    });
+  }
+
+  // Case-authored must-ask questions
+  for (const mustAsk of history.mustAsk ?? []) {
+    const keywords = mustAsk.keywords.map(keyword => keyword.toLowerCase());
+    items.push({
+      id: `mustAsk:${mustAsk.id}`,
+      domain: 'mustAsk',
+      label: mustAsk.question,
+      messageIndex: firstAsked(question => keywords.some(keyword => question.text.includes(keyword)))
+    });
+  }
+
+  return items.map(item => ({
+    ...item,
+    covered: item.messageIndex !== undefined
+  }));
+}
@@ -4,5 +4,10 @@
  */
 
 export { analyzeSession } from './analyzeSession';
-export { FeedbackResult, ScoringContext } from './types';
-export { TIME_LIMITS, getTimeLimit, getSessionDuration } from './scoringRules';
+export { FeedbackResult, FeedbackCategory, DiagnosisMatch, InterpersonalEvaluation, ScoringContext } from './types';
+export { getTimeLimit, getSessionDuration } from './scoringRules';
+export { HistoryChecklistItem, buildHistoryChecklist } from './historyChecklist';
+export { evaluateInterpersonalSkills } from './interpersonalSkills';
+export { ActionTimelineEntry, buildActionTimeline, checkActionPlan } from './actionTimeline';
+export { SafetyEvent, detectSafetyEvents } from './safetyEvents';
+export { TIME_LIMITS, DEFAULT_RUBRIC_WEIGHTS, DEFAULT_SAFETY_PENALTIES, resolveRubric, getCaseTimeLimit, checkCaseRubric } from './rubric';
@@ -0,0 +1,167 @@
+/**
+ * Interpersonal Skills
+ * Grades the learner's interpersonal skills against the rubric in utils/interpersonalRules
+ * through the LLM provider, with every score citing the transcript messages that support it.
+ * Falls back to the deterministic rules when the provider fails or its answer can't be used.
+ * The result's source says which graded it - the offline provider grades with the rules too.
+ */
+
+import { Session } from '../models/session.types';
+import { MedicalCase } from '../../../shared/types/case.types';
+import { InterpersonalEvaluation } from './types';
+import {
+  InterpersonalCriterion,
+  InterpersonalRating,
+  INTERPERSONAL_CRITERIA,
+  INTERPERSONAL_MAX_RATING,
+  rateInterpersonalSkills
+} from '../utils/interpersonalRules';
+import { LLMProvider, getLLMProvider } from '../services/llmProvider';
+
+/**
+ * Evaluate the learner's interpersonal skills
+ *
+ * @param session - The session whose transcript is graded
+ * @param caseData - The medical case (context for the provider)
+ * @returns Per-criterion scores with the message indices they cite
+ */
+export async function evaluateInterpersonalSkills(
+  session: Session,
+  caseData: MedicalCase
+): Promise<InterpersonalEvaluation> {
+  const learnerIndices = new Set(
+    session.messages.map((message, index) => (message.role === 'user' ? index : -1)).filter(index => index >= 0)
+  );
+
+  const provider = getLLMProvider();
+  let ratings: InterpersonalRating[] | null = null;
+  let source: InterpersonalEvaluation['source'] = provider.deterministic ? 'rules' : 'llm';
+
+  if (learnerIndices.size > 0) {
+    ratings = await rateWithLLM(provider, session, caseData, learnerIndices);
+  }
+  if (!ratings) {
+    ratings = rateInterpersonalSkills(session.messages);
+    source = 'rules';
+  }
+
+  const criteria = ratings.map(rating => ({
+    ...rating,
+    label: INTERPERSONAL_CRITERIA[rating.id].label,
+    maxScore: INTERPERSONAL_MAX_RATING
+  }));
+
+  return {
+    source,
+    score: criteria.reduce((sum, criterion) => sum + criterion.score, 0),
+    maxScore: criteria.length * INTERPERSONAL_MAX_RATING,
+    criteria
+  };
+}
+
+/**
+ * Ask the provider to grade the transcript
+ *
+ * @returns Ratings in INTERPERSONAL_CRITERIA order, or null if the provider failed or
+ *          answered with anything other than a complete, evidence-backed rating
+ */
+async function rateWithLLM(
+  provider: LLMProvider,
+  session: Session,
+  caseData: MedicalCase,
+  learnerIndices: Set<number>
+): Promise<InterpersonalRating[] | null> {
+  const rubric = (Object.keys(INTERPERSONAL_CRITERIA) as InterpersonalCriterion[])
+    .map(id => `- ${id}: ${INTERPERSONAL_CRITERIA[id].description}`)
+    .join('\n');
+  const transcript = session.messages
+    .map((message, index) => `[${index}] ${message.role === 'user' ? 'Student' : 'Patient'}: ${message.content}`)
+    .join('\n');
+
+  const systemPrompt = `You are a clinical communication examiner grading a medical student's interpersonal skills in a simulated patient encounter.
+
+Rate the STUDENT's messages on each criterion from 0 to ${INTERPERSONAL_MAX_RATING}:
+${rubric}
+
+0 = not shown, 1 = partly shown, ${INTERPERSONAL_MAX_RATING} = clearly shown.
+Every score above 0 must cite the bracketed indices of the student messages that support it. Only cite student messages.
+
+Respond with JSON only, in this format:
+{"criteria": [{"id": "introduction", "score": 2, "evidence": [0], "rationale": "one short sentence"}, ...]}`;
+
+  const userPrompt = `Case: ${caseData.title}
+Patient: ${caseData.patient.age}-year-old presenting with ${caseData.patient.chiefComplaint.toLowerCase()}
+
+Transcript:
+${transcript}`;
+
+  try {
+    const response = await provider.complete({
+      task: 'interpersonal_evaluation',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      context: { caseData, session },
+      temperature: 0.1, // Low temperature for consistent evaluation
+      maxTokens: 600
+    });
+
+    const ratings = parseRatings(response, learnerIndices);
+    if (!ratings) {
+      console.warn(`[Interpersonal Scoring] Could not use LLM result, using rules: "${response.slice(0, 200)}"`);
+    }
+    return ratings;
+  } catch (error: any) {
+    console.error(`LLM provider (${provider.name}) error in interpersonal evaluation:`, error?.message || error);
+    return null; // Return null to trigger fallback
+  }
+}
+
+/**
+ * Parse and check the provider's JSON answer
+ * Evidence that doesn't point at a learner message is dropped; a score above 0 left with no
+ * evidence makes the whole answer unusable.
+ */
+function parseRatings(response: string, learnerIndices: Set<number>): InterpersonalRating[] | null {
+  const json = response.match(/\{[\s\S]*\}/)?.[0];
+  if (!json) {
+    return null;
+  }
+
+  let parsed: any;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed?.criteria)) {
+    return null;
+  }
+
+  const ratings: InterpersonalRating[] = [];
+  for (const id of Object.keys(INTERPERSONAL_CRITERIA) as InterpersonalCriterion[]) {
+    const entry = parsed.criteria.find((candidate: any) => candidate?.id === id);
+    const score = entry?.score;
+    if (!Number.isInteger(score) || score < 0 || score > INTERPERSONAL_MAX_RATING) {
+      return null;
+    }
+
+    const evidence: number[] = Array.isArray(entry.evidence)
+      ? [...new Set<number>(entry.evidence.filter((index: unknown) => Number.isInteger(index) && learnerIndices.has(index as number)))]
+        .sort((a, b) => a - b)
+      : [];
+    if (score > 0 && evidence.length === 0) {
+      return null;
+    }
+
+    ratings.push({
+      id,
+      score,
+      evidence,
+      rationale: typeof entry.rationale === 'string' ? entry.rationale.trim() : ''
+    });
+  }
+
+  return ratings;
+}
@@ -0,0 +1,129 @@
+/**
+ * Scoring Rubric
+ * Resolves a case's rubric (category weights, partial credit, time limits, extra items)
+ * against the defaults, and scores the rubric's extra items
+ */
+
+import { Session } from '../models/session.types';
+import { MedicalCase, RubricCategory, RubricItem, SafetySeverity } from '../../../shared/types/case.types';
+import { matchesAction } from '../utils/actionMatching';
+
+// Points per category when the case doesn't set them (100 in total)
+export const DEFAULT_RUBRIC_WEIGHTS: Record<RubricCategory, number> = {
+  diagnosis: 20, // Diagnosis correctness
+  intervention: 5, // Intervention appropriateness
+  criticalActions: 25,
+  communication: 20,
+  efficiency: 30
+};
+
+// Share of the points for a partly right answer
+export const DEFAULT_PARTIAL_CREDIT = {
+  differentialDiagnosis: 0.6, // A differential instead of the primary diagnosis (12 of 20 points)
+  intervention: 0.6 // A partially appropriate intervention (3 of 5 points)
+};
+
+// Points taken off the total per safety event - a major event costs more than missing
+// several critical actions (25 points spread over the case's critical actions)
+export const DEFAULT_SAFETY_PENALTIES: Record<SafetySeverity, number> = {
+  minor: 5,
+  major: 15,
+  critical: 30
+};
+
+// Time limits per level (in seconds)
+export const TIME_LIMITS = {
+  1: 5 * 60,   // 5 minutes = 300 seconds
+  2: 7 * 60,   // 7 minutes = 420 seconds
+  3: 10 * 60   // 10 minutes = 600 seconds
+};
+
+// Category order and labels in feedback
+export const RUBRIC_CATEGORY_LABELS: Record<RubricCategory, string> = {
+  diagnosis: 'Diagnosis',
+  intervention: 'Intervention',
+  criticalActions: 'Critical Actions',
+  communication: 'Communication',
+  efficiency: 'Efficiency'
+};
+
+// Label of the score card for safety penalties (shown after the categories and items)
+export const SAFETY_CATEGORY_LABEL = 'Patient Safety';
+
+export interface ResolvedRubric {
+  weights: Record<RubricCategory, number>;
+  partialCredit: typeof DEFAULT_PARTIAL_CREDIT;
+  items: RubricItem[];
+  safetyPenalties: Record<SafetySeverity, number>;
+}
+
+/**
+ * A case's rubric with the defaults filled in
+ */
+export function resolveRubric(caseData: MedicalCase): ResolvedRubric {
+  const rubric = caseData.rubric;
+
+  return {
+    weights: { ...DEFAULT_RUBRIC_WEIGHTS, ...rubric?.weights },
+    partialCredit: { ...DEFAULT_PARTIAL_CREDIT, ...rubric?.partialCredit },
+    items: rubric?.items ?? [],
+    safetyPenalties: { ...DEFAULT_SAFETY_PENALTIES, ...rubric?.safetyPenalties }
+  };
+}
+
+/**
+ * Time limit for a case at a level: the rubric's, or the level default
+ */
+export function getCaseTimeLimit(caseData: MedicalCase, level: 1 | 2 | 3): number {
+  return caseData.rubric?.timeLimits?.[level] ?? TIME_LIMITS[level];
+}
+
+/**
+ * Check which of the rubric's extra items the session met
+ * An item is met by a performed action (or one named in the submitted intervention),
+ * or by the learner saying one of its keywords.
+ */
+export function scoreRubricItems(session: Session, items: RubricItem[]): Array<{ item: RubricItem; met: boolean }> {
+  const learnerText = session.messages
+    .filter(message => message.role === 'user')
+    .map(message => message.content.toLowerCase())
+    .join(' ');
+  const interventionText = session.submittedDiagnosis?.split(/[|]\s*[Ii]ntervention:/)[1]?.trim().toLowerCase() ?? '';
+
+  return items.map(item => {
+    const actionMet = (item.actions ?? []).some(expected =>
+      session.actions.some(action => matchesAction(action.actionType, expected)) ||
+      (interventionText !== '' && matchesAction(interventionText, expected))
+    );
+    const keywordMet = (item.keywords ?? []).some(keyword => learnerText.includes(keyword.toLowerCase()));
+
+    return { item, met: actionMet || keywordMet };
+  });
+}
+
+/**
+ * Check a case's rubric beyond what the schema can express
+ */
+export function checkCaseRubric(caseData: MedicalCase): Array<{ path: string; message: string }> {
+  const issues: Array<{ path: string; message: string }> = [];
+  if (!caseData.rubric) {
+    return issues;
+  }
+
+  const seen = new Set<string>();
+  (caseData.rubric.items ?? []).forEach((item, index) => {
+    if (seen.has(item.id)) {
+      issues.push({ path: `$.rubric.items[${index}].id`, message: `duplicates item id "${item.id}"` });
+    }
+    seen.add(item.id);
+  });
+
+  const { weights, items } = resolveRubric(caseData);
+  const totalPoints = Object.values(weights).reduce((sum, points) => sum + points, 0) +
+    items.reduce((sum, item) => sum + item.points, 0);
+  if (totalPoints === 0) {
+    issues.push({ path: '$.rubric', message: 'awards no points - give a category a weight or add an item' });
+  }
+
+  return issues;
+}
@@ -0,0 +1,124 @@
+/**
+ * Safety Events
+ * Checks the session's actions and submitted intervention against the case's harmful
+ * actions (diagnosis.avoidActions and diagnosis.contraindications). Each match is a safety
+ * event that takes points off the total - more than an omission costs.
+ */
+
+import { Session } from '../models/session.types';
+import { MedicalCase, SafetySeverity } from '../../../shared/types/case.types';
+import { ActionTimelineEntry } from './actionTimeline';
+import { matchesAction, matchesHarmfulAction } from '../utils/actionMatching';
+import { getSimulatedMinutes } from '../services/clinicalStateEngine';
+
+export interface SafetyEvent {
+  action: string; // The case's harmful action (e.g., "Give NSAIDs")
+  source: 'avoidAction' | 'contraindication';
+  severity: SafetySeverity;
+  penalty: number; // Points taken off the total
+  reason?: string; // Why it's harmful to this patient (contraindications)
+  performed: string; // What the learner did (e.g., "gave ibuprofen")
+  via: 'order' | 'intervention' | 'delay'; // Ordered, named in the submitted intervention, or a time-critical action done late
+  atMinute?: number; // Simulated minute it happened (rounded to 0.1)
+}
+
+// Avoid actions that are about timing rather than doing something (e.g., "Delay EKG")
+const DELAY_PATTERN = /^(?:delay(?:ed|ing)?|withhold(?:ing)?)\s+(?:in\s+|of\s+)?(.+)$/i;
+
+// Severity of an avoid action (the case only lists them)
+const AVOID_ACTION_SEVERITY: SafetySeverity = 'major';
+
+/**
+ * Find the safety events in a session
+ *
+ * @param session - The session with its recorded actions and submitted intervention
+ * @param caseData - The medical case with the harmful actions
+ * @param timeline - The session's action timeline (judges "Delay ..." avoid actions)
+ * @param penalties - Points taken off per event, by severity (from the case rubric)
+ * @returns At most one event per harmful action, in case order (contraindications first)
+ */
+export function detectSafetyEvents(
+  session: Session,
+  caseData: MedicalCase,
+  timeline: ActionTimelineEntry[],
+  penalties: Record<SafetySeverity, number>
+): SafetyEvent[] {
+  const contraindications = caseData.diagnosis.contraindications ?? [];
+  const interventionText = session.submittedDiagnosis?.split(/[|]\s*[Ii]ntervention:/)[1]?.trim() ?? '';
+  const endMinute = getSimulatedMinutes(session, session.endedAt ?? Date.now());
+  const round = (minute: number) => Math.round(minute * 10) / 10;
+
+  // How the learner carried out a harmful action, if they did
+  const findPerformed = (harmfulAction: string): Pick<SafetyEvent, 'performed' | 'via' | 'atMinute'> | null => {
+    const action = session.actions.find(candidate => matchesHarmfulAction(candidate.actionType, harmfulAction));
+    if (action) {
+      return {
+        performed: action.actionType.replace(/_/g, ' '),
+        via: 'order',
+        atMinute: round(getSimulatedMinutes(session, action.timestamp))
+      };
+    }
+    if (interventionText && matchesHarmfulAction(interventionText, harmfulAction)) {
+      return { performed: `Submitted intervention: ${interventionText}`, via: 'intervention', atMinute: round(endMinute) };
+    }
+    return null;
+  };
+
+  const events: SafetyEvent[] = [];
+
+  for (const contraindication of contraindications) {
+    const performed = findPerformed(contraindication.action);
+    if (!performed) continue;
+
+    const severity = contraindication.severity ?? 'major';
+    events.push({
+      action: contraindication.action,
+      source: 'contraindication',
+      severity,
+      penalty: penalties[severity],
+      reason: contraindication.reason,
+      ...performed
+    });
+  }
+
+  for (const avoidAction of caseData.diagnosis.avoidActions ?? []) {
+    // A contraindication for the same action already counted it
+    if (contraindications.some(contraindication => contraindication.action.toLowerCase() === avoidAction.toLowerCase())) {
+      continue;
+    }
+
+    const delayed = avoidAction.match(DELAY_PATTERN)?.[1];
+    const performed = delayed ? findDelayed(delayed, timeline) : findPerformed(avoidAction);
+    if (!performed) continue;
+
+    events.push({
+      action: avoidAction,
+      source: 'avoidAction',
+      severity: AVOID_ACTION_SEVERITY,
+      penalty: penalties[AVOID_ACTION_SEVERITY],
+      ...performed
+    });
+  }
+
+  return events;
+}
+
+/**
+ * A "Delay ..." avoid action happened if the time-critical action it names was done after
+ * its target minute, or never done. Without a target for the action there's nothing to judge.
+ */
+function findDelayed(
+  delayedAction: string,
+  timeline: ActionTimelineEntry[]
+): Pick<SafetyEvent, 'performed' | 'via' | 'atMinute'> | null {
+  const entry = timeline.find(candidate =>
+    candidate.targetMinute !== undefined && matchesAction(candidate.action, delayedAction)
+  );
+  if (!entry || (entry.status !== 'late' && entry.status !== 'missed')) {
+    return null;
+  }
+
+  return entry.status === 'late'
+    ? { performed: `${entry.action} at minute ${entry.performedAtMinute} (target: by minute ${entry.targetMinute})`, via: 'delay', atMinute: entry.performedAtMinute }
+    : { performed: `${entry.action} never done (target: by minute ${entry.targetMinute})`, via: 'delay' };
+}
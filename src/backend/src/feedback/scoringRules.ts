@@ -2,33 +2,36 @@
  * Scoring Rules
  * Functions for calculating scores based on session data
  * Uses LLM for diagnosis comparison, with fallback to string matching
+ * 
+ * Each category is scored out of the points the case's rubric gives it (see rubric.ts).
  */
 
 import { Session } from '../models/session.types';
 import { MedicalCase, RedFlag } from '../../../shared/types/case.types';
-import { ScoringContext } from './types';
-import OpenAI from 'openai';
-
-// Time limits per level (in seconds)
-export const TIME_LIMITS = {
-  1: 5 * 60,   // 5 minutes = 300 seconds
-  2: 7 * 60,   // 7 minutes = 420 seconds
-  3: 10 * 60   // 10 minutes = 600 seconds
-};
-
-// Scoring weights (can be adjusted)
-const MAX_DIAGNOSIS_SCORE = 25; // Total: diagnosis correctness (20) + intervention (5)
-const MAX_DIAGNOSIS_CORRECTNESS_SCORE = 20; // For diagnosis correctness alone
-const MAX_INTERVENTION_SCORE = 5; // For intervention appropriateness
-const MAX_CRITICAL_ACTIONS_SCORE = 25;
-const MAX_COMMUNICATION_SCORE = 20;
-const MAX_EFFICIENCY_SCORE = 30;
+import { ScoringContext, DiagnosisMatch, InterpersonalEvaluation } from './types';
+import { ResolvedRubric, resolveRubric, getCaseTimeLimit, scoreRubricItems } from './rubric';
+import { HistoryChecklistItem, buildHistoryChecklist } from './historyChecklist';
+import { evaluateInterpersonalSkills } from './interpersonalSkills';
+import { ActionTimelineEntry, buildActionTimeline, scoreActionTimeline } from './actionTimeline';
+import { detectSafetyEvents } from './safetyEvents';
+import { matchesAction } from '../utils/actionMatching';
+import { containsDiagnosis } from '../utils/diagnosisMatching';
+import { getLLMProvider } from '../services/llmProvider';
+import { getSimulatedMinutes } from '../services/clinicalStateEngine';
+
+// Points the efficiency rules add up to, before scaling to the rubric weight
+const EFFICIENCY_RULE_POINTS = 30;
+
+// How the efficiency rule points are split (see scoreEfficiency)
+const EFFICIENCY_TIME_POINTS = 10; // Time used against the limit
+const EFFICIENCY_TIMELINESS_POINTS = 12; // Expected actions done by their target minute
+const EFFICIENCY_ORDERING_POINTS = 8; // Expected actions done after the ones they depend on
 
 /**
  * Get the effective time limit for a session
  */
 export function getTimeLimit(session: Session): number {
-  return session.timeLimitSec ?? TIME_LIMITS[session.level];
+  return session.timeLimitSec ?? getCaseTimeLimit(session.case, session.level);
 }
 
 /**
@@ -40,12 +43,17 @@ export function getSessionDuration(session: Session): number {
 }
 
 /**
- * Score diagnosis correctness (0-25 points) using LLM comparison
- * Includes: diagnosis correctness (0-20) + intervention appropriateness (0-5)
+ * Score the diagnosis using LLM comparison
+ * Includes: diagnosis correctness (rubric "diagnosis" points, 20 by default) + intervention
+ * appropriateness (rubric "intervention" points, 5 by default)
  * Uses the submitted diagnosis from the session, not conversation messages
  * Returns an object with both scores separately
  */
-export async function scoreDiagnosis(session: Session, caseData: MedicalCase): Promise<{ total: number; correctness: number; intervention: number }> {
+export async function scoreDiagnosis(
+  session: Session,
+  caseData: MedicalCase,
+  rubric: ResolvedRubric = resolveRubric(caseData)
+): Promise<{ total: number; correctness: number; intervention: number; match: DiagnosisMatch }> {
   // Use submittedDiagnosis if available (from diagnosis submission), otherwise check messages
   const diagnosisText = session.submittedDiagnosis 
     ? session.submittedDiagnosis.toLowerCase()
@@ -61,46 +69,47 @@ export async function scoreDiagnosis(session: Session, caseData: MedicalCase): P
     return {
       total: 0,
       correctness: 0,
-      intervention: 0
+      intervention: 0,
+      match: 'incorrect'
     };
   }
   
   const primaryDiagnosis = caseData.diagnosis.primary;
   const differentials = caseData.diagnosis.differentials;
   
-  // Score diagnosis correctness (0-20 points)
-  let diagnosisCorrectnessScore = 0;
-  
   // Try LLM-based comparison first
+  let match: DiagnosisMatch;
   try {
     console.log(`[Diagnosis Scoring] Comparing: "${diagnosisOnly}" with primary: "${primaryDiagnosis}"`);
-    const llmResult = await compareDiagnosisWithLLM(diagnosisOnly, primaryDiagnosis, differentials);
+    const llmResult = await compareDiagnosisWithLLM(diagnosisOnly, primaryDiagnosis, differentials, caseData);
     if (llmResult !== null) {
-      // Convert result to 20/12/0 scale
-      if (llmResult === 'PRIMARY') {
-        diagnosisCorrectnessScore = MAX_DIAGNOSIS_CORRECTNESS_SCORE;
-        console.log(`[Diagnosis Scoring] ✅ PRIMARY match - Assigning ${diagnosisCorrectnessScore} points for diagnosis correctness`);
-      } else if (llmResult === 'DIFFERENTIAL') {
-        diagnosisCorrectnessScore = Math.floor(MAX_DIAGNOSIS_CORRECTNESS_SCORE * 0.6); // 12 points
-        console.log(`[Diagnosis Scoring] ⚠️ DIFFERENTIAL match - Assigning ${diagnosisCorrectnessScore} points for diagnosis correctness (60% credit)`);
-      } else {
-        diagnosisCorrectnessScore = 0;
-        console.log(`[Diagnosis Scoring] ❌ INCORRECT diagnosis - Assigning 0 points for diagnosis correctness`);
-      }
+      match = llmResult === 'PRIMARY' ? 'primary' : llmResult === 'DIFFERENTIAL' ? 'differential' : 'incorrect';
     } else {
       console.log(`[Diagnosis Scoring] LLM returned null, using fallback string matching`);
-      // Fallback scoring
-      diagnosisCorrectnessScore = await scoreDiagnosisCorrectnessFallback(diagnosisOnly, primaryDiagnosis, differentials);
+      match = matchDiagnosisFallback(diagnosisOnly, primaryDiagnosis, differentials);
     }
   } catch (error: any) {
     console.error('Error in LLM diagnosis comparison, falling back to string matching:', error?.message || error);
-    diagnosisCorrectnessScore = await scoreDiagnosisCorrectnessFallback(diagnosisOnly, primaryDiagnosis, differentials);
+    match = matchDiagnosisFallback(diagnosisOnly, primaryDiagnosis, differentials);
   }
   
-  // Score intervention appropriateness (0-5 points)
+  // Convert the match to points (20/12/0 with the default rubric)
+  const maxCorrectness = rubric.weights.diagnosis;
+  let diagnosisCorrectnessScore = 0;
+  if (match === 'primary') {
+    diagnosisCorrectnessScore = maxCorrectness;
+    console.log(`[Diagnosis Scoring] ✅ PRIMARY match - Assigning ${diagnosisCorrectnessScore} points for diagnosis correctness`);
+  } else if (match === 'differential') {
+    diagnosisCorrectnessScore = Math.floor(maxCorrectness * rubric.partialCredit.differentialDiagnosis);
+    console.log(`[Diagnosis Scoring] ⚠️ DIFFERENTIAL match - Assigning ${diagnosisCorrectnessScore} points for diagnosis correctness (${Math.round(rubric.partialCredit.differentialDiagnosis * 100)}% credit)`);
+  } else {
+    console.log(`[Diagnosis Scoring] ❌ INCORRECT diagnosis - Assigning 0 points for diagnosis correctness`);
+  }
+  
+  // Score intervention appropriateness
   let interventionScore = 0;
-  if (interventionText) {
-    interventionScore = await scoreIntervention(interventionText, primaryDiagnosis, caseData);
+  if (interventionText && rubric.weights.intervention > 0) {
+    interventionScore = await scoreIntervention(interventionText, primaryDiagnosis, caseData, rubric);
   } else {
     console.log(`[Intervention Scoring] No intervention provided - Assigning 0 points`);
   }
@@ -111,18 +120,19 @@ export async function scoreDiagnosis(session: Session, caseData: MedicalCase): P
   return {
     total: totalScore,
     correctness: diagnosisCorrectnessScore,
-    intervention: interventionScore
+    intervention: interventionScore,
+    match
   };
 }
 
 /**
- * Fallback function for diagnosis correctness scoring (0-20 points)
+ * Fallback diagnosis matching (string matching, no LLM)
  */
-async function scoreDiagnosisCorrectnessFallback(
+function matchDiagnosisFallback(
   diagnosisOnly: string,
   primaryDiagnosis: string,
   differentials: string[]
-): Promise<number> {
+): DiagnosisMatch {
   const diagnosisOnlyLower = diagnosisOnly.toLowerCase();
   const primaryDiagnosisLower = primaryDiagnosis.toLowerCase();
   const differentialsLower = differentials.map(d => d.toLowerCase());
@@ -131,8 +141,8 @@ async function scoreDiagnosisCorrectnessFallback(
   
   // Check for exact or close match of primary diagnosis
   if (containsDiagnosis(diagnosisOnlyLower, primaryDiagnosisLower)) {
-    console.log(`[Diagnosis Scoring] ✅ Primary diagnosis match found - Assigning ${MAX_DIAGNOSIS_CORRECTNESS_SCORE} points`);
-    return MAX_DIAGNOSIS_CORRECTNESS_SCORE;
+    console.log(`[Diagnosis Scoring] ✅ Primary diagnosis match found`);
+    return 'primary';
   }
   
   // Special handling: If primary is MI-related and user says "heart attack" or "MI", accept it
@@ -143,32 +153,34 @@ async function scoreDiagnosisCorrectnessFallback(
                         diagnosisOnlyLower.includes('myocardial infarction');
   
   if (isMIPrimary && isHeartAttack) {
-    console.log(`[Diagnosis Scoring] ✅ Heart attack/MI match detected - Assigning ${MAX_DIAGNOSIS_CORRECTNESS_SCORE} points`);
-    return MAX_DIAGNOSIS_CORRECTNESS_SCORE;
+    console.log(`[Diagnosis Scoring] ✅ Heart attack/MI match detected`);
+    return 'primary';
   }
   
   // Check for differential diagnoses (partial credit)
   for (const diff of differentialsLower) {
     if (containsDiagnosis(diagnosisOnlyLower, diff)) {
-      const partialScore = Math.floor(MAX_DIAGNOSIS_CORRECTNESS_SCORE * 0.6); // 12 points
-      console.log(`[Diagnosis Scoring] ⚠️ Differential diagnosis match found (${diff}) - Assigning ${partialScore} points (60% credit)`);
-      return partialScore;
+      console.log(`[Diagnosis Scoring] ⚠️ Differential diagnosis match found (${diff})`);
+      return 'differential';
     }
   }
   
-  console.log(`[Diagnosis Scoring] ❌ No match found - Assigning 0 points`);
-  return 0;
+  console.log(`[Diagnosis Scoring] ❌ No match found`);
+  return 'incorrect';
 }
 
 /**
- * Score intervention appropriateness using LLM (0-5 points)
+ * Score intervention appropriateness using LLM (rubric "intervention" points, 5 by default)
  */
 async function scoreIntervention(
   interventionText: string,
   primaryDiagnosis: string,
-  caseData: MedicalCase
+  caseData: MedicalCase,
+  rubric: ResolvedRubric
 ): Promise<number> {
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const maxScore = rubric.weights.intervention;
+
+  const provider = getLLMProvider();
   
   const criticalActions = caseData.diagnosis.criticalActions?.join(', ') || 'Not specified';
   
@@ -177,9 +189,9 @@ async function scoreIntervention(
 Your task is to evaluate if the student's proposed intervention is appropriate for the given diagnosis.
 
 Scoring rules:
-- Return "APPROPRIATE" (5 points) if the intervention is medically appropriate and standard for this diagnosis
-- Return "PARTIAL" (3 points) if the intervention is somewhat appropriate but incomplete or not ideal
-- Return "INAPPROPRIATE" (0 points) if the intervention is wrong, harmful, or not relevant
+- Return "APPROPRIATE" if the intervention is medically appropriate and standard for this diagnosis
+- Return "PARTIAL" if the intervention is somewhat appropriate but incomplete or not ideal
+- Return "INAPPROPRIATE" if the intervention is wrong, harmful, or not relevant
 
 Important:
 - Consider standard treatments for the diagnosis (e.g., for NSTEMI: aspirin, cardiac monitoring, referral to cardiology, blood tests)
@@ -207,17 +219,18 @@ Student's proposed intervention: "${interventionText}"
 Is the student's intervention appropriate, partially appropriate, or inappropriate for this diagnosis?`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await provider.complete({
+      task: 'intervention_scoring',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
+      context: { caseData, input: interventionText },
       temperature: 0.1,
-      max_tokens: 10
+      maxTokens: 10
     });
 
-    const rawResult = response.choices[0]?.message?.content?.trim().toUpperCase();
+    const rawResult = response.trim().toUpperCase();
     
     let result: string;
     if (rawResult?.includes('APPROPRIATE') && !rawResult?.includes('INAPPROPRIATE')) {
@@ -234,18 +247,18 @@ Is the student's intervention appropriate, partially appropriate, or inappropria
     console.log(`[Intervention Scoring] Submitted: "${interventionText}", Diagnosis: "${primaryDiagnosis}", LLM Result: "${result}" (raw: "${rawResult}")`);
     
     if (result === 'APPROPRIATE') {
-      console.log(`[Intervention Scoring] ✅ APPROPRIATE - Assigning ${MAX_INTERVENTION_SCORE} points`);
-      return MAX_INTERVENTION_SCORE;
+      console.log(`[Intervention Scoring] ✅ APPROPRIATE - Assigning ${maxScore} points`);
+      return maxScore;
     } else if (result === 'PARTIAL') {
-      const partialScore = Math.floor(MAX_INTERVENTION_SCORE * 0.6); // 3 points
-      console.log(`[Intervention Scoring] ⚠️ PARTIAL - Assigning ${partialScore} points (60% credit)`);
+      const partialScore = Math.floor(maxScore * rubric.partialCredit.intervention); // 3 points by default
+      console.log(`[Intervention Scoring] ⚠️ PARTIAL - Assigning ${partialScore} points (${Math.round(rubric.partialCredit.intervention * 100)}% credit)`);
       return partialScore;
     } else {
       console.log(`[Intervention Scoring] ❌ INAPPROPRIATE - Assigning 0 points`);
       return 0;
     }
   } catch (error: any) {
-    console.error('OpenAI API error in intervention evaluation:', error?.message || error);
+    console.error(`LLM provider (${provider.name}) error in intervention evaluation:`, error?.message || error);
     console.log(`[Intervention Scoring] Error occurred, defaulting to 0 points`);
     return 0;
   }
@@ -258,9 +271,10 @@ Is the student's intervention appropriate, partially appropriate, or inappropria
 async function compareDiagnosisWithLLM(
   submittedDiagnosis: string,
   primaryDiagnosis: string,
-  differentials: string[]
+  differentials: string[],
+  caseData: MedicalCase
 ): Promise<'PRIMARY' | 'DIFFERENTIAL' | 'INCORRECT' | null> {
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const provider = getLLMProvider();
   
   const systemPrompt = `You are a medical education assistant evaluating a student's diagnosis submission.
 
@@ -302,17 +316,18 @@ Student's submitted diagnosis: "${submittedDiagnosis}"
 Does the student's diagnosis match the primary diagnosis, a differential diagnosis, or is it incorrect?`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await provider.complete({
+      task: 'diagnosis_comparison',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
+      context: { caseData, input: submittedDiagnosis },
       temperature: 0.1, // Low temperature for consistent evaluation
-      max_tokens: 10
+      maxTokens: 10
     });
 
-    const rawResult = response.choices[0]?.message?.content?.trim().toUpperCase();
+    const rawResult = response.trim().toUpperCase();
     
     // Extract the result word (handle cases where LLM returns more than one word)
     let result: 'PRIMARY' | 'DIFFERENTIAL' | 'INCORRECT';
@@ -333,35 +348,13 @@ Does the student's diagnosis match the primary diagnosis, a differential diagnos
     
     return result;
   } catch (error: any) {
-    console.error('OpenAI API error in diagnosis comparison:', error?.message || error);
+    console.error(`LLM provider (${provider.name}) error in diagnosis comparison:`, error?.message || error);
     return null; // Return null to trigger fallback
   }
 }
 
 /**
- * Helper: Check if text contains diagnosis (fuzzy matching)
- */
-function containsDiagnosis(text: string, diagnosis: string): boolean {
-  // Normalize: remove punctuation, handle common variations
-  const normalizedText = text.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
-  const normalizedDiagnosis = diagnosis.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
-  
-  // Check for exact match or key words
-  if (normalizedText.includes(normalizedDiagnosis)) {
-    return true;
-  }
-  
-  // Check for common abbreviations (e.g., "NSTEMI" = "non-st elevation mi")
-  const keyWords = normalizedDiagnosis.split(' ').filter(w => w.length > 3);
-  const allKeyWordsPresent = keyWords.length > 0 && keyWords.every(word => 
-    normalizedText.includes(word)
-  );
-  
-  return allKeyWordsPresent;
-}
-
-/**
- * Score critical actions performed (0-25 points)
+ * Score critical actions performed (out of maxScore - the rubric weight, 25 by default)
  * Returns score and lists of performed/missed actions
  * 
  * In a chat-only interface, actions can only be performed via the intervention field
@@ -370,12 +363,13 @@ function containsDiagnosis(text: string, diagnosis: string): boolean {
  */
 export function scoreCriticalActions(
   session: Session,
-  caseData: MedicalCase
+  caseData: MedicalCase,
+  maxScore: number = resolveRubric(caseData).weights.criticalActions
 ): { score: number; performed: string[]; missed: string[] } {
   const criticalActions = caseData.diagnosis.criticalActions;
   
   if (criticalActions.length === 0) {
-    return { score: MAX_CRITICAL_ACTIONS_SCORE, performed: [], missed: [] };
+    return { score: maxScore, performed: [], missed: [] };
   }
   
   // Extract intervention text from submitted diagnosis (if available)
@@ -410,7 +404,7 @@ export function scoreCriticalActions(
     }
   }
   
-  const pointsPerAction = MAX_CRITICAL_ACTIONS_SCORE / criticalActions.length;
+  const pointsPerAction = maxScore / criticalActions.length;
   const score = Math.round(performed.length * pointsPerAction);
   
   return { score, performed, missed };
@@ -419,6 +413,7 @@ export function scoreCriticalActions(
 /**
  * Score red flags / time-sensitive actions
  * Returns list of missed red flags
+ * Time windows are in simulated minutes (the case progression clock).
  */
 export function scoreRedFlags(
   session: Session,
@@ -443,11 +438,10 @@ export function scoreRedFlags(
     
     // Check if performed within time window
     if (redFlag.timeWindow) {
-      const timeWindowMs = redFlag.timeWindow * 60 * 1000; // Convert minutes to ms
-      const performedOnTime = matchingActions.some(action => {
-        const elapsedMs = action.timestamp - session.createdAt;
-        return elapsedMs <= timeWindowMs;
-      });
+      const timeWindow = redFlag.timeWindow;
+      const performedOnTime = matchingActions.some(action =>
+        getSimulatedMinutes(session, action.timestamp) <= timeWindow
+      );
       
       if (!performedOnTime) {
         missed.push({
@@ -462,165 +456,68 @@ export function scoreRedFlags(
 }
 
 /**
- * Helper: Match action type to critical action (fuzzy matching)
- */
-function matchesAction(actionType: string, criticalAction: string): boolean {
-  const normalizedAction = actionType.toLowerCase().replace(/[_\s-]/g, ' ');
-  const normalizedCritical = criticalAction.toLowerCase().replace(/[_\s-]/g, ' ');
-  
-  // Extract key words from critical action (skip common words)
-  const skipWords = new Set(['the', 'a', 'an', 'and', 'or', 'within', 'minutes', 'obtain', 'get']);
-  const keyWords = normalizedCritical
-    .split(' ')
-    .filter(w => w.length > 2 && !skipWords.has(w));
-  
-  if (keyWords.length === 0) {
-    return normalizedAction.includes(normalizedCritical) || 
-           normalizedCritical.includes(normalizedAction);
-  }
-  
-  // Check if all key words are present in action type
-  const allKeyWordsPresent = keyWords.every(word => normalizedAction.includes(word));
-  if (allKeyWordsPresent) return true;
-  
-  // Also check if action type contains the primary medical term
-  // Common medical terms that should match
-  const medicalTerms: { [key: string]: string[] } = {
-    'aspirin': ['aspirin', 'asa'],
-    'ekg': ['ekg', 'ecg', 'electrocardiogram'],
-    'ecg': ['ekg', 'ecg', 'electrocardiogram'],
-    'troponin': ['troponin', 'trop'],
-    'nitroglycerin': ['nitro', 'nitroglycerin', 'gtn'],
-    'iv': ['iv', 'intravenous', 'access'],
-    'monitoring': ['monitoring', 'monitor', 'cardiac'],
-    'cardiology': ['cardiology', 'cardiac', 'consult']
-  };
-  
-  // Check if critical action contains a medical term and action type matches it
-  for (const [term, variations] of Object.entries(medicalTerms)) {
-    if (normalizedCritical.includes(term)) {
-      // Check if action type contains any variation
-      const actionMatches = variations.some(variant => normalizedAction.includes(variant));
-      if (actionMatches) {
-        return true;
-      }
-    }
-  }
-  
-  // Also check reverse: if action type contains term, check if critical action has it
-  for (const [term, variations] of Object.entries(medicalTerms)) {
-    if (normalizedAction.includes(term)) {
-      const criticalMatches = variations.some(variant => normalizedCritical.includes(variant));
-      if (criticalMatches) {
-        return true;
-      }
-    }
-  }
-  
-  // Action verb matching (give/ordered/administer)
-  const actionVerbs: { [key: string]: string[] } = {
-    'give': ['give', 'gave', 'administer', 'administered', 'provide'],
-    'order': ['order', 'ordered', 'ordering', 'request', 'requested'],
-    'obtain': ['obtain', 'ordered', 'get', 'request']
-  };
-  
-  for (const [verb, variants] of Object.entries(actionVerbs)) {
-    if (normalizedCritical.includes(verb)) {
-      const hasVariant = variants.some(variant => normalizedAction.includes(variant));
-      if (hasVariant) {
-        // If verb matches, check if medical term also matches
-        for (const [term, termVariations] of Object.entries(medicalTerms)) {
-          if (normalizedCritical.includes(term) && normalizedAction.includes(term)) {
-            return true;
-          }
-        }
-      }
-    }
-  }
-  
-  return false;
-}
-
-/**
- * Score communication quality (0-20 points)
+ * Score communication quality (out of maxScore - the rubric weight, 20 by default)
+ * Half for the share of the case's history checklist the learner covered (see historyChecklist.ts),
+ * half for their interpersonal skills (see interpersonalSkills.ts)
  */
-export function scoreCommunication(session: Session, caseData: MedicalCase): number {
-  const userMessages = session.messages.filter(m => m.role === 'user');
-  const allText = userMessages.map(m => m.content.toLowerCase()).join(' ');
-  
-  let score = 0;
-  
-  // Check for pain characteristics questions (5 points)
-  const painKeywords = ['where', 'pain', 'hurt', 'radiate', 'radiation', 'quality', 'sharp', 'dull', 'pressure'];
-  const askedAboutPain = painKeywords.some(keyword => allText.includes(keyword));
-  if (askedAboutPain) score += 5;
-  
-  // Check for past medical history questions (3 points)
-  const pmhKeywords = ['past medical', 'history', 'previous', 'conditions', 'medical history', 'pmh'];
-  const askedAboutPmh = pmhKeywords.some(keyword => allText.includes(keyword));
-  if (askedAboutPmh) score += 3;
-  
-  // Check for medications/allergies questions (3 points)
-  const medKeywords = ['medications', 'meds', 'drugs', 'allergies', 'allergic', 'taking any'];
-  const askedAboutMeds = medKeywords.some(keyword => allText.includes(keyword));
-  if (askedAboutMeds) score += 3;
-  
-  // Check for follow-up questions (4 points)
-  const hasMultipleQuestions = userMessages.length >= 3;
-  if (hasMultipleQuestions) score += 4;
-  
-  // Check for empathy/rapport (5 points)
-  const empathyKeywords = ['how are you', 'feel', 'worried', 'concerned', 'understand', 'sorry'];
-  const showedEmpathy = empathyKeywords.some(keyword => allText.includes(keyword));
-  if (showedEmpathy) score += 5;
-  
-  return Math.min(score, MAX_COMMUNICATION_SCORE);
+export function scoreCommunication(
+  checklist: HistoryChecklistItem[],
+  interpersonal: InterpersonalEvaluation,
+  maxScore: number
+): number {
+  const checklistShare = checklist.length > 0
+    ? checklist.filter(item => item.covered).length / checklist.length
+    : 1;
+  const interpersonalShare = interpersonal.maxScore > 0 ? interpersonal.score / interpersonal.maxScore : 1;
+  
+  return Math.round((checklistShare + interpersonalShare) / 2 * maxScore);
 }
 
 /**
- * Score efficiency (0-30 points)
- * Based on time usage and action ordering
+ * Score efficiency (out of maxScore - the rubric weight, 30 by default)
+ * The rules add up to 30 points and are scaled to maxScore:
+ * - time used against the limit (10)
+ * - timeliness of the expected actions against their target minutes (12)
+ * - ordering of the expected actions against their dependencies (8)
+ * With no dependencies to judge, ordering's points go to timeliness; a case with no
+ * expected actions at all is scored on time used alone.
  */
-export function scoreEfficiency(session: Session): number {
+export function scoreEfficiency(
+  session: Session,
+  timeline: ActionTimelineEntry[] = buildActionTimeline(session, session.case),
+  maxScore: number = resolveRubric(session.case).weights.efficiency
+): number {
   const timeLimit = getTimeLimit(session);
   const duration = getSessionDuration(session);
   const timeUsedPercent = (duration / timeLimit) * 100;
   
-  // Time-based scoring (Option B: Moderate penalty)
-  let timeScore: number;
+  // Time-based scoring (Option B: Moderate penalty), as a share of the time points
+  let timeShare: number;
   if (timeUsedPercent <= 50) {
-    timeScore = 20; // Very efficient
+    timeShare = 1; // Very efficient
   } else if (timeUsedPercent <= 75) {
-    timeScore = 18; // Efficient
+    timeShare = 0.9; // Efficient
   } else if (timeUsedPercent <= 100) {
-    timeScore = 15; // On time
+    timeShare = 0.75; // On time
   } else if (timeUsedPercent <= 120) {
-    timeScore = 10; // Slightly over (up to 20% over)
+    timeShare = 0.5; // Slightly over (up to 20% over)
   } else if (timeUsedPercent <= 150) {
-    timeScore = 5; // Moderately over (20-50% over)
+    timeShare = 0.25; // Moderately over (20-50% over)
   } else {
-    timeScore = 0; // Significantly over (>50% over)
+    timeShare = 0; // Significantly over (>50% over)
   }
   
-  // Action ordering bonus (up to 10 points)
-  // Reward if critical actions were performed early
-  const orderingScore = scoreActionOrdering(session);
+  if (timeline.length === 0) {
+    return Math.round(timeShare * maxScore);
+  }
   
-  return Math.min(timeScore + orderingScore, MAX_EFFICIENCY_SCORE);
-}
-
-/**
- * Score action ordering - did they do important things early?
- */
-function scoreActionOrdering(session: Session): number {
-  // This is a simplified version - you could enhance this
-  // For now, just check if they had reasonable number of actions
-  const actionCount = session.actions.length;
-  
-  if (actionCount === 0) return 0;
-  if (actionCount >= 3 && actionCount <= 10) return 5; // Reasonable number
-  if (actionCount > 10) return 3; // Too many actions
-  return 2; // Too few actions
+  // Expected actions - credit decays the later they come after their target minute
+  const { timeliness, ordering } = scoreActionTimeline(timeline);
+  const points = ordering === null
+    ? timeShare * EFFICIENCY_TIME_POINTS + timeliness * (EFFICIENCY_TIMELINESS_POINTS + EFFICIENCY_ORDERING_POINTS)
+    : timeShare * EFFICIENCY_TIME_POINTS + timeliness * EFFICIENCY_TIMELINESS_POINTS + ordering * EFFICIENCY_ORDERING_POINTS;
+  
+  return Math.round(points / EFFICIENCY_RULE_POINTS * maxScore);
 }
 
 /**
@@ -630,17 +527,23 @@ export async function calculateScoringContext(
   session: Session,
   caseData: MedicalCase
 ): Promise<ScoringContext & { diagnosisCorrectnessScore: number; interventionScore: number }> {
-  const diagnosisResult = await scoreDiagnosis(session, caseData);
-  const criticalActionsResult = scoreCriticalActions(session, caseData);
-  const communicationScore = scoreCommunication(session, caseData);
-  const efficiencyScore = scoreEfficiency(session);
+  const rubric = resolveRubric(caseData);
+  const diagnosisResult = await scoreDiagnosis(session, caseData, rubric);
+  const criticalActionsResult = scoreCriticalActions(session, caseData, rubric.weights.criticalActions);
+  const historyChecklist = buildHistoryChecklist(session, caseData);
+  const interpersonal = await evaluateInterpersonalSkills(session, caseData);
+  const communicationScore = scoreCommunication(historyChecklist, interpersonal, rubric.weights.communication);
+  const actionTimeline = buildActionTimeline(session, caseData);
+  const efficiencyScore = scoreEfficiency(session, actionTimeline, rubric.weights.efficiency);
   const missedRedFlags = scoreRedFlags(session, caseData);
+  const safetyEvents = detectSafetyEvents(session, caseData, actionTimeline, rubric.safetyPenalties);
   
   const timeLimit = getTimeLimit(session);
   const duration = getSessionDuration(session);
   
   return {
     diagnosisScore: diagnosisResult.total,
+    diagnosisMatch: diagnosisResult.match,
     diagnosisCorrectnessScore: diagnosisResult.correctness,
     interventionScore: diagnosisResult.intervention,
     criticalActionsScore: criticalActionsResult.score,
@@ -649,8 +552,17 @@ export async function calculateScoringContext(
     performedCriticalActions: criticalActionsResult.performed,
     missedCriticalActions: criticalActionsResult.missed,
     missedRedFlags,
+    maxScores: rubric.weights,
+    rubricItems: scoreRubricItems(session, rubric.items),
+    historyChecklist,
+    interpersonal,
+    actionTimeline,
+    safetyEvents,
+    safetyScore: -safetyEvents.reduce((sum, event) => sum + event.penalty, 0),
     timeLimit,
-    duration
+    duration,
+    outcome: session.outcome,
+    deteriorations: session.clinicalState?.deteriorations ?? []
   };
 }
 
@@ -10,6 +10,7 @@ import { Session } from '../models/session.types';
 import { MedicalCase, RevealedFacts } from '../../../shared/types/case.types';
 import { Message } from '../services/patientEngine';
 import { loadCase } from '../services/caseLoader';
+import { createClinicalState } from '../services/clinicalStateEngine';
 
 /**
  * Create a mock session with example data
@@ -114,21 +115,30 @@ function createMockSession(
   return {
     sessionId: `test-${scenario}-${Date.now()}`,
     caseId: caseData.caseId,
+    caseVersion: 1,
     level,
+    userId: 'test-user',
     userName: 'Test User',
     case: caseData,
     messages,
     revealedFacts,
+    revealLog: [],
     actions: actions.map(a => ({
       actionType: a.actionType,
       timestamp: a.timestamp,
       details: undefined,
       result: undefined
     })),
+    orders: [],
+    guardrailViolations: [],
+    clinicalState: createClinicalState(caseData, level),
     createdAt: now,
     updatedAt: now + (duration * 1000),
     endedAt: now + (duration * 1000),
     timeLimitSec: timeLimit,
+    timeScale: 1,
+    patientMode: 'llm',
+    mode: 'test',
     currentTurn: messages.filter(m => m.role === 'user').length,
     isActive: false
   };
@@ -168,10 +178,10 @@ async function runTests() {
       // Display results
       console.log(`\n📊 SCORING BREAKDOWN:`);
       console.log(`   Total Score: ${feedback.summaryScore}/100`);
-      console.log(`   ├─ Diagnosis:        ${feedback.breakdown.diagnosis}/25`);
-      console.log(`   ├─ Critical Actions: ${feedback.breakdown.criticalActions}/25`);
-      console.log(`   ├─ Communication:    ${feedback.breakdown.communication}/20`);
-      console.log(`   └─ Efficiency:       ${feedback.breakdown.efficiency}/30`);
+      feedback.categories.forEach((category, index) => {
+        const branch = index === feedback.categories.length - 1 ? '└─' : '├─';
+        console.log(`   ${branch} ${`${category.label}:`.padEnd(18)}${category.score}/${category.maxScore}`);
+      });
       
       console.log(`\n⏱️  TIMING:`);
       console.log(`   Time Limit: ${Math.floor(feedback.timing.timeLimitSec / 60)} minutes`);
@@ -3,22 +3,56 @@
  * Defines the structure for session feedback and scoring results
  */
 
+import { EncounterOutcome, AppliedDeterioration, OutcomeStatus } from '../models/session.types';
+import { RubricCategory, RubricItem } from '../../../shared/types/case.types';
+import { HistoryChecklistItem } from './historyChecklist';
+import { InterpersonalRating } from '../utils/interpersonalRules';
+import { ActionTimelineEntry } from './actionTimeline';
+import { SafetyEvent } from './safetyEvents';
+
+// How the submitted diagnosis compared with the case's diagnosis
+export type DiagnosisMatch = 'primary' | 'differential' | 'incorrect';
+
+// One score card - a rubric category or one of the rubric's extra items
+export interface FeedbackCategory {
+  id: string; // Category name (e.g., "criticalActions") or rubric item id
+  label: string;
+  score: number;
+  maxScore: number;
+}
+
+// Interpersonal skills, each score citing the transcript messages that support it
+export interface InterpersonalEvaluation {
+  source: 'llm' | 'rules'; // Graded by a model, or by the deterministic rules (offline provider or fallback)
+  score: number;
+  maxScore: number;
+  criteria: Array<InterpersonalRating & { label: string; maxScore: number }>; // evidence: indices in session.messages
+}
+
 export interface FeedbackResult {
-  summaryScore: number; // 0-100 total score
+  summaryScore: number; // 0-100: points earned as a share of the rubric's total
   breakdown: {
+    // Maximums below are the default rubric's; a case rubric can change them (see categories)
     diagnosis: number; // 0-25 points (20 for correctness + 5 for intervention)
     diagnosisCorrectness: number; // 0-20 points (for diagnosis correctness)
     intervention: number; // 0-5 points (for intervention appropriateness)
     criticalActions: number; // 0-25 points
     communication: number; // 0-20 points
     efficiency: number; // 0-30 points
+    safety: number; // 0 or less: points taken off for safety events
   };
+  categories: FeedbackCategory[]; // Score cards for the categories the rubric scores, then its extra items
+  diagnosisMatch: DiagnosisMatch;
   timing: {
     timeLimitSec: number;
     actualDurationSec: number;
     exceededBySec?: number; // Only present if exceeded
     timeUsedPercent: number;
   };
+  historyChecklist: HistoryChecklistItem[]; // What the learner asked about (covered) and didn't (missed)
+  interpersonal: InterpersonalEvaluation; // Evidence-linked interpersonal skills (half of the communication score)
+  actionTimeline: ActionTimelineEntry[]; // When each expected action was done versus its target (simulated minutes)
+  safetyEvents: SafetyEvent[]; // Harmful actions the learner took (avoid actions, contraindications)
   whatWentWell: string[];
   missed: string[];
   redFlagsMissed: string[];
@@ -27,16 +61,32 @@ export interface FeedbackResult {
     primaryDiagnosis: string;
     criticalActions: string[];
   };
+  outcome?: {
+    status: OutcomeStatus; // stable / deteriorated / arrested
+    trigger?: string; // Deterioration trigger that was missed (e.g., "no aspirin given within 20 minutes")
+    description?: string; // What happened to the patient
+    endedEncounter: boolean;
+  };
 }
 
 export interface ScoringContext {
   diagnosisScore: number;
+  diagnosisMatch: DiagnosisMatch;
   criticalActionsScore: number;
   communicationScore: number;
   efficiencyScore: number;
   performedCriticalActions: string[];
   missedCriticalActions: string[];
   missedRedFlags: Array<{ action: string; consequence?: string }>;
+  maxScores: Record<RubricCategory, number>; // Points per category from the case rubric
+  rubricItems: Array<{ item: RubricItem; met: boolean }>;
+  historyChecklist: HistoryChecklistItem[];
+  interpersonal: InterpersonalEvaluation;
+  actionTimeline: ActionTimelineEntry[];
+  safetyEvents: SafetyEvent[];
+  safetyScore: number; // 0 or less: the safety events' penalties
   timeLimit: number;
   duration: number;
+  outcome?: EncounterOutcome;
+  deteriorations: AppliedDeterioration[];
 }
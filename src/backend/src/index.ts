@@ -8,17 +8,26 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import app from './app';
+import { getSessionRepository } from './store/sessionRepository';
 
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
   console.log(`🚀 Medical Simulation Backend running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
+  console.log(`💾 Session store: ${getSessionRepository().name}`);
   console.log(`📝 API endpoints:`);
+  console.log(`   POST /auth/register, POST /auth/login`);
+  console.log(`   GET  /cases`);
   console.log(`   POST /session/start`);
   console.log(`   POST /session/message`);
+  console.log(`   POST /session/message/stream`);
   console.log(`   POST /session/action`);
+  console.log(`   GET  /session/state`);
   console.log(`   GET  /session/export`);
+  console.log(`   GET  /progress/attempts, GET /progress/summary`);
+  console.log(`   GET  /leaderboard`);
+  console.log(`   /authoring/cases (case drafts, preview, publish, versions)`);
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,54 @@
+/**
+ * Authentication Middleware
+ * Checks the "Authorization: Bearer <token>" header and loads the signed-in user
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { PublicUser, UserRole } from '../models/user.types';
+import { verifyToken } from '../services/authService';
+import { getUserById, toPublicUser } from '../store/userStore';
+
+declare global {
+  namespace Express {
+    interface Request {
+      user?: PublicUser; // Set by requireAuth
+    }
+  }
+}
+
+/**
+ * Require a valid token; sets req.user
+ */
+export function requireAuth(req: Request, res: Response, next: NextFunction): void {
+  const header = req.headers.authorization;
+  const token = header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+
+  if (!token) {
+    res.status(401).json({ error: 'Authentication required' });
+    return;
+  }
+
+  const userId = verifyToken(token);
+  const user = userId ? getUserById(userId) : null;
+  if (!user) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+    return;
+  }
+
+  req.user = toPublicUser(user);
+  next();
+}
+
+/**
+ * Require one of the given roles (use after requireAuth)
+ */
+export function requireRole(...roles: UserRole[]) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      res.status(403).json({ error: 'You do not have permission to do this' });
+      return;
+    }
+
+    next();
+  };
+}
@@ -5,6 +5,9 @@
 
 import { Request, Response, NextFunction } from 'express';
 
+// Credentials are checked exactly as typed - spaces and all
+const CREDENTIAL_FIELDS = new Set(['password']);
+
 /**
  * Sanitize string inputs - removes potentially dangerous characters
  */
@@ -21,13 +24,13 @@ export function sanitizeInput(str: string): string {
 }
 
 /**
- * Middleware to sanitize request body string fields
+ * Middleware to sanitize request body string fields (except credentials)
  */
 export function sanitizeBody(req: Request, res: Response, next: NextFunction): void {
   if (req.body && typeof req.body === 'object') {
     // Sanitize all string fields in body
     for (const key in req.body) {
-      if (typeof req.body[key] === 'string') {
+      if (typeof req.body[key] === 'string' && !CREDENTIAL_FIELDS.has(key)) {
         req.body[key] = sanitizeInput(req.body[key]);
       }
     }
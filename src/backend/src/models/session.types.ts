@@ -3,17 +3,20 @@
  * Defines the structure for active encounter sessions
  */
 
-import { MedicalCase, RevealedFacts } from '../../../shared/types/case.types';
+import { MedicalCase, RevealedFacts, VitalSigns, DeteriorationRule, CaseDifficulty } from '../../../shared/types/case.types';
 import { Message } from '../services/patientEngine';
-import { FeedbackResult } from '../feedback/types';
+import { FeedbackResult, DiagnosisMatch } from '../feedback/types';
 
 export interface Session {
   sessionId: string;
   caseId: string;
+  caseVersion: number; // Published version of the case this session ran
+  variantSeed?: number; // Seed of the case variant this session ran (see caseVariants)
   level: 1 | 2 | 3;
-  userName: string;
+  userId: string; // Account that owns the session
+  userName: string; // Display name of the owner when the session started
   
-  // Case data (loaded once at start)
+  // Case data (loaded once at start, with its variant applied)
   case: MedicalCase;
   
   // Conversation history
@@ -21,10 +24,20 @@ export interface Session {
   
   // Track what facts have been revealed
   revealedFacts: RevealedFacts;
+  revealLog: RevealEvent[]; // How and when each fact was revealed (or withheld)
   
   // Track actions performed (e.g., "examined_heart", "ordered_troponin", "gave_aspirin")
   actions: SessionAction[];
   
+  // Diagnostic orders (labs, imaging, EKG, other tests) and their results
+  orders: DiagnosticOrder[];
+  
+  // Patient replies that broke the case's guardrails
+  guardrailViolations: GuardrailViolation[];
+  
+  // Live patient physiology driven by case progression
+  clinicalState: ClinicalState;
+  
   // Timing
   createdAt: number; // Unix timestamp (ms)
   updatedAt: number; // Last activity timestamp
@@ -33,6 +46,10 @@ export interface Session {
   // Configuration
   timeLimitSec?: number; // Optional time limit for encounter
   maxTurns?: number; // Maximum number of user messages allowed
+  timeScale: number; // Simulated minutes per real minute (case progression clock)
+  patientMode: PatientMode; // How patient replies are generated
+  mode: EncounterMode; // Chosen on the title page (kept so a reloaded page can resume)
+  guidanceLevel?: GuidanceLevel; // Learning mode only
   
   // Current state
   currentTurn: number; // Number of user messages sent
@@ -40,9 +57,41 @@ export interface Session {
   
   // Completion and feedback (F2)
   submittedDiagnosis?: string; // Diagnosis submitted by student when ending session
+  outcome?: EncounterOutcome; // Patient outcome (set by deterioration, or "stable" when ended normally)
   feedbackResult?: FeedbackResult; // Cached feedback result
 }
 
+// What listings (progress, leaderboards) need from a stored session, without its case and history
+export interface SessionSummary {
+  sessionId: string;
+  caseId: string;
+  caseVersion: number;
+  level: 1 | 2 | 3;
+  userId: string;
+  userName: string;
+  title: string; // Case title
+  difficulty: CaseDifficulty;
+  mode: EncounterMode;
+  isActive: boolean;
+  createdAt: number;
+  endedAt?: number;
+  submittedDiagnosis?: string;
+  score?: { // Once scored (from feedbackResult)
+    summaryScore: number;
+    diagnosisMatch?: DiagnosisMatch; // Missing from feedback stored before case rubrics
+    diagnosisCorrectness: number;
+    outcome?: OutcomeStatus;
+  };
+}
+
+// llm: replies from the configured LLM provider; scripted: rule-based replies from the case data
+export type PatientMode = 'llm' | 'scripted';
+
+// test: no help until feedback; learning: guidance after each reply
+export type EncounterMode = 'test' | 'learning';
+
+export type GuidanceLevel = 'low' | 'medium' | 'high';
+
 export interface SessionAction {
   actionType: string; // e.g., "examined_cardiac", "ordered_lab", "gave_medication"
   timestamp: number; // Unix timestamp (ms)
@@ -50,10 +99,101 @@ export interface SessionAction {
   result?: string; // Deterministic result from action (e.g., exam findings, lab results)
 }
 
+export type GuardrailViolationType = 'forbidden_phrase' | 'self_diagnosis' | 'medical_advice';
+
+export interface GuardrailViolation {
+  type: GuardrailViolationType;
+  detail: string; // The forbidden phrase, diagnosis or advice that matched
+  reply: string; // The generated reply that was rejected
+  attempt: number; // 1 = first generation, 2 = regeneration
+  resolution: 'regenerated' | 'fallback'; // What replaced the rejected reply
+  messageIndex: number; // Index the patient reply has in session.messages
+  timestamp: number; // Unix timestamp (ms)
+}
+
+export type HistoryDomain = 'hpi' | 'pmh' | 'medications' | 'allergies' | 'socialHistory' | 'familyHistory';
+
+export interface RevealEvent {
+  domain: HistoryDomain;
+  item?: string; // PMH condition or social history topic (e.g., "smoking")
+  rule: string; // The case's revealRules value for the domain
+  reason: 'asked' | 'relevant' | 'volunteered' | 'withheld_no_rapport';
+  status: 'revealed' | 'withheld';
+  messageIndex: number; // Index of the learner message in session.messages
+  timestamp: number; // Unix timestamp (ms)
+}
+
+export type OrderStatus = 'pending' | 'completed';
+
+export interface DiagnosticOrder {
+  orderId: string;
+  category: 'lab' | 'imaging' | 'ekg' | 'procedure';
+  item: string; // Catalog item name (e.g., "Troponin", "Chest X-ray")
+  status: OrderStatus;
+  orderedAtMinute: number; // Simulated minute the order was placed
+  dueAtMinute: number; // Simulated minute the result becomes available
+  orderedAt: number; // Unix timestamp (ms)
+  expectedAt: number; // Unix timestamp (ms) the result is due
+  completedAt?: number; // Unix timestamp (ms) the result became available
+  result?: string; // Result text (set on completion)
+}
+
+export interface ClinicalState {
+  vitals: VitalSigns; // Current vitals (starts from the case's leveled vitals)
+  symptoms: string[]; // Symptom changes in the order they occurred
+  patientState: string; // How the patient currently appears
+  emotionalState: string; // Current emotional state (overrides personality.emotionalState)
+  evaluatedTimeChanges: number[]; // Indices of progression.timeBasedChanges already evaluated
+  triggeredActionChanges: number[]; // Indices of progression.actionTriggeredChanges already scheduled
+  pendingEffects: PendingEffect[]; // Treatment effects waiting for their delay to expire
+  pendingPatientResponses: string[]; // Lines the patient says in their next reply
+  evaluatedDeteriorations: number[]; // Indices of progression.deterioration rules already settled
+  triggeredContraindications: number[]; // Indices of diagnosis.contraindications whose deterioration fired
+  deteriorations: AppliedDeterioration[]; // Deterioration rules that fired
+  findings: string[]; // New clinical findings from deterioration (e.g., "Cardiogenic shock developing")
+  events: ClinicalEvent[]; // Timeline of applied changes
+}
+
+export interface AppliedDeterioration {
+  trigger: string; // The rule's trigger text (e.g., "no aspirin given within 20 minutes")
+  severity: DeteriorationRule['severity'];
+  atMinute: number; // Simulated minute it took effect
+}
+
+export type OutcomeStatus = 'stable' | 'deteriorated' | 'arrested';
+
+export interface EncounterOutcome {
+  status: OutcomeStatus;
+  trigger?: string; // Deterioration trigger that caused the outcome
+  description?: string; // What happened to the patient
+  atMinute?: number; // Simulated minute of the outcome
+  endedEncounter: boolean; // True if the outcome ended the encounter
+}
+
+export interface PendingEffect {
+  changeIndex: number; // Index into progression.actionTriggeredChanges
+  trigger: string; // e.g., "aspirin_given"
+  scheduledAtMinute: number; // Simulated minute the triggering action was recorded
+  dueAtMinute: number; // Simulated minute the effect takes place
+}
+
+export interface ClinicalEvent {
+  atMinute: number; // Simulated minute the change took effect
+  source: 'time' | 'action' | 'deterioration'; // What caused the change
+  description: string; // Human-readable summary (e.g., "Time-based change at minute 15 (no aspirin given)")
+}
+
 export interface CreateSessionParams {
   caseId: string;
+  caseVersion: number;
+  variantSeed?: number; // Replay a known variant (default: a new random seed)
   level: 1 | 2 | 3;
+  userId: string;
   userName: string;
   timeLimitSec?: number;
   maxTurns?: number;
+  timeScale?: number;
+  patientMode?: PatientMode;
+  mode?: EncounterMode;
+  guidanceLevel?: GuidanceLevel;
 }
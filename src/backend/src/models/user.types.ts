@@ -0,0 +1,29 @@
+/**
+ * User Types
+ * Defines local user accounts and their roles
+ */
+
+// learner: runs their own sessions; instructor: also reviews any session and authors cases; admin: also manages accounts
+export type UserRole = 'learner' | 'instructor' | 'admin';
+
+export const USER_ROLES: UserRole[] = ['learner', 'instructor', 'admin'];
+
+export interface User {
+  userId: string;
+  username: string; // Login name (unique, case-insensitive)
+  displayName: string; // Shown in sessions and feedback
+  role: UserRole;
+  passwordHash: string; // scrypt hash (see authService)
+  createdAt: number; // Unix timestamp (ms)
+  leaderboardOptOut?: boolean; // Keep this user off the leaderboards
+}
+
+// A user as returned by the API
+export type PublicUser = Omit<User, 'passwordHash'>;
+
+export interface CreateUserParams {
+  username: string;
+  password: string;
+  displayName?: string; // Defaults to the username
+  role: UserRole;
+}
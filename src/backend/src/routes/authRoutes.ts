@@ -0,0 +1,55 @@
+/**
+ * Auth Routes
+ * Defines sign-up, sign-in and account endpoints
+ */
+
+import { Router } from 'express';
+import {
+  register,
+  login,
+  getCurrentUser,
+  updateCurrentUser,
+  listUserAccounts,
+  createUserAccount
+} from '../controllers/authController';
+import { requireAuth, requireRole } from '../middleware/auth';
+
+const router = Router();
+
+/**
+ * POST /auth/register
+ * Create a learner account and sign in
+ */
+router.post('/register', register);
+
+/**
+ * POST /auth/login
+ * Sign in and get a bearer token
+ */
+router.post('/login', login);
+
+/**
+ * GET /auth/me
+ * Get the signed-in user
+ */
+router.get('/me', requireAuth, getCurrentUser);
+
+/**
+ * PATCH /auth/me
+ * Change the signed-in user's settings (display name, leaderboard opt-out)
+ */
+router.patch('/me', requireAuth, updateCurrentUser);
+
+/**
+ * GET /auth/users
+ * List every account (admin)
+ */
+router.get('/users', requireAuth, requireRole('admin'), listUserAccounts);
+
+/**
+ * POST /auth/users
+ * Create an account with any role (admin)
+ */
+router.post('/users', requireAuth, requireRole('admin'), createUserAccount);
+
+export default router;
@@ -0,0 +1,68 @@
+/**
+ * Authoring Routes
+ * Defines case authoring API endpoints (drafts, preview, publish, versions)
+ */
+
+import { Router } from 'express';
+import {
+  listAuthoringCases,
+  createCaseDraft,
+  getAuthoringCase,
+  updateCaseDraft,
+  discardCaseDraft,
+  previewCaseDraft,
+  publishCaseDraft,
+  getCaseVersion
+} from '../controllers/authoringController';
+
+const router = Router();
+
+/**
+ * GET /authoring/cases
+ * List every case with its draft and published versions
+ */
+router.get('/cases', listAuthoringCases);
+
+/**
+ * POST /authoring/cases
+ * Create a draft for a new case
+ */
+router.post('/cases', createCaseDraft);
+
+/**
+ * GET /authoring/cases/:caseId
+ * Get a case's draft and published versions
+ */
+router.get('/cases/:caseId', getAuthoringCase);
+
+/**
+ * PUT /authoring/cases/:caseId
+ * Save the draft of an existing case
+ */
+router.put('/cases/:caseId', updateCaseDraft);
+
+/**
+ * DELETE /authoring/cases/:caseId/draft
+ * Discard a case's draft
+ */
+router.delete('/cases/:caseId/draft', discardCaseDraft);
+
+/**
+ * GET /authoring/cases/:caseId/preview
+ * Validate a draft and show it as it would be published
+ */
+router.get('/cases/:caseId/preview', previewCaseDraft);
+
+/**
+ * POST /authoring/cases/:caseId/publish
+ * Publish a draft as a new version
+ */
+router.post('/cases/:caseId/publish', publishCaseDraft);
+
+/**
+ * GET /authoring/cases/:caseId/versions/:version
+ * Get a published version of a case
+ */
+router.get('/cases/:caseId/versions/:version', getCaseVersion);
+
+export default router;
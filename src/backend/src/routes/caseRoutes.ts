@@ -0,0 +1,17 @@
+/**
+ * Case Routes
+ * Defines case catalog API endpoints
+ */
+
+import { Router } from 'express';
+import { getCases } from '../controllers/caseController';
+
+const router = Router();
+
+/**
+ * GET /cases
+ * List the available cases (title, specialty, level, description, difficulty)
+ */
+router.get('/', getCases);
+
+export default router;
@@ -0,0 +1,18 @@
+/**
+ * Leaderboard Routes
+ * Defines leaderboard endpoints
+ */
+
+import { Router } from 'express';
+import { getLeaderboard } from '../controllers/leaderboardController';
+import { requireAuth } from '../middleware/auth';
+
+const router = Router();
+
+/**
+ * GET /leaderboard
+ * Rank users on a case or level (daily, weekly or all-time)
+ */
+router.get('/', requireAuth, getLeaderboard);
+
+export default router;
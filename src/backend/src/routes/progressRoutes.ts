@@ -0,0 +1,27 @@
+/**
+ * Progress Routes
+ * Defines attempt history and progress endpoints
+ */
+
+import { Router } from 'express';
+import { getAttemptHistory, getProgress } from '../controllers/progressController';
+import { requireAuth } from '../middleware/auth';
+
+const router = Router();
+
+// Progress belongs to the signed-in user
+router.use(requireAuth);
+
+/**
+ * GET /progress/attempts
+ * List completed attempts, newest first
+ */
+router.get('/attempts', getAttemptHistory);
+
+/**
+ * GET /progress/summary
+ * Get the best score per case and solved counts by difficulty
+ */
+router.get('/summary', getProgress);
+
+export default router;
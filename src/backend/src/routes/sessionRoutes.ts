@@ -7,14 +7,22 @@ import { Router } from 'express';
 import {
   startSession,
   sendMessage,
+  sendMessageStream,
   recordSessionAction,
+  getOrderCatalog,
+  getOrderResults,
+  getSessionState,
   exportSession,
   endSession,
   getFeedback
 } from '../controllers/sessionController';
+import { requireAuth } from '../middleware/auth';
 
 const router = Router();
 
+// Every session endpoint needs a signed-in user; each handler checks access to the session itself
+router.use(requireAuth);
+
 /**
  * POST /session/start
  * Start a new encounter session
@@ -27,12 +35,36 @@ router.post('/start', startSession);
  */
 router.post('/message', sendMessage);
 
+/**
+ * POST /session/message/stream
+ * Send a message and stream the patient's reply over Server-Sent Events
+ */
+router.post('/message/stream', sendMessageStream);
+
 /**
  * POST /session/action
  * Record an action and get deterministic result
  */
 router.post('/action', recordSessionAction);
 
+/**
+ * GET /session/catalog
+ * List what can be ordered in the session's case
+ */
+router.get('/catalog', getOrderCatalog);
+
+/**
+ * GET /session/results
+ * List pending and completed diagnostic results
+ */
+router.get('/results', getOrderResults);
+
+/**
+ * GET /session/state
+ * Get the transcript, timer and mode needed to resume a session
+ */
+router.get('/state', getSessionState);
+
 /**
  * POST /session/end
  * End a session and record submitted diagnosis
@@ -41,7 +73,7 @@ router.post('/end', endSession);
 
 /**
  * GET /session/export
- * Export full session data for scoring/leaderboard
+ * Export full session data for review and scoring (rankings: GET /leaderboard)
  */
 router.get('/export', exportSession);
 
@@ -0,0 +1,100 @@
+/**
+ * Auth Service
+ * Password hashing (scrypt) and signed bearer tokens.
+ *
+ * A token is "<payload>.<signature>": the base64url JSON { sub: userId, exp } signed with
+ * HMAC-SHA256 using AUTH_SECRET. Tokens carry no role - the user is looked up on every
+ * request, so role changes and deleted accounts take effect immediately.
+ */
+
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+// Tokens are valid for 12 hours
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+let secret: Buffer | null = null;
+
+/**
+ * Hash a password for storage ("scrypt$<salt>$<hash>", hex encoded)
+ */
+export function hashPassword(password: string): string {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export function verifyPassword(password: string, passwordHash: string): boolean {
+  const [scheme, saltHex, hashHex] = passwordHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Issue a bearer token for a user
+ */
+export function issueToken(userId: string): { token: string; expiresAt: number } {
+  const expiresAt = Date.now() + TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ sub: userId, exp: expiresAt })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Check a bearer token
+ *
+ * @returns The user ID it was issued to, or null if it is malformed, forged or expired
+ */
+export function verifyToken(token: string): string | null {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (typeof sub !== 'string' || typeof exp !== 'number' || exp < Date.now()) {
+      return null;
+    }
+    return sub;
+  } catch {
+    return null;
+  }
+}
+
+function sign(payload: string): string {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * AUTH_SECRET, or a random secret for this process (tokens then stop working on restart)
+ */
+function getSecret(): Buffer {
+  if (!secret) {
+    if (process.env.AUTH_SECRET) {
+      secret = Buffer.from(process.env.AUTH_SECRET);
+    } else {
+      console.warn('AUTH_SECRET is not set - using a random secret, so sign-ins end when the server restarts');
+      secret = randomBytes(32);
+    }
+  }
+
+  return secret;
+}
@@ -1,77 +1,351 @@
 /**
  * Case Loader
- * Loads and validates medical case JSON files
+ * Loads medical case JSON files and validates them against the case schema
+ * (src/shared/schemas/case.schema.json)
+ * 
+ * Cases come from two places: the built-in scenarios (src/shared/scenarios, version 1)
+ * and versions published through the authoring API (see caseRepository). The latest
+ * published version is what new sessions run.
+ * 
+ * Case files may extend another case, override single paths and collapse identical
+ * levels (see caseResolver); the loader always returns the resolved MedicalCase shape.
  */
 
-import { MedicalCase } from '../../../shared/types/case.types';
+import { MedicalCase, CaseDifficulty } from '../../../shared/types/case.types';
 import * as fs from 'fs';
 import * as path from 'path';
+import Ajv, { ErrorObject, ValidateFunction } from 'ajv';
+import caseSchema from '../../../shared/schemas/case.schema.json';
+import { listAuthoredCases, listVersions, readVersion } from './caseRepository';
+import { resolveCaseSource, parseExtends, CaseResolutionError } from './caseResolver';
+import { checkCaseVariants } from './caseVariants';
+import { checkCaseRubric, checkActionPlan } from '../feedback';
+
+/**
+ * One schema violation in a case file
+ */
+export interface CaseValidationIssue {
+  path: string; // JSON path, e.g. "$.physicalExam.vitals.level2.HR"
+  message: string;
+}
+
+/**
+ * Thrown when a case file doesn't match the case schema
+ * Lists every violation, not just the first.
+ */
+export class CaseValidationError extends Error {
+  caseId: string;
+  issues: CaseValidationIssue[];
+
+  constructor(caseId: string, issues: CaseValidationIssue[]) {
+    super(`Case ${caseId} is invalid (${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}):\n` +
+      issues.map(issue => `  ${issue.path}: ${issue.message}`).join('\n'));
+    this.name = 'CaseValidationError';
+    this.caseId = caseId;
+    this.issues = issues;
+  }
+}
+
+/**
+ * What the dashboard shows for each case
+ */
+export interface CaseSummary {
+  caseId: string;
+  title: string;
+  specialty?: string;
+  level: 1 | 2 | 3;
+  description?: string;
+  difficulty: CaseDifficulty;
+  version: number; // Latest published version
+}
+
+// Version number of the built-in scenario files
+export const BUILT_IN_VERSION = 1;
+
+const DIFFICULTY_BY_LEVEL: Record<1 | 2 | 3, CaseDifficulty> = {
+  1: 'Easy',
+  2: 'Medium',
+  3: 'Hard'
+};
+
+/**
+ * List every valid published case (built-in scenarios and authored cases)
+ * Cases that fail to load are skipped (and logged) so one bad case doesn't hide the rest.
+ * 
+ * @returns Case summaries, sorted by caseId
+ */
+export function listCases(): CaseSummary[] {
+  const caseIds = new Set(listBuiltInCaseIds());
+  for (const info of listAuthoredCases()) {
+    if (info.versions.length > 0) {
+      caseIds.add(info.caseId);
+    }
+  }
+  
+  const summaries: CaseSummary[] = [];
+  for (const caseId of [...caseIds].sort()) {
+    try {
+      const { caseData, version } = loadCaseVersion(caseId);
+      summaries.push(summarizeCase(caseData, version));
+    } catch (error: any) {
+      console.warn(`Skipping case ${caseId}:`, error?.message || error);
+    }
+  }
+  
+  return summaries;
+}
+
+/**
+ * What the dashboard shows for a case
+ */
+export function summarizeCase(caseData: MedicalCase, version: number): CaseSummary {
+  return {
+    caseId: caseData.caseId,
+    title: caseData.title,
+    specialty: caseData.specialty,
+    level: caseData.level,
+    description: caseData.description,
+    difficulty: caseData.difficulty || DIFFICULTY_BY_LEVEL[caseData.level],
+    version
+  };
+}
 
 /**
  * Load a medical case by ID
  * 
  * @param caseId - The unique identifier for the case (e.g., "chest-pain-001")
+ * @param version - Published version to load (default: the latest)
  * @returns The validated medical case object
- * @throws Error if case not found or validation fails
+ * @throws Error if case not found or not valid JSON
+ * @throws CaseValidationError if the case doesn't match the case schema
  */
-export function loadCase(caseId: string): MedicalCase {
+export function loadCase(caseId: string, version?: number): MedicalCase {
+  return loadCaseVersion(caseId, version).caseData;
+}
+
+/**
+ * Load a medical case by ID, along with the version that was loaded
+ * 
+ * @param caseId - The unique identifier for the case (e.g., "chest-pain-001")
+ * @param version - Published version to load (default: the latest)
+ * @throws Error if case not found or not valid JSON
+ * @throws CaseValidationError if the case doesn't match the case schema
+ */
+export function loadCaseVersion(caseId: string, version?: number): { caseData: MedicalCase; version: number } {
   // Sanitize caseId to prevent path traversal
   const safeCaseId = caseId.replace(/[^a-zA-Z0-9-]/g, '');
   
+  const { source, version: loadedVersion } = readCaseSource(safeCaseId, version);
+  
+  // Resolve extends/overrides/collapsed levels and validate the result
+  const { caseData, issues } = resolveCaseData(source, safeCaseId);
+  if (issues.length > 0) {
+    throw new CaseValidationError(caseId, issues);
+  }
+  
+  return { caseData: caseData as MedicalCase, version: loadedVersion };
+}
+
+/**
+ * Read a case file as written (before resolving extends, overrides and collapsed levels)
+ * 
+ * @param safeCaseId - Sanitized case ID
+ * @param version - Published version to read (default: the latest)
+ * @throws Error if case not found or not valid JSON
+ */
+function readCaseSource(safeCaseId: string, version?: number): { source: unknown; version: number } {
+  const publishedVersions = listVersions(safeCaseId);
+  const resolvedVersion = version ?? publishedVersions[publishedVersions.length - 1] ?? BUILT_IN_VERSION;
+  
+  if (publishedVersions.includes(resolvedVersion)) {
+    try {
+      return { source: readVersion(safeCaseId, resolvedVersion), version: resolvedVersion };
+    } catch (error) {
+      throw new Error(`Invalid JSON in case ${safeCaseId} version ${resolvedVersion}`);
+    }
+  }
+  
+  if (resolvedVersion === BUILT_IN_VERSION) {
+    return { source: readBuiltInCase(safeCaseId), version: resolvedVersion };
+  }
+  
+  throw new Error(`Case not found: ${safeCaseId} version ${resolvedVersion}`);
+}
+
+/**
+ * Pin an unversioned extends to the base case's current version ("chest-pain-001" → "chest-pain-001@2")
+ * Used when publishing, so a published version never changes when its base case does.
+ * 
+ * @param source - A case file as written
+ * @returns The case file with a pinned extends (unchanged if it has no extends or is already pinned)
+ */
+export function pinBaseVersion(source: unknown): unknown {
+  const baseRef = (source as any)?.extends;
+  if (typeof baseRef !== 'string') {
+    return source;
+  }
+  
+  const { caseId, version } = parseExtends(baseRef);
+  if (version !== undefined) {
+    return source;
+  }
+  
+  return { ...(source as object), extends: `${caseId}@${readCaseSource(caseId).version}` };
+}
+
+/**
+ * The version number the next publish of a case gets
+ */
+export function getNextCaseVersion(caseId: string): number {
+  const versions = listVersions(caseId);
+  const builtIn = listBuiltInCaseIds().includes(caseId) ? BUILT_IN_VERSION : 0;
+  
+  return Math.max(builtIn, ...versions) + 1;
+}
+
+/**
+ * IDs of the built-in scenario files
+ */
+export function listBuiltInCaseIds(): string[] {
+  const casesDir = getCasesDir();
+  if (!fs.existsSync(casesDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(casesDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => path.basename(name, '.json'))
+    .sort();
+}
+
+/**
+ * Read a built-in scenario file
+ */
+function readBuiltInCase(safeCaseId: string): unknown {
   // Build path to case file
-  // Use process.cwd() for more reliable path resolution (works with ts-node and compiled code)
-  const casesDir = path.join(process.cwd(), 'src', 'shared', 'scenarios');
-  const filePath = path.join(casesDir, `${safeCaseId}.json`);
+  const filePath = path.join(getCasesDir(), `${safeCaseId}.json`);
   
   // Check if file exists
   if (!fs.existsSync(filePath)) {
-    throw new Error(`Case not found: ${caseId}`);
+    throw new Error(`Case not found: ${safeCaseId}`);
   }
   
   // Read and parse JSON
   const fileContent = fs.readFileSync(filePath, 'utf-8');
-  let caseData: any;
   try {
-    caseData = JSON.parse(fileContent);
+    return JSON.parse(fileContent);
   } catch (error) {
-    throw new Error(`Invalid JSON in case ${caseId}`);
+    throw new Error(`Invalid JSON in case ${safeCaseId}`);
   }
-  
-  // Validate case structure
-  validateCase(caseData);
-  
-  return caseData as MedicalCase;
 }
 
 /**
- * Validate that a case object has all required fields
+ * Directory holding the case JSON files
+ * Use process.cwd() for more reliable path resolution (works with ts-node and compiled code)
+ */
+function getCasesDir(): string {
+  return path.join(process.cwd(), 'src', 'shared', 'scenarios');
+}
+
+/**
+ * Validate case data against the case schema
  * 
  * @param caseData - The raw case data from JSON
- * @returns true if valid
- * @throws Error with specific message if invalid
+ * @param expectedCaseId - The file's case ID, which caseId must match
+ * @returns Every violation found (empty if the case is valid)
  */
-function validateCase(caseData: any): boolean {
-  // Check top-level required fields
-  if (!caseData.caseId) throw new Error('Missing caseId');
-  if (!caseData.level || ![1, 2, 3].includes(caseData.level)) {
-    throw new Error('Invalid level - must be 1, 2, or 3');
+export function validateCaseData(caseData: unknown, expectedCaseId?: string): CaseValidationIssue[] {
+  return resolveCaseData(caseData, expectedCaseId).issues;
+}
+
+/**
+ * Resolve a case file (extends, overrides, collapsed levels) and validate the result
+ * 
+ * @param source - The case file as written
+ * @param expectedCaseId - The file's case ID, which caseId must match
+ * @returns The resolved case (null if it couldn't be resolved) and every violation found
+ */
+export function resolveCaseData(source: unknown, expectedCaseId?: string): { caseData: unknown; issues: CaseValidationIssue[] } {
+  let caseData: unknown;
+  try {
+    caseData = resolveCaseSource(
+      source,
+      (baseId, version) => readCaseSource(baseId.replace(/[^a-zA-Z0-9-]/g, ''), version).source,
+      expectedCaseId ? [expectedCaseId] : []
+    );
+  } catch (error: any) {
+    if (error instanceof CaseResolutionError) {
+      return { caseData: null, issues: [{ path: error.path, message: error.message }] };
+    }
+    throw error;
+  }
+  
+  const validate = getSchemaValidator();
+  const issues = validate(caseData)
+    ? [
+        ...checkCaseVariants(caseData as MedicalCase),
+        ...checkCaseRubric(caseData as MedicalCase),
+        ...checkActionPlan(caseData as MedicalCase)
+      ]
+    : (validate.errors || []).map(toIssue);
+  
+  const caseId = (caseData as any)?.caseId;
+  if (expectedCaseId && typeof caseId === 'string' && caseId !== expectedCaseId) {
+    issues.push({ path: '$.caseId', message: `must match the file name ("${expectedCaseId}")` });
+  }
+  
+  return { caseData, issues };
+}
+
+let schemaValidator: ValidateFunction | null = null;
+
+/**
+ * Compile the case schema once, on first use
+ */
+function getSchemaValidator(): ValidateFunction {
+  if (!schemaValidator) {
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    schemaValidator = ajv.compile(caseSchema);
   }
   
-  // Check patient info
-  if (!caseData.patient) throw new Error('Missing patient');
-  if (!caseData.patient.name) throw new Error('Missing patient.name');
-  if (!caseData.patient.age) throw new Error('Missing patient.age');
-  if (!caseData.patient.sex) throw new Error('Missing patient.sex');
-  if (!caseData.patient.personality) throw new Error('Missing patient.personality');
+  return schemaValidator;
+}
+
+/**
+ * Convert an Ajv error to a case validation issue with a JSON path
+ * e.g. instancePath "/diagnosis/differentials/2" → "$.diagnosis.differentials[2]"
+ */
+function toIssue(error: ErrorObject): CaseValidationIssue {
+  let jsonPath = '$' + error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(formatPathSegment)
+    .join('');
   
-  // Check medical content
-  if (!caseData.history) throw new Error('Missing history');
-  if (!caseData.physicalExam) throw new Error('Missing physicalExam');
-  if (!caseData.diagnosis) throw new Error('Missing diagnosis');
-  if (!caseData.diagnosis.primary) throw new Error('Missing primary diagnosis');
+  // Name the offending property for these errors, which are reported on its parent
+  const property = error.params.missingProperty ?? error.params.additionalProperty;
+  if (property !== undefined) {
+    jsonPath += formatPathSegment(String(property));
+  }
+  
+  let message = error.message || 'is invalid';
+  if (error.keyword === 'required') {
+    message = 'is required';
+  } else if (error.keyword === 'additionalProperties') {
+    message = 'is not a known property';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of ${(error.params.allowedValues as unknown[]).map(value => JSON.stringify(value)).join(', ')}`;
+  }
   
-  // Check guardrails exist
-  if (!caseData.guardrails) throw new Error('Missing guardrails');
+  return { path: jsonPath, message };
+}
+
+// "vitals" → ".vitals", "2" → "[2]", "Chest X-ray" → '["Chest X-ray"]'
+function formatPathSegment(segment: string): string {
+  if (/^\d+$/.test(segment)) {
+    return `[${segment}]`;
+  }
   
-  return true;
+  return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
 }
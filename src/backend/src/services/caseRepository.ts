@@ -0,0 +1,165 @@
+/**
+ * Case Repository
+ * File-based storage for authored cases: one editable draft per case, kept apart from
+ * its published versions. Published versions are immutable, so a session can always
+ * reload the exact case it ran.
+ *
+ * Layout (under CASE_DATA_DIR, default data/cases):
+ *   <caseId>/draft.json
+ *   <caseId>/versions/<version>.json
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface AuthoredCaseInfo {
+  caseId: string;
+  hasDraft: boolean;
+  draftUpdatedAt?: number; // Unix timestamp (ms)
+  versions: number[]; // Published versions, ascending
+}
+
+/**
+ * Directory holding authored cases
+ */
+export function getCaseDataDir(): string {
+  return path.resolve(process.cwd(), process.env.CASE_DATA_DIR || path.join('data', 'cases'));
+}
+
+/**
+ * List every case with a draft or a published version
+ */
+export function listAuthoredCases(): AuthoredCaseInfo[] {
+  const dataDir = getCaseDataDir();
+  if (!fs.existsSync(dataDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dataDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => getAuthoredCaseInfo(entry.name))
+    .filter((info): info is AuthoredCaseInfo => info !== null)
+    .sort((a, b) => a.caseId.localeCompare(b.caseId));
+}
+
+/**
+ * Draft and version info for one case
+ *
+ * @returns null if the case has neither a draft nor a published version
+ */
+export function getAuthoredCaseInfo(caseId: string): AuthoredCaseInfo | null {
+  const draftPath = getDraftPath(caseId);
+  const hasDraft = fs.existsSync(draftPath);
+  const versions = listVersions(caseId);
+
+  if (!hasDraft && versions.length === 0) {
+    return null;
+  }
+
+  return {
+    caseId,
+    hasDraft,
+    draftUpdatedAt: hasDraft ? fs.statSync(draftPath).mtimeMs : undefined,
+    versions
+  };
+}
+
+/**
+ * Read a case's draft
+ *
+ * @returns The raw draft (not necessarily a valid case), or null if there is none
+ */
+export function readDraft(caseId: string): unknown | null {
+  return readJson(getDraftPath(caseId));
+}
+
+/**
+ * Create or replace a case's draft
+ */
+export function saveDraft(caseId: string, caseData: unknown): void {
+  writeJson(getDraftPath(caseId), caseData);
+}
+
+/**
+ * Discard a case's draft
+ *
+ * @returns false if there was no draft
+ */
+export function deleteDraft(caseId: string): boolean {
+  const draftPath = getDraftPath(caseId);
+  if (!fs.existsSync(draftPath)) {
+    return false;
+  }
+
+  fs.unlinkSync(draftPath);
+  return true;
+}
+
+/**
+ * Published versions of a case, ascending
+ */
+export function listVersions(caseId: string): number[] {
+  const versionsDir = path.join(getCaseDir(caseId), 'versions');
+  if (!fs.existsSync(versionsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(versionsDir)
+    .map(file => file.match(/^(\d+)\.json$/))
+    .filter((match): match is RegExpMatchArray => match !== null)
+    .map(match => parseInt(match[1], 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Read a published version of a case
+ *
+ * @returns The case data, or null if the version doesn't exist
+ */
+export function readVersion(caseId: string, version: number): unknown | null {
+  return readJson(getVersionPath(caseId, version));
+}
+
+/**
+ * Publish a version of a case
+ *
+ * @throws Error if the version already exists (published versions never change)
+ */
+export function writeVersion(caseId: string, version: number, caseData: unknown): void {
+  const versionPath = getVersionPath(caseId, version);
+  if (fs.existsSync(versionPath)) {
+    throw new Error(`Version ${version} of case ${caseId} already exists`);
+  }
+
+  writeJson(versionPath, caseData);
+}
+
+function getCaseDir(caseId: string): string {
+  // Sanitize caseId to prevent path traversal
+  return path.join(getCaseDataDir(), caseId.replace(/[^a-zA-Z0-9-]/g, ''));
+}
+
+function getDraftPath(caseId: string): string {
+  return path.join(getCaseDir(caseId), 'draft.json');
+}
+
+function getVersionPath(caseId: string, version: number): string {
+  return path.join(getCaseDir(caseId), 'versions', `${version}.json`);
+}
+
+function readJson(filePath: string): unknown | null {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function writeJson(filePath: string, data: unknown): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Write then rename, so a crash never leaves a half-written case behind
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tempPath, filePath);
+}
@@ -0,0 +1,258 @@
+/**
+ * Case Resolver
+ * Resolves the authoring shortcuts a case file may use into the MedicalCase shape:
+ * - extends: "<caseId>" or "<caseId>@<version>" - start from another case; the fields in this
+ *   file are merged over it (objects merge key by key, arrays and other values replace)
+ * - overrides: { "<path>": value } - replace single values by path, e.g. "patient.age" or
+ *   'diagnostics.labs.results["Troponin"].level2.value'; a null value removes the property
+ * - collapsed levels: a leveled finding (vitals, exam findings, lab/imaging/EKG results) given as
+ *   one value applies to every level. An object with "all" sets every level, and a levelN next
+ *   to it replaces that level (object values are merged over "all").
+ */
+
+export type CaseSourceLoader = (caseId: string, version?: number) => unknown;
+
+/**
+ * A problem resolving a case file, located by JSON path
+ */
+export class CaseResolutionError extends Error {
+  path: string;
+
+  constructor(path: string, message: string) {
+    super(message);
+    this.name = 'CaseResolutionError';
+    this.path = path;
+  }
+}
+
+const LEVELS = ['level1', 'level2', 'level3'] as const;
+
+// Where leveled values live ("*" matches any key)
+const LEVELED_PATHS = [
+  ['physicalExam', '*'],
+  ['diagnostics', 'ekg'],
+  ['diagnostics', 'labs', 'results', '*'],
+  ['diagnostics', 'imaging', 'results', '*'],
+  ['diagnostics', 'other', '*']
+];
+
+/**
+ * Resolve a case file into the MedicalCase shape
+ *
+ * @param source - The case file as written
+ * @param loadSource - Loads another case file (for extends)
+ * @param chain - Case IDs already being resolved, to catch circular extends
+ * @returns The resolved case (not yet validated)
+ * @throws CaseResolutionError if the base case can't be loaded or an override can't be applied
+ */
+export function resolveCaseSource(source: unknown, loadSource: CaseSourceLoader, chain: string[] = []): unknown {
+  if (!isPlainObject(source)) {
+    return source;
+  }
+
+  const { extends: baseRef, overrides, ...fields } = source;
+  let resolved: Record<string, any> = expandLevels(clone(fields));
+
+  if (baseRef !== undefined) {
+    if (typeof baseRef !== 'string') {
+      throw new CaseResolutionError('$.extends', 'must be a case ID, optionally with a version ("chest-pain-001@2")');
+    }
+
+    const { caseId: baseId, version } = parseExtends(baseRef);
+    if (chain.includes(baseId)) {
+      throw new CaseResolutionError('$.extends', `circular extends (${[...chain, baseId].join(' → ')})`);
+    }
+
+    let baseSource: unknown;
+    try {
+      baseSource = loadSource(baseId, version);
+    } catch (error: any) {
+      throw new CaseResolutionError('$.extends', `base case "${baseRef}" could not be loaded (${error?.message || error})`);
+    }
+
+    let base: unknown;
+    try {
+      base = resolveCaseSource(baseSource, loadSource, [...chain, baseId]);
+    } catch (error: any) {
+      throw new CaseResolutionError('$.extends', `base case "${baseRef}" is invalid (${error?.message || error})`);
+    }
+
+    resolved = deepMerge(base, resolved);
+  }
+
+  if (overrides !== undefined) {
+    if (!isPlainObject(overrides)) {
+      throw new CaseResolutionError('$.overrides', 'must be an object mapping paths to values');
+    }
+
+    for (const [overridePath, value] of Object.entries(overrides)) {
+      applyOverride(resolved, overridePath, value);
+    }
+    resolved = expandLevels(resolved);
+  }
+
+  return resolved;
+}
+
+/**
+ * Split an extends reference into case ID and version
+ * "chest-pain-001@2" → { caseId: "chest-pain-001", version: 2 }
+ */
+export function parseExtends(baseRef: string): { caseId: string; version?: number } {
+  const match = baseRef.trim().match(/^([a-zA-Z0-9-]+)(?:@(\d+))?$/);
+  if (!match) {
+    throw new CaseResolutionError('$.extends', `invalid base case "${baseRef}" (expected "<caseId>" or "<caseId>@<version>")`);
+  }
+
+  return { caseId: match[1], version: match[2] ? parseInt(match[2], 10) : undefined };
+}
+
+/**
+ * Expand collapsed levels at every leveled path
+ */
+function expandLevels(caseData: Record<string, any>): Record<string, any> {
+  for (const pattern of LEVELED_PATHS) {
+    visit(caseData, pattern, (parent, key) => {
+      parent[key] = expandLeveledValue(parent[key]);
+    });
+  }
+
+  return caseData;
+}
+
+function expandLeveledValue(value: unknown): unknown {
+  if (!isPlainObject(value)) {
+    // One value for every level
+    return value === undefined || value === null ? value : { level1: value, level2: value, level3: value };
+  }
+
+  if (!('all' in value)) {
+    return value;
+  }
+
+  const { all, ...rest } = value;
+  const expanded: Record<string, unknown> = { ...rest };
+  for (const level of LEVELS) {
+    const levelValue = rest[level];
+    if (levelValue === undefined) {
+      expanded[level] = clone(all);
+    } else if (isPlainObject(all) && isPlainObject(levelValue)) {
+      expanded[level] = { ...clone(all), ...levelValue };
+    } else {
+      expanded[level] = levelValue;
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Call fn for every (parent, key) the path pattern matches
+ */
+function visit(node: unknown, pattern: string[], fn: (parent: Record<string, any>, key: string) => void): void {
+  if (!isPlainObject(node) || pattern.length === 0) {
+    return;
+  }
+
+  const [segment, ...rest] = pattern;
+  const keys = segment === '*' ? Object.keys(node) : segment in node ? [segment] : [];
+  for (const key of keys) {
+    if (rest.length === 0) {
+      fn(node, key);
+    } else {
+      visit(node[key], rest, fn);
+    }
+  }
+}
+
+/**
+ * Set (or with null, remove) the value at an override path
+ */
+function applyOverride(caseData: Record<string, any>, overridePath: string, value: unknown): void {
+  const location = `$.overrides[${JSON.stringify(overridePath)}]`;
+  const segments = parsePath(overridePath, location);
+
+  let node: any = caseData;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = segments[i];
+    if (node[segment] === undefined || node[segment] === null) {
+      if (value === null) {
+        return; // Nothing to remove
+      }
+      node[segment] = typeof segments[i + 1] === 'number' ? [] : {};
+    }
+    node = node[segment];
+    if (typeof node !== 'object') {
+      throw new CaseResolutionError(location, `"${segments.slice(0, i + 1).join('.')}" is not an object or array`);
+    }
+  }
+
+  const last = segments[segments.length - 1];
+  if (value === null) {
+    if (Array.isArray(node) && typeof last === 'number') {
+      node.splice(last, 1);
+    } else {
+      delete node[last];
+    }
+  } else {
+    node[last] = clone(value);
+  }
+}
+
+/**
+ * Split an override path into keys and array indices
+ * 'diagnostics.labs.results["Chest X-ray"].level1' → ["diagnostics", "labs", "results", "Chest X-ray", "level1"]
+ */
+function parsePath(overridePath: string, location: string): Array<string | number> {
+  const segments: Array<string | number> = [];
+  const pattern = /\.?([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y;
+  const text = overridePath.replace(/^\$\.?/, '');
+
+  let index = 0;
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match || (index === 0 && text.startsWith('.'))) {
+      throw new CaseResolutionError(location, `invalid path at "${text.slice(index)}"`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(parseInt(match[2], 10));
+    } else {
+      segments.push(JSON.parse(match[3]));
+    }
+    index = pattern.lastIndex;
+  }
+
+  if (segments.length === 0) {
+    throw new CaseResolutionError(location, 'path is empty');
+  }
+
+  return segments;
+}
+
+/**
+ * Merge override over base: objects merge key by key, anything else replaces
+ */
+function deepMerge(base: unknown, override: unknown): any {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return clone(override);
+  }
+
+  const merged: Record<string, unknown> = clone(base);
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in merged ? deepMerge(merged[key], value) : clone(value);
+  }
+
+  return merged;
+}
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function clone<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
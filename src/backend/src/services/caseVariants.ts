@@ -0,0 +1,210 @@
+/**
+ * Case Variants
+ * Generates a seeded variant of a case from its "variants" block: a name from the name pool,
+ * an age in range, shifted vitals and lab values, and one of the alternate medication lists.
+ * The same case and seed always give the same variant, so a session's seed is all that's
+ * needed to rebuild the exact case it ran (for feedback and export).
+ */
+
+import { randomInt } from 'crypto';
+import { MedicalCase, VitalSigns, VariantJitter } from '../../../shared/types/case.types';
+
+const LEVELS = ['level1', 'level2', 'level3'] as const;
+
+/**
+ * A new random variant seed
+ */
+export function createVariantSeed(): number {
+  return randomInt(0, 0x100000000);
+}
+
+/**
+ * Build the variant of a case for a seed
+ * Cases without a variants block are returned unchanged (as a copy).
+ *
+ * @param caseData - The resolved, validated case
+ * @param seed - Variant seed (see createVariantSeed)
+ * @returns The case with its randomized parameters drawn (the variants block itself removed)
+ */
+export function applyCaseVariant(caseData: MedicalCase, seed: number): MedicalCase {
+  const { variants, ...fields } = caseData;
+  const variant: MedicalCase = JSON.parse(JSON.stringify(fields));
+  if (!variants) {
+    return variant;
+  }
+
+  // Draws are made in a fixed order, so a seed always gives the same variant
+  const random = createRandom(seed);
+
+  if (variants.names && variants.names.length > 0) {
+    variant.patient.name = pick(variants.names, random);
+  }
+
+  if (variants.ageRange) {
+    const { min, max } = variants.ageRange;
+    const age = min + Math.floor(random() * (max - min + 1));
+    const ageText = new RegExp(`\\b${caseData.patient.age}-year-old\\b`, 'g');
+    variant.patient.age = age;
+    if (variant.description) {
+      variant.description = variant.description.replace(ageText, `${age}-year-old`);
+    }
+    variant.history.hpi = variant.history.hpi.replace(ageText, `${age}-year-old`);
+  }
+
+  if (variants.medications && variants.medications.length > 0) {
+    variant.history.medications = [...pick(variants.medications, random)];
+  }
+
+  if (variants.vitals) {
+    const shifts = drawShifts(variants.vitals, random);
+    for (const level of LEVELS) {
+      shiftVitals(variant.physicalExam.vitals[level], variants.vitals, shifts);
+    }
+
+    // Progression sets absolute vitals; shift those too so changes stay relative to the variant
+    const { progression } = variant;
+    for (const change of [...(progression.timeBasedChanges ?? []), ...(progression.actionTriggeredChanges ?? [])]) {
+      if (change.changes.vitals) {
+        shiftVitals(change.changes.vitals, variants.vitals, shifts);
+      }
+    }
+    for (const rule of progression.deterioration ?? []) {
+      if (rule.newVitals) {
+        shiftVitals(rule.newVitals, variants.vitals, shifts);
+      }
+    }
+  }
+
+  const labResults = variant.diagnostics.labs?.results;
+  for (const [testName, fields] of Object.entries(variants.labs ?? {})) {
+    const shifts = drawShifts(fields, random);
+    const result = labResults?.[testName];
+    if (!result) {
+      continue;
+    }
+    for (const level of LEVELS) {
+      for (const [field, jitter] of Object.entries(fields)) {
+        const value = result[level][field];
+        if (typeof value === 'number') {
+          result[level][field] = shiftValue(value, shifts[field], jitter);
+        }
+      }
+    }
+  }
+
+  return variant;
+}
+
+/**
+ * Problems in a case's variants block that the schema can't catch
+ *
+ * @returns Issues located by JSON path (empty if the block is fine or absent)
+ */
+export function checkCaseVariants(caseData: MedicalCase): Array<{ path: string; message: string }> {
+  const issues: Array<{ path: string; message: string }> = [];
+  const { variants } = caseData;
+  if (!variants) {
+    return issues;
+  }
+
+  if (variants.ageRange && variants.ageRange.min > variants.ageRange.max) {
+    issues.push({ path: '$.variants.ageRange', message: 'min must not be greater than max' });
+  }
+
+  const checkBounds = (jitter: VariantJitter, jsonPath: string) => {
+    if (jitter.min !== undefined && jitter.max !== undefined && jitter.min > jitter.max) {
+      issues.push({ path: jsonPath, message: 'min must not be greater than max' });
+    }
+  };
+
+  for (const [vital, jitter] of Object.entries(variants.vitals ?? {})) {
+    checkBounds(jitter, `$.variants.vitals${formatKey(vital)}`);
+  }
+
+  for (const [testName, fields] of Object.entries(variants.labs ?? {})) {
+    if (!caseData.diagnostics.labs?.results[testName]) {
+      issues.push({ path: `$.variants.labs${formatKey(testName)}`, message: 'is not a lab test with results in this case' });
+      continue;
+    }
+    for (const [field, jitter] of Object.entries(fields)) {
+      checkBounds(jitter, `$.variants.labs${formatKey(testName)}${formatKey(field)}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Draw one shift per key, in key order
+ */
+function drawShifts(jitters: { [key: string]: VariantJitter }, random: () => number): Record<string, number> {
+  const shifts: Record<string, number> = {};
+  for (const [key, jitter] of Object.entries(jitters)) {
+    shifts[key] = (random() * 2 - 1) * jitter.range;
+  }
+
+  return shifts;
+}
+
+/**
+ * Shift the numeric vitals (and the two halves of BP) that have a jitter
+ */
+function shiftVitals(
+  vitals: Partial<VitalSigns>,
+  jitters: { [vital: string]: VariantJitter },
+  shifts: Record<string, number>
+): void {
+  for (const [vital, jitter] of Object.entries(jitters)) {
+    const value = vitals[vital];
+    if (typeof value === 'number') {
+      vitals[vital] = shiftValue(value, shifts[vital], jitter);
+    }
+  }
+
+  const bp = typeof vitals.BP === 'string' ? vitals.BP.match(/^(\d+)\/(\d+)$/) : null;
+  if (bp && (jitters.systolic || jitters.diastolic)) {
+    const systolic = jitters.systolic ? shiftValue(Number(bp[1]), shifts.systolic, jitters.systolic) : bp[1];
+    const diastolic = jitters.diastolic ? shiftValue(Number(bp[2]), shifts.diastolic, jitters.diastolic) : bp[2];
+    vitals.BP = `${systolic}/${diastolic}`;
+  }
+}
+
+/**
+ * Apply a shift, keep the result within the jitter's bounds and round it
+ */
+function shiftValue(value: number, shift: number, jitter: VariantJitter): number {
+  let shifted = value + shift;
+  if (jitter.min !== undefined) {
+    shifted = Math.max(shifted, jitter.min);
+  }
+  if (jitter.max !== undefined) {
+    shifted = Math.min(shifted, jitter.max);
+  }
+
+  const factor = 10 ** (jitter.decimals ?? 0);
+  return Math.round(shifted * factor) / factor;
+}
+
+function pick<T>(items: T[], random: () => number): T {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+// "HR" → ".HR", "Chest X-ray" → '["Chest X-ray"]'
+function formatKey(key: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
@@ -0,0 +1,434 @@
+/**
+ * Clinical State Engine
+ * Tracks the patient's live vitals, symptoms and emotional state for a session
+ * and applies the case's progression rules as simulated time passes
+ */
+
+import { MedicalCase, TimeBasedChange, ActionTriggeredChange, DeteriorationRule } from '../../../shared/types/case.types';
+import { Session, ClinicalState, PendingEffect, OutcomeStatus } from '../models/session.types';
+import { matchesAction, matchesHarmfulAction } from '../utils/actionMatching';
+
+// Bounds of a session's time scale
+export const MIN_TIME_SCALE = 1;
+export const MAX_TIME_SCALE = 20;
+
+// Simulated minutes per real minute set for every session (e.g., 5 = a 7-minute encounter
+// covers 35 clinical minutes). Unset: each case gets a scale that fits its timeline (getDefaultTimeScale)
+const CONFIGURED_TIME_SCALE = readConfiguredTimeScale();
+
+// Scale for sessions created without a case timeline to fit
+export const DEFAULT_TIME_SCALE = CONFIGURED_TIME_SCALE ?? 1;
+
+// Share of the encounter by which the case's last timed change should have come due
+const TIMELINE_FIT = 0.75;
+
+// Words that describe how an action was carried out rather than what it was
+const ACTION_STATUS_WORDS = /\b(given|administered|ordered|obtained|performed|done|started|checked)\b/g;
+
+// Severity order of outcomes (higher is worse)
+const OUTCOME_RANK: Record<OutcomeStatus, number> = {
+  stable: 0,
+  deteriorated: 1,
+  arrested: 2
+};
+
+/**
+ * Create the initial clinical state for a case at the given level
+ *
+ * @param caseData - The loaded medical case
+ * @param level - Difficulty level of the session
+ * @returns A fresh clinical state
+ */
+export function createClinicalState(caseData: MedicalCase, level: 1 | 2 | 3): ClinicalState {
+  const levelKey = `level${level}` as 'level1' | 'level2' | 'level3';
+
+  return {
+    vitals: { ...caseData.physicalExam.vitals[levelKey] },
+    symptoms: [],
+    patientState: caseData.physicalExam.general[levelKey],
+    emotionalState: caseData.patient.personality.emotionalState,
+    evaluatedTimeChanges: [],
+    triggeredActionChanges: [],
+    pendingEffects: [],
+    pendingPatientResponses: [],
+    evaluatedDeteriorations: [],
+    triggeredContraindications: [],
+    deteriorations: [],
+    findings: [],
+    events: []
+  };
+}
+
+/**
+ * Get the simulated minutes elapsed in a session
+ * The clock stops when the session ends
+ *
+ * @param session - The session
+ * @param now - Reference time (ms), defaults to the current time
+ */
+export function getSimulatedMinutes(session: Session, now: number = Date.now()): number {
+  const end = session.endedAt !== undefined ? Math.min(now, session.endedAt) : now;
+  return ((end - session.createdAt) / 60000) * session.timeScale;
+}
+
+/**
+ * Work out the time scale for a new session of a case
+ * Without SIMULATION_TIME_SCALE, the scale is chosen so the case's last time-based change
+ * or deterioration deadline comes due three quarters of the way through the encounter -
+ * a 30-minute timeline in a 5-minute encounter runs at 8x.
+ *
+ * @param caseData - The medical case
+ * @param encounterSec - Expected length of the encounter (the level's time limit)
+ * @returns Simulated minutes per real minute, between MIN_TIME_SCALE and MAX_TIME_SCALE
+ */
+export function getDefaultTimeScale(caseData: MedicalCase, encounterSec: number): number {
+  if (CONFIGURED_TIME_SCALE !== undefined) {
+    return CONFIGURED_TIME_SCALE;
+  }
+
+  const progression = caseData.progression;
+  const lastMinute = Math.max(
+    0,
+    ...(progression?.timeBasedChanges ?? []).map(change => change.atMinute),
+    ...(progression?.deterioration ?? []).map(rule => parseDeteriorationTrigger(rule.trigger).deadlineMinute ?? 0)
+  );
+
+  const scale = lastMinute / ((encounterSec / 60) * TIMELINE_FIT);
+  return Math.round(Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE) * 10) / 10;
+}
+
+/**
+ * Convert a simulated minute into a real timestamp for a session
+ */
+export function minuteToTimestamp(session: Session, minute: number): number {
+  return session.createdAt + (minute / session.timeScale) * 60000;
+}
+
+/**
+ * Bring a session's clinical state up to date with the simulated clock
+ * Applies every time-based change whose minute has passed and whose condition holds,
+ * every scheduled treatment effect whose delay has expired, every deterioration
+ * rule that has been triggered, and the deterioration of any contraindicated action the
+ * learner took. A deterioration that ends the encounter sets
+ * session.outcome with endedEncounter: true - callers are responsible for ending the session
+ *
+ * @param session - The session to update (mutated in place)
+ * @param now - Reference time (ms), defaults to the current time
+ * @returns The updated clinical state
+ */
+export function updateClinicalState(session: Session, now: number = Date.now()): ClinicalState {
+  const state = session.clinicalState;
+  const minute = getSimulatedMinutes(session, now);
+  const progression = session.case.progression;
+  const timeBasedChanges = progression?.timeBasedChanges ?? [];
+  const actionTriggeredChanges = progression?.actionTriggeredChanges ?? [];
+  const deteriorationRules = progression?.deterioration ?? [];
+  const contraindications = session.case.diagnosis.contraindications ?? [];
+
+  // Collect everything that has come due, then apply in chronological order so later changes win
+  const due: Array<{ atMinute: number; apply: () => void }> = [];
+
+  timeBasedChanges.forEach((change, index) => {
+    if (change.atMinute > minute || state.evaluatedTimeChanges.includes(index)) return;
+    state.evaluatedTimeChanges.push(index);
+
+    // Conditions are judged on what had been done by the time the change was due
+    if (change.condition && !evaluateCondition(session, change.condition, change.atMinute)) return;
+
+    due.push({ atMinute: change.atMinute, apply: () => applyTimeBasedChange(state, change) });
+  });
+
+  const stillPending: PendingEffect[] = [];
+  for (const effect of state.pendingEffects) {
+    const change = actionTriggeredChanges[effect.changeIndex];
+    if (effect.dueAtMinute > minute || !change) {
+      stillPending.push(effect);
+      continue;
+    }
+    due.push({ atMinute: effect.dueAtMinute, apply: () => applyActionTriggeredChange(state, change, effect) });
+  }
+  state.pendingEffects = stillPending;
+
+  deteriorationRules.forEach((rule, index) => {
+    if (state.evaluatedDeteriorations.includes(index)) return;
+
+    const { condition, deadlineMinute } = parseDeteriorationTrigger(rule.trigger);
+
+    if (deadlineMinute !== undefined) {
+      // "... within 20 minutes" rules are settled once, at their deadline
+      if (deadlineMinute > minute) return;
+      state.evaluatedDeteriorations.push(index);
+      if (!evaluateCondition(session, condition, deadlineMinute)) return;
+      due.push({ atMinute: deadlineMinute, apply: () => applyDeterioration(session, rule, deadlineMinute) });
+      return;
+    }
+
+    // Rules without a deadline fire as soon as their condition holds
+    if (evaluateCondition(session, condition, minute)) {
+      state.evaluatedDeteriorations.push(index);
+      due.push({ atMinute: minute, apply: () => applyDeterioration(session, rule, minute) });
+    }
+  });
+
+  // Contraindicated actions take effect at the minute they were recorded
+  contraindications.forEach((contraindication, index) => {
+    if (!contraindication.deterioration || state.triggeredContraindications.includes(index)) return;
+
+    const action = session.actions.find(candidate =>
+      candidate.timestamp <= now && matchesHarmfulAction(candidate.actionType, contraindication.action)
+    );
+    if (!action) return;
+
+    state.triggeredContraindications.push(index);
+    const rule: DeteriorationRule = {
+      ...contraindication.deterioration,
+      trigger: `${contraindication.action} (contraindicated: ${contraindication.reason})`
+    };
+    const atMinute = getSimulatedMinutes(session, action.timestamp);
+    due.push({ atMinute, apply: () => applyDeterioration(session, rule, atMinute) });
+  });
+
+  due
+    .sort((a, b) => a.atMinute - b.atMinute)
+    .forEach(item => item.apply());
+
+  return state;
+}
+
+/**
+ * Schedule the case's action-triggered changes for a newly recorded action
+ * e.g. recording "gave_aspirin" schedules the "aspirin_given" change after its delay
+ *
+ * @param session - The session (mutated in place)
+ * @param actionType - The action that was just recorded
+ * @param now - Reference time (ms), defaults to the current time
+ * @returns The effects that were scheduled by this action
+ */
+export function scheduleActionEffects(
+  session: Session,
+  actionType: string,
+  now: number = Date.now()
+): PendingEffect[] {
+  const state = session.clinicalState;
+  const minute = getSimulatedMinutes(session, now);
+  const actionTriggeredChanges = session.case.progression?.actionTriggeredChanges ?? [];
+  const scheduled: PendingEffect[] = [];
+
+  actionTriggeredChanges.forEach((change, index) => {
+    // Each treatment response happens once, even if the action is repeated
+    if (state.triggeredActionChanges.includes(index)) return;
+
+    const { term } = parseClause(change.trigger.replace(/_/g, ' '));
+    if (!term || !matchesAction(actionType, term)) return;
+
+    const effect: PendingEffect = {
+      changeIndex: index,
+      trigger: change.trigger,
+      scheduledAtMinute: minute,
+      dueAtMinute: minute + (change.delay ?? 0)
+    };
+    state.triggeredActionChanges.push(index);
+    state.pendingEffects.push(effect);
+    scheduled.push(effect);
+  });
+
+  // Apply anything with no delay, and the harm of a contraindicated action, straight away
+  const contraindicated = (session.case.diagnosis.contraindications ?? []).some(contraindication =>
+    contraindication.deterioration && matchesHarmfulAction(actionType, contraindication.action)
+  );
+  if (scheduled.length > 0 || contraindicated) {
+    updateClinicalState(session, now);
+  }
+
+  return scheduled;
+}
+
+/**
+ * Take the patient's queued response lines (e.g., "I do feel a bit better")
+ * so they can be included in the next reply
+ *
+ * @param session - The session (mutated in place)
+ * @returns Lines to include, in the order their effects occurred
+ */
+export function consumePatientResponses(session: Session): string[] {
+  const responses = session.clinicalState.pendingPatientResponses;
+  session.clinicalState.pendingPatientResponses = [];
+  return responses;
+}
+
+/**
+ * Evaluate a case condition such as "no aspirin given" or "no aspirin and no EKG"
+ * against the actions recorded before the given simulated minute
+ *
+ * @param session - The session whose actions are checked
+ * @param condition - Condition text from the case
+ * @param atMinute - Only actions performed up to this simulated minute count
+ * @returns True if every clause of the condition holds
+ */
+export function evaluateCondition(session: Session, condition: string, atMinute: number): boolean {
+  const cutoff = minuteToTimestamp(session, atMinute);
+  const actionsSoFar = session.actions.filter(action => action.timestamp <= cutoff);
+
+  return condition
+    .split(/\s+and\s+/i)
+    .map(clause => parseClause(clause))
+    .every(({ negated, term }) => {
+      if (!term) return true; // Nothing checkable in this clause
+      const performed = actionsSoFar.some(action => matchesAction(action.actionType, term));
+      return negated ? !performed : performed;
+    });
+}
+
+/**
+ * Split a condition clause into its action term and whether it is negated
+ * e.g. "no aspirin given" → { negated: true, term: "aspirin" }
+ */
+function parseClause(clause: string): { negated: boolean; term: string } {
+  let text = clause.trim().toLowerCase();
+  const negated = /^(no|not|without)\s+/.test(text);
+
+  text = text
+    .replace(/^(no|not|without)\s+/, '')
+    .replace(ACTION_STATUS_WORDS, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { negated, term: text };
+}
+
+/**
+ * Apply a time-based change to the clinical state
+ */
+function applyTimeBasedChange(state: ClinicalState, change: TimeBasedChange): void {
+  const { vitals, symptoms, patientState, emotionalState } = change.changes;
+
+  if (vitals) {
+    state.vitals = { ...state.vitals, ...vitals } as ClinicalState['vitals'];
+  }
+  if (symptoms) {
+    state.symptoms.push(symptoms);
+  }
+  if (patientState) {
+    state.patientState = patientState;
+  }
+  if (emotionalState) {
+    state.emotionalState = emotionalState;
+  }
+
+  state.events.push({
+    atMinute: change.atMinute,
+    source: 'time',
+    description: `Time-based change at minute ${change.atMinute}${change.condition ? ` (${change.condition})` : ''}`
+  });
+}
+
+/**
+ * Read SIMULATION_TIME_SCALE, kept within the bounds of a session's time scale
+ */
+function readConfiguredTimeScale(): number | undefined {
+  const value = process.env.SIMULATION_TIME_SCALE;
+  if (!value) {
+    return undefined;
+  }
+
+  const scale = Number(value);
+  if (!(scale > 0)) {
+    console.warn(`Invalid SIMULATION_TIME_SCALE "${value}", fitting each case's timeline instead`);
+    return undefined;
+  }
+
+  const clamped = Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+  if (clamped !== scale) {
+    console.warn(`SIMULATION_TIME_SCALE ${value} is outside ${MIN_TIME_SCALE}-${MAX_TIME_SCALE}, using ${clamped}`);
+  }
+  return clamped;
+}
+
+/**
+ * Split a deterioration trigger into its condition and optional deadline
+ * e.g. "no aspirin given within 20 minutes" → { condition: "no aspirin given", deadlineMinute: 20 }
+ */
+function parseDeteriorationTrigger(trigger: string): { condition: string; deadlineMinute?: number } {
+  const match = trigger.match(/^(.*?)\s+within\s+(\d+(?:\.\d+)?)\s*(?:min|mins|minute|minutes)\b/i);
+  if (!match) {
+    return { condition: trigger };
+  }
+  return { condition: match[1], deadlineMinute: Number(match[2]) };
+}
+
+/**
+ * Apply a deterioration rule and record the resulting patient outcome
+ */
+function applyDeterioration(session: Session, rule: DeteriorationRule, atMinute: number): void {
+  const state = session.clinicalState;
+
+  if (rule.newVitals) {
+    state.vitals = { ...state.vitals, ...rule.newVitals } as ClinicalState['vitals'];
+  }
+  if (rule.newSymptoms) {
+    state.symptoms.push(rule.newSymptoms);
+  }
+  if (rule.newFindings) {
+    state.findings.push(rule.newFindings);
+    state.patientState = rule.newFindings;
+  }
+
+  state.deteriorations.push({ trigger: rule.trigger, severity: rule.severity, atMinute });
+  state.events.push({
+    atMinute,
+    source: 'deterioration',
+    description: `Deterioration (${rule.severity}): ${rule.trigger}`
+  });
+
+  // Keep the worst outcome seen so far
+  const status: OutcomeStatus = rule.outcome ?? 'deteriorated';
+  const endsEncounter = rule.endsEncounter ?? rule.severity === 'critical';
+  const current = session.outcome;
+  if (!current || OUTCOME_RANK[status] > OUTCOME_RANK[current.status] || (endsEncounter && !current.endedEncounter)) {
+    session.outcome = {
+      status,
+      trigger: rule.trigger,
+      description: [rule.newFindings, rule.newSymptoms].filter(Boolean).join('. ') || undefined,
+      atMinute,
+      endedEncounter: endsEncounter
+    };
+  }
+}
+
+/**
+ * Apply a treatment effect whose delay has expired
+ */
+function applyActionTriggeredChange(
+  state: ClinicalState,
+  change: ActionTriggeredChange,
+  effect: PendingEffect
+): void {
+  const { vitals, symptoms, patientResponse, emotionalState } = change.changes;
+
+  if (vitals) {
+    state.vitals = { ...state.vitals, ...vitals } as ClinicalState['vitals'];
+  }
+  if (symptoms) {
+    state.symptoms.push(symptoms);
+  }
+  if (emotionalState) {
+    state.emotionalState = emotionalState;
+  }
+  if (patientResponse) {
+    state.pendingPatientResponses.push(patientResponse);
+  }
+
+  state.events.push({
+    atMinute: effect.dueAtMinute,
+    source: 'action',
+    description: `Effect of ${effect.trigger.replace(/_/g, ' ')} (scheduled at minute ${Math.round(effect.scheduledAtMinute)})`
+  });
+}
+
+/**
+ * Format current vitals for display
+ */
+export function formatVitals(state: ClinicalState): string {
+  const { BP, HR, RR, temp, O2 } = state.vitals;
+  return `Vitals: BP ${BP}, HR ${HR} bpm, RR ${RR}/min, Temp ${temp}°C, O2 Sat ${O2}%`;
+}
@@ -0,0 +1,234 @@
+/**
+ * Fact Revealer
+ * Classifies learner messages into history domains and reveals the matching case facts,
+ * honoring the case's revealRules. Every reveal (and every fact withheld for lack of
+ * rapport) is recorded in the session's reveal log.
+ */
+
+import { MedicalCase } from '../../../shared/types/case.types';
+import { Session, RevealEvent, HistoryDomain } from '../models/session.types';
+
+// Direct questions about each history domain
+const DOMAIN_PATTERNS: Record<Exclude<HistoryDomain, 'socialHistory'>, RegExp> = {
+  hpi: /\b(pain|hurts?|symptoms?|started|start|when did|how long|describe|what brings|what happened|going on|feel(ing)?|worse|better|radiat\w*|spread)\b/,
+  pmh: /\b(medical (history|problems?|conditions?)|past (medical )?history|health (problems?|conditions?|issues?)|conditions?|diagnosed|illness(es)?|surger(y|ies)|operations?|hospitali[sz]ed|chronic|history of)\b/,
+  medications: /\b(medications?|medicines?|meds|pills?|prescri(bed|ptions?)|tablets?|take anything|taking anything)\b/,
+  allergies: /\b(allerg(y|ies|ic)|reactions? to)\b/,
+  familyHistory: /\b(family|father|mother|dad|mom|parents?|siblings?|brothers?|sisters?|relatives?|runs? in)\b/
+};
+
+// Where one question ends and the next begins ("Do you have diabetes, and does it run in your family?")
+const CLAUSE_BREAK = /[.?!;,]|\b(?:and|but|also)\b/;
+
+// Social history topics (keys match MedicalHistory.socialHistory)
+const SOCIAL_TOPIC_PATTERNS: Record<string, RegExp> = {
+  smoking: /\b(smoke|smoking|smoker|smoked|cigarettes?|tobacco|vape|vaping|nicotine)\b/,
+  alcohol: /\b(alcohol|drinks?|drinking|beer|wine|liquor)\b/,
+  drugs: /\b(recreational|street drugs|illicit|cocaine|marijuana|cannabis|weed|substances?|use drugs|drug use|use any drugs)\b/,
+  occupation: /\b(work|job|occupation|for a living|employed|retired)\b/,
+  livingSituation: /\b(live with|living situation|live alone|who (do you live|is at home)|married|spouse|wife|husband|partner)\b/
+};
+
+// Broad questions that cover every social history topic
+const GENERAL_SOCIAL_PATTERN = /\b(social history|lifestyle|habits)\b/;
+
+// Introductions and empathy that establish rapport
+const RAPPORT_PATTERN = /\b(my name is|i'?m (dr|doctor)|i am (dr|doctor)|i'?m (a|the|your) (doctor|student|nurse|physician)|nice to meet|sorry|must be|i understand|thank you|thanks|how are you|here to help|take your time|that sounds)\b/;
+
+// Lay terms patients and learners use for common conditions
+const CONDITION_ALIASES: Record<string, string[]> = {
+  hypertension: ['blood pressure', 'bp'],
+  diabetes: ['sugar', 'diabetic'],
+  hyperlipidemia: ['cholesterol', 'lipids'],
+  asthma: ['inhaler', 'wheez'],
+  'coronary artery disease': ['heart disease', 'heart problems'],
+  'myocardial infarction': ['heart attack']
+};
+
+// Words too generic to identify a condition
+const CONDITION_STOP_WORDS = new Set(['type', 'with', 'without', 'controlled', 'uncontrolled', 'history', 'chronic', 'mellitus', 'disease']);
+
+export interface MessageClassification {
+  domains: HistoryDomain[]; // History domains the message asks about
+  socialTopics: string[]; // Social history topics asked about
+  conditions: string[]; // PMH items mentioned by name
+  generalPmh: boolean; // Asks about past medical history in general, not only conditions by name
+  buildsRapport: boolean;
+}
+
+/**
+ * Classify a learner message into history domains
+ *
+ * @param caseData - The medical case (used to recognize PMH items by name)
+ * @param message - The learner's message
+ * @returns What the message asks about
+ */
+export function classifyMessage(caseData: MedicalCase, message: string): MessageClassification {
+  const text = message.toLowerCase();
+
+  // Clauses about relatives ("does diabetes run in your family?", "your father's diabetes")
+  // ask about family history, not the patient's own
+  const personalText = text.split(CLAUSE_BREAK)
+    .filter(clause => !DOMAIN_PATTERNS.familyHistory.test(clause))
+    .join('. ');
+
+  const domains = (Object.keys(DOMAIN_PATTERNS) as Array<keyof typeof DOMAIN_PATTERNS>)
+    .filter(domain => DOMAIN_PATTERNS[domain].test(domain === 'pmh' ? personalText : text)) as HistoryDomain[];
+  const generalPmh = domains.includes('pmh');
+
+  const socialTopics = GENERAL_SOCIAL_PATTERN.test(text)
+    ? Object.keys(SOCIAL_TOPIC_PATTERNS)
+    : Object.keys(SOCIAL_TOPIC_PATTERNS).filter(topic => SOCIAL_TOPIC_PATTERNS[topic].test(text));
+  if (socialTopics.length > 0) {
+    domains.push('socialHistory');
+  }
+
+  const conditions = caseData.history.pmh.filter(condition => mentionsCondition(personalText, condition));
+  if (conditions.length > 0 && !domains.includes('pmh')) {
+    domains.push('pmh');
+  }
+
+  return {
+    domains,
+    socialTopics,
+    conditions,
+    generalPmh,
+    buildsRapport: RAPPORT_PATTERN.test(text)
+  };
+}
+
+/**
+ * Reveal the case facts a learner message asks about
+ * Call after the message has been appended, so it is part of the conversation.
+ *
+ * Rules:
+ * - always: revealed at session start
+ * - when_asked: revealed by any question about the domain
+ * - only_if_asked: revealed only for the specific topic asked about (e.g., smoking, not alcohol)
+ * - requires_rapport: revealed when asked, once the learner has introduced themselves or shown empathy
+ * - if_relevant: a general question reveals everything; otherwise only the conditions asked about by name
+ * - volunteers: revealed by the patient the first time the learner asks about their history
+ *
+ * @param session - The session (revealedFacts and revealLog are updated in place)
+ * @param message - The learner's message
+ * @param messageIndex - Index of the message in session.messages
+ * @returns Reveal log entries added by this message
+ */
+export function revealFactsFromMessage(session: Session, message: string, messageIndex: number): RevealEvent[] {
+  const { case: caseData, revealedFacts } = session;
+  const rules = caseData.revealRules;
+  const { history } = caseData;
+  const classification = classifyMessage(caseData, message);
+  const asked = new Set(classification.domains);
+  const events: RevealEvent[] = [];
+
+  const log = (domain: HistoryDomain, rule: string, reason: RevealEvent['reason'], item?: string) => {
+    events.push({
+      domain,
+      item,
+      rule,
+      reason,
+      status: reason === 'withheld_no_rapport' ? 'withheld' : 'revealed',
+      messageIndex,
+      timestamp: Date.now()
+    });
+  };
+
+  // HPI
+  if (asked.has('hpi') && !revealedFacts.hpi) {
+    if (rules.hpi === 'requires_rapport' && !hasRapport(session, classification)) {
+      log('hpi', rules.hpi, 'withheld_no_rapport');
+    } else if (rules.hpi !== 'always') {
+      revealedFacts.hpi = true;
+      log('hpi', rules.hpi, 'asked');
+    }
+  }
+
+  // Past medical history
+  if (asked.has('pmh') && rules.pmh !== 'always') {
+    const items = rules.pmh === 'if_relevant' && !classification.generalPmh ? classification.conditions : history.pmh;
+    for (const item of items) {
+      if (!revealedFacts.pmh.includes(item)) {
+        revealedFacts.pmh.push(item);
+        log('pmh', rules.pmh, classification.generalPmh ? 'asked' : 'relevant', item);
+      }
+    }
+  }
+
+  // Medications and allergies
+  if (asked.has('medications') && !revealedFacts.medications) {
+    revealedFacts.medications = true;
+    log('medications', rules.medications, 'asked');
+  }
+  if (asked.has('allergies') && !revealedFacts.allergies) {
+    revealedFacts.allergies = true;
+    log('allergies', rules.allergies, 'asked');
+  }
+
+  // Social history
+  const socialTopics = Object.keys(history.socialHistory).filter(topic => (history.socialHistory as any)[topic]);
+  if (asked.has('socialHistory')) {
+    // when_asked: any social question opens the whole domain
+    const topics = rules.socialHistory === 'only_if_asked'
+      ? classification.socialTopics
+      : socialTopics;
+    for (const topic of topics) {
+      if (socialTopics.includes(topic) && !revealedFacts.socialHistory.includes(topic)) {
+        revealedFacts.socialHistory.push(topic);
+        log('socialHistory', rules.socialHistory, 'asked', topic);
+      }
+    }
+  }
+
+  // Family history
+  if (asked.has('familyHistory') && history.familyHistory && !revealedFacts.familyHistory) {
+    revealedFacts.familyHistory = true;
+    log('familyHistory', rules.familyHistory, 'asked');
+  }
+
+  // Volunteered facts come out once the learner starts taking a history
+  if (classification.domains.length > 0) {
+    if (rules.socialHistory === 'volunteers') {
+      for (const topic of socialTopics) {
+        if (!revealedFacts.socialHistory.includes(topic)) {
+          revealedFacts.socialHistory.push(topic);
+          log('socialHistory', rules.socialHistory, 'volunteered', topic);
+        }
+      }
+    }
+    if (rules.familyHistory === 'volunteers' && history.familyHistory && !revealedFacts.familyHistory) {
+      revealedFacts.familyHistory = true;
+      log('familyHistory', rules.familyHistory, 'volunteered');
+    }
+  }
+
+  session.revealLog.push(...events);
+  return events;
+}
+
+/**
+ * Whether the learner has established rapport (in this message or an earlier one)
+ */
+function hasRapport(session: Session, classification: MessageClassification): boolean {
+  if (classification.buildsRapport) {
+    return true;
+  }
+
+  return session.messages.some(message => message.role === 'user' && RAPPORT_PATTERN.test(message.content.toLowerCase()));
+}
+
+/**
+ * Whether a message mentions a PMH item by name or by a common lay term
+ */
+function mentionsCondition(text: string, condition: string): boolean {
+  const name = condition.toLowerCase().replace(/\(.*?\)/g, '').trim();
+
+  const words = name.split(/[^a-z0-9]+/).filter(word => word.length > 3 && !CONDITION_STOP_WORDS.has(word));
+  if (words.some(word => text.includes(word))) {
+    return true;
+  }
+
+  return Object.entries(CONDITION_ALIASES).some(
+    ([term, aliases]) => name.includes(term) && aliases.some(alias => new RegExp(`\\b${alias}`).test(text))
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * Guardrail Checker
+ * Checks generated patient replies against the case's guardrails (forbidden phrases,
+ * self-diagnosis, medical advice) and provides safe in-character fallback replies
+ */
+
+import { MedicalCase } from '../../../shared/types/case.types';
+import { GuardrailViolationType } from '../models/session.types';
+import { containsDiagnosis } from '../utils/diagnosisMatching';
+
+export interface GuardrailIssue {
+  type: GuardrailViolationType;
+  detail: string; // The forbidden phrase, diagnosis or advice that matched
+}
+
+// Conditions a patient might name when diagnosing themselves (their own documented history excepted)
+const SELF_DIAGNOSIS_TERMS = [
+  'heart attack', 'myocardial infarction', 'nstemi', 'stemi', 'acute coronary syndrome', 'angina',
+  'stroke', 'pulmonary embolism', 'blood clot', 'aortic dissection', 'pneumonia', 'pneumothorax',
+  'cardiac arrest', 'heart failure', 'appendicitis', 'gerd', 'acid reflux', 'sepsis'
+];
+
+// How a patient leads into naming a diagnosis ("I think...", "It must be...")
+const SELF_DIAGNOSIS_LEAD_IN = "i think|i bet|i'?m sure|i am sure|i must|i probably|i'?m having|i am having|it'?s probably|it is probably|this is probably|it must be|this must be|it'?s definitely|it'?s an?|this is an?";
+
+// Telling the doctor what to do, or asking for a specific treatment or test
+const MEDICAL_ADVICE_PATTERN = /\b(you should|you need to|you ought to|you'?d better|you must|i recommend|i suggest|make sure you|don'?t forget to)\b[^.!?]*\b(order|give|check|run|start|prescribe|test|scan|ekg|ecg|x-?ray|ct|mri|aspirin|nitro\w*|troponin|labs?|blood work|medications?|monitor\w*|heparin|cath\w*)\b/;
+const TREATMENT_REQUEST_PATTERN = /\bi need (an? |some |to get an? )?(aspirin|nitro\w*|ekg|ecg|troponin|x-?ray|ct scan|heparin|cath\w*|blood thinners?)\b/;
+
+// Words ignored when matching forbidden phrases
+const PHRASE_STOP_WORDS = new Set(['the', 'and', 'you', 'this', 'that', 'could', 'would', 'should', 'probably', 'think']);
+
+// Safe replies used when the model keeps breaking a guardrail
+const FALLBACK_REPLIES = [
+  "I'm not really sure, doctor. I just know something doesn't feel right.",
+  "I don't know much about that. Can you tell me what you think is going on?",
+  "Sorry, I'm not sure how to answer that. I just want to feel better."
+];
+
+/**
+ * Check a generated patient reply against the case's guardrails
+ * Questions ("Is this my heart?") are allowed; only statements are checked for
+ * self-diagnosis and medical advice.
+ *
+ * @param reply - The generated patient reply
+ * @param caseData - The medical case
+ * @returns Every guardrail the reply breaks (empty if it is safe)
+ */
+export function checkPatientReply(reply: string, caseData: MedicalCase): GuardrailIssue[] {
+  const { guardrails, diagnosis } = caseData;
+  const issues: GuardrailIssue[] = [];
+  const statements = splitStatements(reply);
+
+  // Forbidden phrases (matched by their key words within one sentence)
+  for (const phrase of guardrails.patientCannotSay) {
+    if (splitSentences(reply).some(sentence => containsPhrase(sentence, phrase))) {
+      issues.push({ type: 'forbidden_phrase', detail: phrase });
+    }
+  }
+
+  if (guardrails.noSelfDiagnosis) {
+    // Naming a condition from their own history ("I have acid reflux") isn't diagnosing themselves
+    const ownConditions = caseData.history.pmh.map(condition => condition.toLowerCase().replace(/\(.*?\)/g, '').trim());
+    const isOwnCondition = (name: string) => ownConditions.some(condition => condition.includes(name) || name.includes(condition));
+
+    const diagnoses = [diagnosis.primary, ...diagnosis.differentials]
+      .map(name => ({ name, term: name.toLowerCase().replace(/\(.*?\)/g, '').trim() }))
+      .filter(({ term }) => !isOwnCondition(term));
+    const named = diagnoses.find(({ term }) => statements.some(statement => containsDiagnosis(statement, term)))?.name;
+
+    const terms = SELF_DIAGNOSIS_TERMS.filter(term => !isOwnCondition(term));
+    const selfDiagnosisPattern = new RegExp(`\\b(${SELF_DIAGNOSIS_LEAD_IN})\\b[^.!?]*\\b(${terms.join('|')})\\b`);
+    const selfDiagnosis = terms.length > 0
+      ? statements.map(statement => statement.match(selfDiagnosisPattern)).find(Boolean)
+      : undefined;
+
+    if (named) {
+      issues.push({ type: 'self_diagnosis', detail: named });
+    } else if (selfDiagnosis) {
+      issues.push({ type: 'self_diagnosis', detail: selfDiagnosis[0] });
+    }
+  }
+
+  if (guardrails.noMedicalAdvice) {
+    const advice = statements
+      .map(statement => statement.match(MEDICAL_ADVICE_PATTERN) || statement.match(TREATMENT_REQUEST_PATTERN))
+      .find(Boolean);
+    if (advice) {
+      issues.push({ type: 'medical_advice', detail: advice[0] });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Describe guardrail issues as a correction for the model to regenerate with
+ */
+export function describeGuardrailIssues(issues: GuardrailIssue[]): string {
+  const descriptions = issues.map(issue => {
+    switch (issue.type) {
+      case 'forbidden_phrase':
+        return `you said something you must never say ("${issue.detail}")`;
+      case 'self_diagnosis':
+        return 'you named a diagnosis for yourself';
+      case 'medical_advice':
+        return 'you told the doctor what to do or asked for a specific treatment or test';
+    }
+  });
+
+  return `Your last reply broke your rules: ${descriptions.join('; ')}. Answer the doctor's last question again, in character, as a patient with no medical training.`;
+}
+
+/**
+ * Pick a safe in-character reply
+ *
+ * @param seed - Any number that varies between turns (e.g., the conversation length)
+ */
+export function getSafeFallbackReply(seed: number): string {
+  return FALLBACK_REPLIES[Math.abs(seed) % FALLBACK_REPLIES.length];
+}
+
+/**
+ * Whether a sentence contains every key word of a forbidden phrase
+ */
+function containsPhrase(sentence: string, phrase: string): boolean {
+  const normalizedSentence = normalize(sentence);
+  const normalizedPhrase = normalize(phrase);
+  if (normalizedSentence.includes(normalizedPhrase)) {
+    return true;
+  }
+
+  const keyWords = normalizedPhrase.split(' ').filter(word => word.length > 2 && !PHRASE_STOP_WORDS.has(word));
+  return keyWords.length > 0 && keyWords.every(word => new RegExp(`\\b${word}`).test(normalizedSentence));
+}
+
+function normalize(text: string): string {
+  return text.toLowerCase().replace(/[’']/g, '').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function splitSentences(text: string): string[] {
+  return text.match(/[^.!?]+[.!?]*/g)?.map(sentence => sentence.trim()).filter(Boolean) ?? [];
+}
+
+/**
+ * Lowercased sentences that are not questions
+ */
+function splitStatements(text: string): string[] {
+  return splitSentences(text)
+    .filter(sentence => !sentence.endsWith('?'))
+    .map(sentence => sentence.toLowerCase().replace(/’/g, "'"));
+}
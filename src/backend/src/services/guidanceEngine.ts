@@ -1,11 +1,11 @@
 /**
  * Guidance Engine
- * Generates contextual hints and guidance for learning mode using OpenAI
+ * Generates contextual hints and guidance for learning mode using the configured LLM provider
  */
 
 import { Session } from '../models/session.types';
 import { MedicalCase } from '../../../shared/types/case.types';
-import OpenAI from 'openai';
+import { getLLMProvider, LLMMessage } from './llmProvider';
 
 export interface Guidance {
   type: 'hint' | 'question' | 'reminder' | 'suggestion';
@@ -31,8 +31,7 @@ export async function generateGuidance(
 ): Promise<Guidance | null> {
   const { session, caseData, lastUserMessage, lastPatientReply, guidanceLevel = 'medium' } = params;
 
-  // Initialize OpenAI client
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const provider = getLLMProvider();
 
   // Build the system prompt for guidance generation based on level
   const systemPrompt = buildGuidanceSystemPrompt(caseData, session, guidanceLevel);
@@ -40,24 +39,27 @@ export async function generateGuidance(
   // Build context about the conversation so far
   const conversationContext = buildConversationContext(session, lastUserMessage, lastPatientReply);
 
-  // Prepare messages for OpenAI
-  const messages: Array<{ role: 'system' | 'user' | 'assistant'; content: string }> = [
+  // Prepare messages for the provider
+  const messages: LLMMessage[] = [
     { role: 'system', content: systemPrompt },
     { role: 'user', content: conversationContext }
   ];
 
-  // Call OpenAI
+  // Call the LLM provider
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: messages,
+    const response = await provider.complete({
+      task: 'guidance',
+      messages,
+      context: { caseData, session, input: lastUserMessage },
       temperature: 0.7,
-      max_tokens: 200
+      maxTokens: 200
     });
 
-    const guidanceText = response.choices[0]?.message?.content?.trim() || null;
+    const guidanceText = response.trim() || null;
     
-    if (!guidanceText || guidanceText.toLowerCase().includes('no guidance') || guidanceText.toLowerCase().includes('no hint')) {
+    // The prompts ask for "NO_GUIDANCE" when the student is doing well
+    const normalizedText = guidanceText?.toLowerCase().replace(/_/g, ' ');
+    if (!guidanceText || normalizedText!.includes('no guidance') || normalizedText!.includes('no hint')) {
       return null;
     }
 
@@ -69,8 +71,8 @@ export async function generateGuidance(
       message: guidanceText
     };
   } catch (error: any) {
-    console.error('OpenAI API error generating guidance:', error?.message || error);
-    // Return null if OpenAI fails - don't break the flow
+    console.error(`LLM provider (${provider.name}) error generating guidance:`, error?.message || error);
+    // Return null if the provider fails - don't break the flow
     return null;
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * Leaderboard Service
+ * Ranks learners on a case or a level by their best completed attempt in a time window
+ *
+ * Each user appears once, with their best attempt: the highest summaryScore, then the shortest
+ * duration. Users who opted out (leaderboardOptOut) are left off.
+ */
+
+import { listSessions } from '../store/sessionStore';
+import { listUsers } from '../store/userStore';
+import { AttemptSummary, summarizeAttempt } from './progressService';
+
+export type LeaderboardWindow = 'daily' | 'weekly' | 'all-time';
+
+export const LEADERBOARD_WINDOWS: LeaderboardWindow[] = ['daily', 'weekly', 'all-time'];
+
+// How far back each window reaches (rolling, from now)
+const WINDOW_MS: Record<LeaderboardWindow, number> = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  'all-time': Infinity
+};
+
+export interface LeaderboardQuery {
+  caseId?: string;
+  level?: 1 | 2 | 3;
+  window: LeaderboardWindow;
+  limit: number;
+}
+
+export interface LeaderboardEntry {
+  rank: number; // Shared by entries with the same score and duration
+  displayName: string;
+  summaryScore: number;
+  durationSec: number;
+  caseId: string;
+  title: string;
+  endedAt: number;
+  isYou: boolean;
+}
+
+/**
+ * Build a leaderboard
+ *
+ * @param query - Case and/or level to rank, window and number of entries
+ * @param viewerId - Signed-in user (marked isYou)
+ * @returns The top entries, plus the viewer's own entry if it didn't make the top
+ */
+export function buildLeaderboard(
+  query: LeaderboardQuery,
+  viewerId: string
+): { entries: LeaderboardEntry[]; you?: LeaderboardEntry } {
+  const since = Date.now() - WINDOW_MS[query.window];
+  const users = new Map(listUsers().map(user => [user.userId, user]));
+
+  // Best attempt per user
+  const best = new Map<string, { attempt: AttemptSummary; userName: string }>();
+  for (const session of listSessions()) {
+    if ((query.caseId && session.caseId !== query.caseId) || (query.level && session.level !== query.level)) {
+      continue;
+    }
+
+    const user = users.get(session.userId);
+    if (user?.leaderboardOptOut) {
+      continue;
+    }
+
+    const attempt = summarizeAttempt(session);
+    if (!attempt || attempt.endedAt < since) {
+      continue;
+    }
+
+    const current = best.get(session.userId);
+    if (!current || compareAttempts(attempt, current.attempt) < 0) {
+      best.set(session.userId, { attempt, userName: user?.displayName ?? session.userName });
+    }
+  }
+
+  const ranked = [...best.entries()].sort(([, a], [, b]) => compareAttempts(a.attempt, b.attempt));
+
+  const entries: LeaderboardEntry[] = [];
+  ranked.forEach(([userId, { attempt, userName }], index) => {
+    const previous = entries[index - 1];
+    const tied = previous !== undefined &&
+      previous.summaryScore === attempt.summaryScore &&
+      previous.durationSec === attempt.durationSec;
+
+    entries.push({
+      rank: tied ? previous.rank : index + 1,
+      displayName: userName,
+      summaryScore: attempt.summaryScore,
+      durationSec: attempt.durationSec,
+      caseId: attempt.caseId,
+      title: attempt.title,
+      endedAt: attempt.endedAt,
+      isYou: userId === viewerId
+    });
+  });
+
+  const top = entries.slice(0, query.limit);
+  const you = entries.find(entry => entry.isYou);
+
+  return { entries: top, you: you && !top.includes(you) ? you : undefined };
+}
+
+/**
+ * Order attempts best first: higher score, then shorter duration, then earlier
+ */
+function compareAttempts(a: AttemptSummary, b: AttemptSummary): number {
+  return b.summaryScore - a.summaryScore || a.durationSec - b.durationSec || a.endedAt - b.endedAt;
+}
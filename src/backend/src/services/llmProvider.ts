@@ -0,0 +1,277 @@
+/**
+ * LLM Provider
+ * One completion interface for every LLM task (patient replies, guidance, diagnosis and
+ * intervention scoring, interpersonal skills evaluation), selected by configuration:
+ * - openai: any OpenAI-compatible chat completions API (base URL configurable for local servers)
+ * - offline: deterministic responses derived from the case data, no network access needed
+ */
+
+import OpenAI from 'openai';
+import { MedicalCase, RevealedFacts } from '../../../shared/types/case.types';
+import { Session, ClinicalState } from '../models/session.types';
+import { generateScriptedReply } from './scriptedPatient';
+import { containsDiagnosis } from '../utils/diagnosisMatching';
+import { matchesAction } from '../utils/actionMatching';
+import { rateInterpersonalSkills } from '../utils/interpersonalRules';
+
+export type LLMTask =
+  | 'patient_reply'
+  | 'guidance'
+  | 'diagnosis_comparison'
+  | 'intervention_scoring'
+  | 'interpersonal_evaluation';
+
+export interface LLMMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+/**
+ * Structured data behind a request
+ * Network providers only need the messages; the offline provider answers from this.
+ */
+export interface LLMRequestContext {
+  caseData: MedicalCase;
+  session?: Session;
+  revealedFacts?: RevealedFacts;
+  clinicalState?: ClinicalState;
+  input?: string; // The learner's latest message, or the submitted diagnosis/intervention
+}
+
+export interface LLMCompletionRequest {
+  task: LLMTask;
+  messages: LLMMessage[];
+  context: LLMRequestContext;
+  temperature?: number;
+  maxTokens?: number;
+}
+
+export interface LLMProvider {
+  name: string;
+  deterministic?: boolean; // Answers with rules over the case data instead of a model
+  complete(request: LLMCompletionRequest): Promise<string>;
+  // Like complete, calling onToken with each piece of text as it is generated
+  stream(request: LLMCompletionRequest, onToken: (token: string) => void): Promise<string>;
+}
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+const NOTHING_REVEALED: RevealedFacts = {
+  hpi: false,
+  pmh: [],
+  medications: false,
+  allergies: false,
+  socialHistory: [],
+  familyHistory: false,
+  physicalExam: [],
+  diagnostics: []
+};
+
+let cachedProvider: LLMProvider | null = null;
+
+/**
+ * Get the configured LLM provider
+ * LLM_PROVIDER selects "openai" (default) or "offline".
+ */
+export function getLLMProvider(): LLMProvider {
+  if (!cachedProvider) {
+    const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    if (name === 'offline') {
+      cachedProvider = createOfflineProvider();
+    } else {
+      if (name !== 'openai') {
+        console.warn(`Unknown LLM_PROVIDER "${name}", using openai`);
+      }
+      cachedProvider = createOpenAICompatibleProvider({
+        baseURL: process.env.LLM_BASE_URL || undefined,
+        model: process.env.LLM_MODEL || DEFAULT_MODEL,
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY
+      });
+    }
+  }
+
+  return cachedProvider;
+}
+
+/**
+ * Override the configured provider (e.g., the offline provider in tests)
+ * Pass null to go back to the configured provider.
+ */
+export function setLLMProvider(provider: LLMProvider | null): void {
+  cachedProvider = provider;
+}
+
+/**
+ * Provider for OpenAI and OpenAI-compatible servers (vLLM, Ollama, LM Studio, ...)
+ */
+export function createOpenAICompatibleProvider(options: {
+  baseURL?: string;
+  model: string;
+  apiKey?: string;
+}): LLMProvider {
+  let client: OpenAI | null = null;
+
+  // Created on first use so a missing key surfaces as a request error the caller handles
+  const getClient = (): OpenAI => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: options.apiKey || (options.baseURL ? 'not-needed' : undefined),
+        baseURL: options.baseURL
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+    async complete(request: LLMCompletionRequest): Promise<string> {
+      const response = await getClient().chat.completions.create({
+        model: options.model,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens
+      });
+
+      return response.choices[0]?.message?.content || '';
+    },
+
+    async stream(request: LLMCompletionRequest, onToken: (token: string) => void): Promise<string> {
+      const stream = await getClient().chat.completions.create({
+        model: options.model,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        stream: true
+      });
+
+      let text = '';
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      }
+
+      return text;
+    }
+  };
+}
+
+/**
+ * Deterministic provider that answers from the case data
+ * Responses use the same formats the callers parse from a real model.
+ */
+export function createOfflineProvider(): LLMProvider {
+  const provider: LLMProvider = {
+    name: 'offline',
+    deterministic: true,
+
+    // Emits the deterministic response a word at a time
+    async stream(request: LLMCompletionRequest, onToken: (token: string) => void): Promise<string> {
+      const text = await provider.complete(request);
+      for (const token of text.match(/\S+\s*/g) ?? []) {
+        onToken(token);
+      }
+      return text;
+    },
+
+    async complete(request: LLMCompletionRequest): Promise<string> {
+      const { context } = request;
+
+      switch (request.task) {
+        case 'patient_reply':
+          return generateScriptedReply({
+            case: context.caseData,
+            revealedFacts: context.revealedFacts ?? context.session?.revealedFacts ?? NOTHING_REVEALED,
+            userInput: context.input || '',
+            clinicalState: context.clinicalState
+          });
+        case 'guidance':
+          return offlineGuidance(context);
+        case 'diagnosis_comparison':
+          return offlineDiagnosisComparison(context);
+        case 'intervention_scoring':
+          return offlineInterventionScoring(context);
+        case 'interpersonal_evaluation':
+          return JSON.stringify({ criteria: rateInterpersonalSkills(context.session?.messages ?? []) });
+      }
+    }
+  };
+
+  return provider;
+}
+
+/**
+ * Remind the learner of the first history domain they haven't covered yet
+ */
+function offlineGuidance(context: LLMRequestContext): string {
+  const revealedFacts = context.session?.revealedFacts ?? context.revealedFacts;
+  if (!revealedFacts) {
+    return 'NO_GUIDANCE';
+  }
+
+  if (!revealedFacts.hpi) {
+    return 'What more could you learn about how the main symptom started and what it feels like?';
+  }
+  if (revealedFacts.pmh.length === 0) {
+    return 'Remember that past medical history often changes how likely each diagnosis is.';
+  }
+  if (!revealedFacts.medications) {
+    return 'Consider asking what medications the patient takes.';
+  }
+  if (!revealedFacts.allergies) {
+    return 'Remember to ask about allergies before giving any treatment.';
+  }
+  if (revealedFacts.socialHistory.length === 0) {
+    return 'Consider how social history such as smoking or alcohol could affect risk.';
+  }
+
+  return 'NO_GUIDANCE';
+}
+
+/**
+ * Compare the submitted diagnosis with the case's diagnoses by name
+ */
+function offlineDiagnosisComparison(context: LLMRequestContext): string {
+  const { diagnosis } = context.caseData;
+  const submitted = (context.input || '').toLowerCase();
+
+  const matches = (name: string) => diagnosisNames(name).some(variant => containsDiagnosis(submitted, variant));
+
+  if (matches(diagnosis.primary)) {
+    return 'PRIMARY';
+  }
+  if (diagnosis.differentials.some(matches)) {
+    return 'DIFFERENTIAL';
+  }
+
+  return 'INCORRECT';
+}
+
+/**
+ * Names a diagnosis goes by, e.g. "NSTEMI (Non-ST Elevation Myocardial Infarction)"
+ * is both "nstemi" and "non-st elevation myocardial infarction"
+ */
+function diagnosisNames(diagnosis: string): string[] {
+  const lower = diagnosis.toLowerCase();
+  const aside = lower.match(/\((.*?)\)/)?.[1];
+  const main = lower.replace(/\(.*?\)/g, '').trim();
+
+  return aside ? [main, aside.trim()] : [main];
+}
+
+/**
+ * Rate an intervention by how many of the case's critical actions it covers
+ */
+function offlineInterventionScoring(context: LLMRequestContext): string {
+  const criticalActions = context.caseData.diagnosis.criticalActions;
+  const intervention = context.input || '';
+  const covered = criticalActions.filter(action => matchesAction(intervention, action)).length;
+
+  if (covered > 0 && covered >= criticalActions.length / 2) {
+    return 'APPROPRIATE';
+  }
+
+  return covered > 0 ? 'PARTIAL' : 'INAPPROPRIATE';
+}
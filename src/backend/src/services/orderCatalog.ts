@@ -0,0 +1,327 @@
+/**
+ * Order Catalog
+ * Structured catalog of what a student can order in a case (exams, labs, imaging, EKG,
+ * medications, consults, procedures), the deterministic results of each order, and the
+ * pending-result lifecycle of diagnostic tests on the simulated clock
+ */
+
+import { MedicalCase, LeveledFinding } from '../../../shared/types/case.types';
+import { randomUUID } from 'crypto';
+import { Session, DiagnosticOrder } from '../models/session.types';
+import { formatVitals, getSimulatedMinutes, minuteToTimestamp } from './clinicalStateEngine';
+
+export type OrderCategory = 'exam' | 'lab' | 'imaging' | 'ekg' | 'medication' | 'consult' | 'procedure';
+
+export const ORDER_CATEGORIES: OrderCategory[] = ['exam', 'lab', 'imaging', 'ekg', 'medication', 'consult', 'procedure'];
+
+// Interventions have no case-defined result, so any item name is accepted
+// (procedures also include the case's diagnostics.other tests, which do have results)
+export const FREE_FORM_CATEGORIES: OrderCategory[] = ['medication', 'consult', 'procedure'];
+
+export type OrderCatalog = Record<OrderCategory, string[]>;
+
+// Verb used to build the recorded action type (e.g., "ordered_troponin", "gave_aspirin")
+const ACTION_VERBS: Record<OrderCategory, string> = {
+  exam: 'examined',
+  lab: 'ordered',
+  imaging: 'ordered',
+  ekg: 'ordered',
+  medication: 'gave',
+  consult: 'consulted',
+  procedure: 'performed'
+};
+
+// Common alternative names, keyed and valued by normalized name
+const ITEM_ALIASES: Record<string, string> = {
+  ecg: 'ekg',
+  electrocardiogram: 'ekg',
+  '12lead': 'ekg',
+  heart: 'cardiovascular',
+  cardiac: 'cardiovascular',
+  cv: 'cardiovascular',
+  lung: 'respiratory',
+  lungs: 'respiratory',
+  pulmonary: 'respiratory',
+  abdomen: 'abdominal',
+  neuro: 'neurological',
+  neurologic: 'neurological',
+  msk: 'musculoskeletal',
+  vitalsigns: 'vitals',
+  vital: 'vitals',
+  generalappearance: 'general',
+  trop: 'troponin',
+  cxr: 'chestxray',
+  chestxr: 'chestxray',
+  ctchestscan: 'ctchest'
+};
+
+// Simulated minutes until a result is available, when the case doesn't say
+// (exams and interventions are immediate)
+const DEFAULT_TURNAROUND_MINUTES: Partial<Record<OrderCategory, number>> = {
+  lab: 30,
+  imaging: 20,
+  ekg: 5,
+  procedure: 15
+};
+
+type LevelKey = 'level1' | 'level2' | 'level3';
+
+/**
+ * Build the order catalog for a case
+ * Result-bearing categories list exactly what the case defines
+ *
+ * @param caseData - The medical case
+ * @returns Orderable item names per category
+ */
+export function buildOrderCatalog(caseData: MedicalCase): OrderCatalog {
+  const { physicalExam, diagnostics } = caseData;
+
+  const labs = unique([
+    ...(diagnostics.labs?.available ?? []),
+    ...Object.keys(diagnostics.labs?.results ?? {})
+  ]);
+  const imaging = unique([
+    ...(diagnostics.imaging?.available ?? []),
+    ...Object.keys(diagnostics.imaging?.results ?? {})
+  ]);
+
+  return {
+    exam: Object.keys(physicalExam).filter(key => (physicalExam as any)[key]),
+    lab: labs,
+    imaging,
+    ekg: diagnostics.ekg ? ['EKG'] : [],
+    medication: [],
+    consult: [],
+    procedure: Object.keys(diagnostics.other ?? {})
+  };
+}
+
+/**
+ * Resolve a requested item to its catalog name
+ * Matching ignores case and punctuation and understands common aliases ("ECG", "CXR", "heart")
+ *
+ * @param caseData - The medical case
+ * @param category - Order category
+ * @param item - Item name as requested by the student
+ * @returns The catalog item name, the trimmed request for free-form categories, or null if unavailable
+ */
+export function resolveOrderItem(caseData: MedicalCase, category: OrderCategory, item: string): string | null {
+  const catalog = buildOrderCatalog(caseData);
+  const requested = normalizeItemName(item);
+
+  const match = catalog[category].find(name => normalizeItemName(name) === requested);
+  if (match) {
+    return match;
+  }
+
+  if (FREE_FORM_CATEGORIES.includes(category)) {
+    const trimmed = item.trim();
+    return trimmed || null;
+  }
+
+  return null;
+}
+
+/**
+ * Build the action type recorded for an order (e.g., "ordered_troponin", "examined_cardiovascular")
+ */
+export function getOrderActionType(category: OrderCategory, itemName: string): string {
+  const slug = itemName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `${ACTION_VERBS[category]}_${slug}`;
+}
+
+/**
+ * Simulated minutes until an order's result is available
+ * The case's diagnostics.turnaroundMinutes takes precedence over the category default
+ *
+ * @param caseData - The medical case
+ * @param category - Order category
+ * @param itemName - Resolved catalog item name
+ * @returns Turnaround in simulated minutes (0 for exams and interventions)
+ */
+export function getTurnaroundMinutes(caseData: MedicalCase, category: OrderCategory, itemName: string): number {
+  const caseTurnaround = caseData.diagnostics.turnaroundMinutes?.[itemName];
+  if (typeof caseTurnaround === 'number') {
+    return caseTurnaround;
+  }
+
+  return DEFAULT_TURNAROUND_MINUTES[category] ?? 0;
+}
+
+/**
+ * Perform an order
+ * Exams and interventions return their result immediately. Diagnostic tests are placed as
+ * pending orders whose result becomes available after the test's turnaround time
+ * (see updateOrderResults).
+ *
+ * @param session - The session (revealedFacts and orders are updated in place)
+ * @param category - Order category
+ * @param itemName - Resolved catalog item name (see resolveOrderItem)
+ * @param now - Current real time (ms)
+ * @returns Text shown to the student, plus the diagnostic order if one was placed
+ */
+export function performOrder(
+  session: Session,
+  category: OrderCategory,
+  itemName: string,
+  now: number = Date.now()
+): { result: string; order?: DiagnosticOrder } {
+  const { case: caseData, revealedFacts } = session;
+  const levelKey = `level${session.level}` as LevelKey;
+
+  switch (category) {
+    case 'exam': {
+      revealedFacts.physicalExam.push(itemName);
+      if (itemName === 'vitals') {
+        return { result: formatVitals(session.clinicalState) };
+      }
+      if (itemName === 'general') {
+        // Reflects how the patient looks right now
+        return { result: `General exam: ${session.clinicalState.patientState}` };
+      }
+      const finding = (caseData.physicalExam as any)[itemName] as LeveledFinding;
+      return { result: `${capitalize(itemName)} exam: ${finding[levelKey]}` };
+    }
+
+    case 'procedure':
+      if (!caseData.diagnostics.other?.[itemName]) {
+        return { result: `${itemName} performed.` };
+      }
+      return placeDiagnosticOrder(session, category, itemName, now);
+
+    case 'lab':
+    case 'imaging':
+    case 'ekg':
+      return placeDiagnosticOrder(session, category, itemName, now);
+
+    case 'medication':
+      // Effects on the patient come from the case's actionTriggeredChanges, after their delay
+      return { result: `${itemName} administered.` };
+
+    case 'consult':
+      return { result: `${itemName} consult requested.` };
+  }
+}
+
+/**
+ * Complete every pending order whose turnaround has elapsed on the simulated clock
+ * A completed result counts toward revealedFacts.diagnostics.
+ *
+ * @param session - The session
+ * @param now - Current real time (ms)
+ * @returns Orders completed by this call
+ */
+export function updateOrderResults(session: Session, now: number = Date.now()): DiagnosticOrder[] {
+  const minute = getSimulatedMinutes(session, now);
+  const completed: DiagnosticOrder[] = [];
+
+  for (const order of session.orders) {
+    if (order.status === 'pending' && order.dueAtMinute <= minute) {
+      completeOrder(session, order);
+      completed.push(order);
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Place a diagnostic order, completing it right away if it has no turnaround
+ */
+function placeDiagnosticOrder(
+  session: Session,
+  category: DiagnosticOrder['category'],
+  itemName: string,
+  now: number
+): { result: string; order: DiagnosticOrder } {
+  const orderedAtMinute = getSimulatedMinutes(session, now);
+  const turnaround = getTurnaroundMinutes(session.case, category, itemName);
+
+  const order: DiagnosticOrder = {
+    orderId: randomUUID(),
+    category,
+    item: itemName,
+    status: 'pending',
+    orderedAtMinute,
+    dueAtMinute: orderedAtMinute + turnaround,
+    orderedAt: now,
+    expectedAt: minuteToTimestamp(session, orderedAtMinute + turnaround)
+  };
+  session.orders.push(order);
+
+  if (turnaround <= 0) {
+    completeOrder(session, order);
+    return { result: order.result!, order };
+  }
+
+  return { result: `${itemName} ordered. Result expected in ${turnaround} minutes.`, order };
+}
+
+/**
+ * Mark an order as completed and reveal its result
+ */
+function completeOrder(session: Session, order: DiagnosticOrder): void {
+  order.status = 'completed';
+  order.completedAt = order.expectedAt;
+  order.result = getDiagnosticResult(session.case, session.level, order.category, order.item);
+  session.revealedFacts.diagnostics.push(order.category === 'ekg' ? 'ekg' : order.item);
+}
+
+/**
+ * Deterministic, level-appropriate result of a diagnostic test
+ */
+function getDiagnosticResult(
+  caseData: MedicalCase,
+  level: 1 | 2 | 3,
+  category: DiagnosticOrder['category'],
+  itemName: string
+): string {
+  const levelKey = `level${level}` as LevelKey;
+  const { diagnostics } = caseData;
+
+  switch (category) {
+    case 'lab': {
+      const result = diagnostics.labs?.results?.[itemName];
+      return `${itemName}: ${result ? formatLabValues(result[levelKey]) : 'No abnormalities reported.'}`;
+    }
+    case 'imaging': {
+      const result = diagnostics.imaging?.results?.[itemName];
+      return `${itemName}: ${result ? result[levelKey] : 'No acute findings reported.'}`;
+    }
+    case 'ekg':
+      return `EKG: ${diagnostics.ekg![levelKey]}`;
+    case 'procedure':
+      return `${itemName}: ${diagnostics.other![itemName][levelKey]}`;
+  }
+}
+
+/**
+ * Format a leveled lab result (e.g., { value: 0.8, unit: "ng/mL", normal: "<0.04" })
+ */
+function formatLabValues(values: { [key: string]: string | number }): string {
+  if (values.value !== undefined) {
+    const unit = values.unit ? ` ${values.unit}` : '';
+    const normal = values.normal ? ` (normal ${values.normal})` : '';
+    return `${values.value}${unit}${normal}`;
+  }
+
+  return Object.entries(values)
+    .map(([key, value]) => `${key} ${value}`)
+    .join(', ');
+}
+
+/**
+ * Normalize an item name for matching (lowercase, alphanumeric only, aliases applied)
+ */
+function normalizeItemName(name: string): string {
+  const normalized = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return ITEM_ALIASES[normalized] ?? normalized;
+}
+
+function unique(items: string[]): string[] {
+  return Array.from(new Set(items));
+}
+
+function capitalize(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -1,10 +1,13 @@
 /**
  * Patient Engine
- * Generates realistic patient responses using OpenAI
+ * Generates realistic patient responses using the configured LLM provider
  */
 
 import { MedicalCase, RevealedFacts } from '../../../shared/types/case.types';
-import OpenAI from 'openai';
+import { ClinicalState, GuardrailViolation, PatientMode, RevealEvent } from '../models/session.types';
+import { checkPatientReply, describeGuardrailIssues, getSafeFallbackReply } from './guardrailChecker';
+import { getLLMProvider, LLMProvider, LLMMessage, LLMRequestContext } from './llmProvider';
+import { generateScriptedReply } from './scriptedPatient';
 
 export interface Message {
   role: 'user' | 'assistant' | 'system';
@@ -17,10 +20,34 @@ export interface GeneratePatientReplyParams {
   revealedFacts: RevealedFacts;
   conversationHistory: Message[];
   userInput: string;
+  clinicalState?: ClinicalState; // Current condition from the clinical state engine
+  onGuardrailViolation?: (violation: Omit<GuardrailViolation, 'messageIndex'>) => void; // Called for each rejected reply
+  mode?: PatientMode; // 'scripted' answers from the case data without an LLM (default 'llm')
+  revealEvents?: RevealEvent[]; // Reveal log entries for the learner's message
+  onToken?: (token: string) => void; // Streams the first generated reply, a checked sentence at a time
 }
 
+// How social history topics are described to the patient
+const SOCIAL_HISTORY_LABELS: { [topic: string]: string } = {
+  smoking: 'Smoking',
+  alcohol: 'Alcohol',
+  drugs: 'Recreational drugs',
+  occupation: 'Your job',
+  livingSituation: 'Home life'
+};
+
 /**
- * Generate a patient response using OpenAI
+ * Generate a patient response using the configured LLM provider
+ * Replies that break the case's guardrails are regenerated once, then replaced
+ * with a safe in-character reply. In scripted mode, or if the provider fails, the
+ * reply comes from the rule-based scripted patient - checked the same way, but replaced
+ * straight away, as it would only be built the same way again.
+ * 
+ * With onToken, the first generated reply is streamed a sentence at a time, each sentence
+ * only once the reply so far passes the guardrail check - nothing that breaks a guardrail
+ * reaches the learner. Streaming stops at the first sentence that fails. A reply replaced
+ * afterwards (guardrail regeneration or fallback) is only returned, so callers streaming
+ * the reply should compare it with what they streamed.
  * 
  * @param params - All context needed to generate realistic patient reply
  * @returns The patient's response as a string
@@ -28,61 +55,166 @@ export interface GeneratePatientReplyParams {
 export async function generatePatientReply(
   params: GeneratePatientReplyParams
 ): Promise<string> {
-  const { case: medicalCase, level, revealedFacts, conversationHistory, userInput } = params;
+  const { case: medicalCase, level, revealedFacts, conversationHistory, userInput, clinicalState, onGuardrailViolation, mode, revealEvents, onToken } = params;
+
+  // Scripted patients answer from the case data alone (also the fallback when the provider fails)
+  const scriptedReply = (): string => {
+    const reply = generateScriptedReply({
+      case: medicalCase,
+      revealedFacts,
+      userInput,
+      clinicalState,
+      revealEvents
+    });
+
+    const issues = checkPatientReply(reply, medicalCase);
+    for (const issue of issues) {
+      onGuardrailViolation?.({ ...issue, reply, attempt: 1, resolution: 'fallback', timestamp: Date.now() });
+    }
+    return issues.length === 0 ? reply : getSafeFallbackReply(conversationHistory.length);
+  };
+  
+  if (mode === 'scripted') {
+    return scriptedReply();
+  }
 
-  // Initialize OpenAI client inside the function
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const provider = getLLMProvider();
+  const requestContext: LLMRequestContext = { caseData: medicalCase, revealedFacts, clinicalState, input: userInput };
 
   // Build prompts
-  const systemPrompt = buildSystemPrompt(medicalCase, level);
+  const systemPrompt = buildSystemPrompt(medicalCase, level, clinicalState);
   const context = buildRevealableContext(medicalCase, level, revealedFacts);
   const fullSystemPrompt = systemPrompt + context;
 
-  // Prepare messages for OpenAI (use correct types)
-  const messages: Array<{ role: 'system' | 'user' | 'assistant'; content: string }> = [
+  // Prepare messages for the provider
+  const messages: LLMMessage[] = [
     { role: 'system', content: fullSystemPrompt },
     ...conversationHistory,
     { role: 'user', content: userInput }
   ];
 
-  // Call OpenAI
+  // Stream only what has passed the guardrail check
+  const gate = onToken ? createGuardrailGate(medicalCase, onToken) : undefined;
+
+  // Call the LLM provider
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: messages,
-      temperature: 0.4,
-      max_tokens: 150
-    });
-    return response.choices[0]?.message?.content || '...';
+    let reply = await requestReply(provider, messages, requestContext, gate?.push);
+    
+    // Check the reply against the case's guardrails; regenerate once, then fall back
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const issues = checkPatientReply(reply, medicalCase);
+      if (issues.length === 0) {
+        if (attempt === 1) {
+          gate?.flush(); // The whole streamed reply is safe - release its last sentence
+        }
+        return reply;
+      }
+      
+      const resolution = attempt === 1 ? 'regenerated' : 'fallback';
+      for (const issue of issues) {
+        onGuardrailViolation?.({ ...issue, reply, attempt, resolution, timestamp: Date.now() });
+      }
+      
+      if (resolution === 'fallback') {
+        break;
+      }
+      
+      reply = await requestReply(provider, [
+        ...messages,
+        { role: 'assistant', content: reply },
+        { role: 'system', content: describeGuardrailIssues(issues) }
+      ], requestContext);
+    }
+    
+    return getSafeFallbackReply(conversationHistory.length);
   } catch (error: any) {
     // Log error for debugging
-    console.error('OpenAI API error:', error?.message || error);
-    console.error('Is OPENAI_API_KEY set?', !!process.env.OPENAI_API_KEY);
-    // Fallback if OpenAI fails
-    return 'Sorry, can you repeat that?';
+    console.error(`LLM provider (${provider.name}) error:`, error?.message || error);
+    // Fall back to the scripted patient so the encounter can continue
+    return scriptedReply();
   }
 }
 
+/**
+ * Request a single patient reply from the provider (streamed if onToken is given)
+ */
+async function requestReply(
+  provider: LLMProvider,
+  messages: LLMMessage[],
+  context: LLMRequestContext,
+  onToken?: (token: string) => void
+): Promise<string> {
+  const request = {
+    task: 'patient_reply' as const,
+    messages,
+    context,
+    temperature: 0.4,
+    maxTokens: 150
+  };
+  const reply = onToken ? await provider.stream(request, onToken) : await provider.complete(request);
+  return reply || '...';
+}
+
+/**
+ * Hold back streamed tokens until each sentence is complete and the reply up to it passes
+ * the guardrail check (the checks work sentence by sentence, so a clean prefix stays clean).
+ * After the first sentence that fails, nothing more is released.
+ */
+function createGuardrailGate(
+  medicalCase: MedicalCase,
+  onToken: (token: string) => void
+): { push: (token: string) => void; flush: () => void } {
+  let received = '';
+  let released = 0;
+  let blocked = false;
+
+  return {
+    push(token: string) {
+      received += token;
+      if (blocked) return;
+
+      // End of the last complete sentence received so far
+      const boundary = [...received.matchAll(/[.!?]+["')\]]*\s+/g)].pop();
+      const end = boundary ? boundary.index! + boundary[0].length : 0;
+      if (end <= released) return;
+
+      if (checkPatientReply(received.slice(0, end), medicalCase).length > 0) {
+        blocked = true;
+        return;
+      }
+      onToken(received.slice(released, end));
+      released = end;
+    },
+    flush() {
+      if (!blocked && released < received.length) {
+        onToken(received.slice(released));
+        released = received.length;
+      }
+    }
+  };
+}
+
 /**
  * Build the system prompt that defines patient behavior
  */
 function buildSystemPrompt(
   medicalCase: MedicalCase,
   level: 1 | 2 | 3,
-  currentPainLevel?: number
+  clinicalState?: ClinicalState
 ): string {
   const { patient, guardrails } = medicalCase;
-  const painInfo = currentPainLevel ? `\nCurrent pain level: ${currentPainLevel}/10` : '';
+  const emotionalState = clinicalState?.emotionalState ?? patient.personality.emotionalState;
+  const conditionInfo = buildConditionInfo(clinicalState);
   
   return `You are ${patient.name}, a ${patient.age}-year-old ${patient.sex === 'M' ? 'man' : 'woman'}.
 
 PERSONALITY & BEHAVIOR:
 - Baseline: ${patient.personality.baseline}
-- Current emotional state: ${patient.personality.emotionalState}
+- Current emotional state: ${emotionalState}
 - Communication style: ${patient.personality.communicationStyle}
 
 CURRENT PRESENTATION:
-- Chief complaint: ${patient.chiefComplaint}${painInfo}
+- Chief complaint: ${patient.chiefComplaint}${conditionInfo}
 
 CRITICAL RULES YOU MUST FOLLOW:
 - You are a PATIENT, not a doctor. You do NOT know medical terminology.
@@ -95,10 +227,28 @@ CRITICAL RULES YOU MUST FOLLOW:
 
 THINGS YOU MUST NEVER SAY:
 ${guardrails.patientCannotSay.map(phrase => `- "${phrase}"`).join('\n')}
-
+${guardrails.customRules?.length ? `\nCASE-SPECIFIC RULES:\n${guardrails.customRules.map(rule => `- ${rule}`).join('\n')}\n` : ''}
 Respond naturally as this patient would, based on the questions asked.`;
 }
 
+/**
+ * Describe how the patient's condition has changed since arrival
+ */
+function buildConditionInfo(clinicalState?: ClinicalState): string {
+  if (!clinicalState || clinicalState.events.length === 0) {
+    return '';
+  }
+  
+  const latestSymptoms = clinicalState.symptoms[clinicalState.symptoms.length - 1];
+  let info = `\n- How you appear now: ${clinicalState.patientState}`;
+  if (latestSymptoms) {
+    info += `\n- How you feel now: ${latestSymptoms}`;
+  }
+  info += '\n- Your condition has changed since you arrived. Describe how you feel now, in your own words.';
+  
+  return info;
+}
+
 /**
  * Build the context about what facts can be revealed
  */
@@ -114,9 +264,9 @@ function buildRevealableContext(
     context += `\nYour story about the current problem: ${medicalCase.history.hpi}`;
   }
   
-  // Past medical history
-  if (revealedFacts.pmh.length > 0 || medicalCase.revealRules.pmh === 'always') {
-    context += `\nYour past medical conditions: ${medicalCase.history.pmh.join(', ')}`;
+  // Past medical history (only the conditions revealed so far)
+  if (revealedFacts.pmh.length > 0) {
+    context += `\nYour past medical conditions: ${revealedFacts.pmh.join(', ')}`;
   }
   
   // Medications
@@ -129,6 +279,29 @@ function buildRevealableContext(
     context += `\nYour allergies: ${medicalCase.history.allergies.join(', ')}`;
   }
   
+  // Social history (only the topics revealed so far, e.g., smoking)
+  const socialHistory = medicalCase.history.socialHistory as { [topic: string]: string | undefined };
+  const socialFacts = revealedFacts.socialHistory
+    .filter(topic => socialHistory[topic])
+    .map(topic => `${SOCIAL_HISTORY_LABELS[topic] || topic}: ${socialHistory[topic]}`);
+  if (socialFacts.length > 0) {
+    context += `\nAbout your life: ${socialFacts.join('; ')}`;
+  }
+  
+  // Family history
+  if (revealedFacts.familyHistory && medicalCase.history.familyHistory) {
+    context += `\nYour family history: ${medicalCase.history.familyHistory}`;
+  }
+  
+  // Facts the patient brings up on their own
+  const volunteered = [
+    medicalCase.revealRules.socialHistory === 'volunteers' && socialFacts.length > 0 ? 'your life' : '',
+    medicalCase.revealRules.familyHistory === 'volunteers' && revealedFacts.familyHistory ? 'your family history' : ''
+  ].filter(Boolean);
+  if (volunteered.length > 0) {
+    context += `\n\nYou are the kind of person who mentions things about ${volunteered.join(' and ')} without being asked.`;
+  }
+  
   context += '\n\nOnly share information above if directly asked. Do not volunteer everything at once.';
   
   return context;
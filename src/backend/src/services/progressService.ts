@@ -0,0 +1,129 @@
+/**
+ * Progress Service
+ * A learner's attempt history and progress, built from their completed sessions
+ *
+ * An attempt is a session that ended with a submitted diagnosis and has been scored. A case
+ * counts as solved once any attempt got the primary diagnosis right. With SESSION_STORE=memory,
+ * only the latest 1000 completed sessions (across all learners) are kept, so older attempts drop out.
+ */
+
+import { SessionSummary, EncounterMode, OutcomeStatus } from '../models/session.types';
+import { CaseDifficulty } from '../../../shared/types/case.types';
+import { DEFAULT_RUBRIC_WEIGHTS } from '../feedback';
+import { listUserSessions } from '../store/sessionStore';
+
+export interface AttemptSummary {
+  sessionId: string;
+  caseId: string;
+  caseVersion: number;
+  title: string;
+  difficulty: CaseDifficulty;
+  mode: EncounterMode;
+  startedAt: number;
+  endedAt: number;
+  durationSec: number;
+  submittedDiagnosis: string;
+  summaryScore: number;
+  solved: boolean; // Primary diagnosis was correct
+  outcome?: OutcomeStatus;
+}
+
+export interface CaseProgress {
+  caseId: string;
+  title: string;
+  difficulty: CaseDifficulty;
+  attempts: number;
+  bestScore: number;
+  solved: boolean;
+  lastAttemptAt: number;
+}
+
+export interface ProgressSummary {
+  attempts: number;
+  solved: Record<'total' | CaseDifficulty, number>; // Solved cases (not attempts)
+  cases: CaseProgress[]; // Best score per attempted case, most recent first
+}
+
+/**
+ * A user's attempts, newest first
+ *
+ * @param userId - The learner's account ID
+ * @param caseId - Only attempts at this case (optional)
+ */
+export function listAttempts(userId: string, caseId?: string): AttemptSummary[] {
+  return listUserSessions(userId)
+    .filter(session => !caseId || session.caseId === caseId)
+    .map(summarizeAttempt)
+    .filter((attempt): attempt is AttemptSummary => attempt !== null)
+    .sort((a, b) => b.endedAt - a.endedAt);
+}
+
+/**
+ * A user's best score per case and solved cases by difficulty
+ *
+ * @param userId - The learner's account ID
+ */
+export function getProgressSummary(userId: string): ProgressSummary {
+  const attempts = listAttempts(userId);
+  const byCase = new Map<string, CaseProgress>();
+
+  // Attempts are newest first, so the first one seen per case has its current title
+  for (const attempt of attempts) {
+    const progress = byCase.get(attempt.caseId);
+    if (!progress) {
+      byCase.set(attempt.caseId, {
+        caseId: attempt.caseId,
+        title: attempt.title,
+        difficulty: attempt.difficulty,
+        attempts: 1,
+        bestScore: attempt.summaryScore,
+        solved: attempt.solved,
+        lastAttemptAt: attempt.endedAt
+      });
+      continue;
+    }
+
+    progress.attempts++;
+    progress.bestScore = Math.max(progress.bestScore, attempt.summaryScore);
+    progress.solved = progress.solved || attempt.solved;
+  }
+
+  const cases = [...byCase.values()];
+  const solved = { total: 0, Easy: 0, Medium: 0, Hard: 0 };
+  for (const progress of cases.filter(progress => progress.solved)) {
+    solved.total++;
+    solved[progress.difficulty]++;
+  }
+
+  return { attempts: attempts.length, solved, cases };
+}
+
+/**
+ * Summarize a scored session, or null if it isn't a finished attempt
+ */
+export function summarizeAttempt(session: SessionSummary): AttemptSummary | null {
+  if (session.isActive || !session.endedAt || !session.submittedDiagnosis || !session.score) {
+    return null;
+  }
+
+  const feedback = session.score;
+
+  return {
+    sessionId: session.sessionId,
+    caseId: session.caseId,
+    caseVersion: session.caseVersion,
+    title: session.title,
+    difficulty: session.difficulty,
+    mode: session.mode,
+    startedAt: session.createdAt,
+    endedAt: session.endedAt,
+    durationSec: Math.floor((session.endedAt - session.createdAt) / 1000),
+    submittedDiagnosis: session.submittedDiagnosis,
+    summaryScore: feedback.summaryScore,
+    // Feedback stored before case rubrics has no diagnosisMatch - it was scored on the default weights
+    solved: feedback.diagnosisMatch
+      ? feedback.diagnosisMatch === 'primary'
+      : feedback.diagnosisCorrectness >= DEFAULT_RUBRIC_WEIGHTS.diagnosis,
+    outcome: feedback.outcome
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Scripted Patient
+ * Rule-based patient responder that answers from the case data without an LLM.
+ * Answers depend only on the question and the facts revealed so far, so every student
+ * asking the same questions gets the same answers.
+ */
+
+import { MedicalCase, RevealedFacts } from '../../../shared/types/case.types';
+import { ClinicalState, RevealEvent } from '../models/session.types';
+import { classifyMessage } from './factRevealer';
+
+export interface ScriptedReplyParams {
+  case: MedicalCase;
+  revealedFacts: RevealedFacts;
+  userInput: string;
+  clinicalState?: ClinicalState;
+  revealEvents?: RevealEvent[]; // Reveal log entries for this message (to notice withheld facts)
+}
+
+type AnswerStyle = 'brief' | 'detailed' | 'plain';
+
+// Third-person case narrative → first-person patient speech
+const NARRATIVE_REWRITES: Array<[RegExp, string | ((...match: string[]) => string)]> = [
+  [/^(the )?patient (reports|states|describes|complains of)\s+/i, 'I have '],
+  [/^describes it as\s+/i, "I'd describe it as "],
+  [/^(pain|it) radiates to\s+/i, 'The pain goes to my '],
+  [/^associated with\s+/i, "I've also had "],
+  [/^tried\s+/i, 'I tried '],
+  [/^denies$/i, 'No, never'],
+  [/^denies\s+/i, "I haven't had any "],
+  [/^reports\s+/i, 'I have '],
+  [/^former (smoker|drinker)/i, "I'm a former $1"],
+  [/(^|,\s*|and\s+)(father|mother|brother|sister|parents|grandfather|grandmother)\b/gi, (_, before, relative) => `${before}my ${relative.toLowerCase()}`]
+];
+
+// HPI sentence topics, matched against both the question and the narrative sentence
+const HPI_TOPICS: Array<{ question: RegExp; sentence: RegExp }> = [
+  { question: /\b(when|how long|start(ed)?|began|onset)\b/, sentence: /\b(started|began|ago|since|onset)\b/ },
+  { question: /\b(describe|what (does|is) it feel|like|kind of pain|quality|feel(s)? like)\b/, sentence: /\b(describes?|feels?|like|pressure|sharp|dull|heavy)\b/ },
+  { question: /\b(spread|radiat\w*|move|anywhere else|go(es)? (to|anywhere))\b/, sentence: /\b(radiat\w*|spread\w*|goes to)\b/ },
+  { question: /\b(other symptoms|anything else|associated|nause\w*|short(ness)? of breath|breath\w*|sweat\w*|dizz\w*)\b/, sentence: /\b(associated|nausea|shortness|sweat\w*|dizz\w*)\b/ },
+  { question: /\b(tried|help(s|ed)?|better|relie\w*|anything for it|take anything)\b/, sentence: /\b(tried|relie\w*|better|helps?)\b/ },
+  { question: /\b(palpitations|faint\w*|pass(ed)? out|conscious\w*)\b/, sentence: /\b(denies|palpitations|consciousness)\b/ }
+];
+
+const GREETING_PATTERN = /^\s*(hi|hello|hey|good (morning|afternoon|evening))\b/;
+
+// The learner asking about the patient's worries or reassuring them
+const REASSURANCE_PATTERN = /\b(worr(y|ied|ies|ying)|concern(s|ed)?|scared|afraid|frightened|nervous|reassur\w*|(going to|gonna) be (ok|okay|fine|alright)|take (good )?care of you|in good hands)\b/;
+
+/**
+ * Generate a patient reply from the case data
+ *
+ * @param params - The case, revealed facts and the learner's question
+ * @returns The patient's reply
+ */
+export function generateScriptedReply(params: ScriptedReplyParams): string {
+  const { case: caseData, revealedFacts, userInput, clinicalState, revealEvents = [] } = params;
+  const { history, patient } = caseData;
+  const text = userInput.toLowerCase();
+  const style = getAnswerStyle(caseData);
+  const { domains, socialTopics } = classifyMessage(caseData, userInput);
+  const parts: string[] = [];
+
+  // Facts the learner asked about but hasn't earned yet
+  if (revealEvents.some(event => event.status === 'withheld')) {
+    return "I... I don't really know you yet. Can we take this slowly?";
+  }
+
+  const asksAboutIllness = domains.includes('hpi') || HPI_TOPICS.some(topic => topic.question.test(text));
+  if (asksAboutIllness && revealedFacts.hpi) {
+    parts.push(answerPresentIllness(caseData, text, style, clinicalState));
+  }
+  if (domains.includes('pmh') && revealedFacts.pmh.length > 0) {
+    parts.push(`I've been told I have ${listItems(revealedFacts.pmh.map(stripNote))}.`);
+  }
+  if (domains.includes('medications') && revealedFacts.medications) {
+    parts.push(history.medications.length > 0
+      ? `I take ${listItems(style === 'brief' ? history.medications.map(firstWords) : history.medications)}.`
+      : "I don't take any medications.");
+  }
+  if (domains.includes('allergies') && revealedFacts.allergies) {
+    parts.push(history.allergies.length > 0
+      ? `I'm allergic to ${listItems(history.allergies)}.`
+      : 'No allergies that I know of.');
+  }
+  for (const topic of socialTopics) {
+    const fact = (history.socialHistory as { [topic: string]: string | undefined })[topic];
+    if (fact && revealedFacts.socialHistory.includes(topic)) {
+      parts.push(topic === 'occupation' ? `I work as ${withArticle(fact)}.` : toFirstPerson(fact));
+    }
+  }
+  if (domains.includes('familyHistory') && revealedFacts.familyHistory && history.familyHistory) {
+    parts.push(toFirstPerson(history.familyHistory));
+  }
+
+  if (parts.length === 0) {
+    if (GREETING_PATTERN.test(text)) {
+      return `Hi, doctor. ${patient.chiefComplaint}.`.replace(/\.\./g, '.');
+    }
+    return domains.length > 0
+      ? "I'd rather not get into that right now."
+      : "I'm not sure what you mean, doctor. Could you ask me another way?";
+  }
+
+  // An anxious patient only voices their worry about the complaint itself, or when invited to
+  const voicesWorry = (asksAboutIllness && revealedFacts.hpi) || REASSURANCE_PATTERN.test(text);
+
+  return applyStyle(caseData, parts, style, userInput, voicesWorry);
+}
+
+/**
+ * Answer a question about the present illness from the matching HPI sentences
+ */
+function answerPresentIllness(
+  caseData: MedicalCase,
+  question: string,
+  style: AnswerStyle,
+  clinicalState?: ClinicalState
+): string {
+  const sentences = splitSentences(caseData.history.hpi);
+  const topics = HPI_TOPICS.filter(topic => topic.question.test(question));
+
+  let selected = sentences.filter(sentence => topics.some(topic => topic.sentence.test(sentence.toLowerCase())));
+  if (selected.length === 0) {
+    // Open question ("what brings you in?") - tell the story from the start
+    selected = style === 'brief' ? sentences.slice(0, 1) : sentences.slice(0, 2);
+  }
+
+  let answer = selected.map(toFirstPerson).join(' ');
+
+  // How the patient feels now, if their condition has changed since arrival
+  const latestSymptoms = clinicalState?.symptoms[clinicalState.symptoms.length - 1];
+  if (latestSymptoms) {
+    answer += ` Right now, ${lowerFirst(toFirstPerson(latestSymptoms))}`;
+  }
+
+  return answer;
+}
+
+/**
+ * Phrase the answer in the patient's communication style
+ * A detailed, anxious patient may add a worried line, but only when voicesWorry.
+ */
+function applyStyle(
+  caseData: MedicalCase,
+  parts: string[],
+  style: AnswerStyle,
+  userInput: string,
+  voicesWorry: boolean
+): string {
+  const { personality } = caseData.patient;
+  const mood = `${personality.baseline} ${personality.emotionalState}`.toLowerCase();
+
+  if (style === 'brief') {
+    return parts.map(part => splitSentences(part)[0] ?? part).join(' ');
+  }
+
+  const reply = [...parts];
+  if (style === 'detailed') {
+    const communication = personality.communicationStyle.toLowerCase();
+    if (/reassur|worr|anxious|fear/.test(`${communication} ${mood}`)) {
+      if (voicesWorry) {
+        reply.push(pick(['', '', 'Is that something serious, doctor?', 'Should I be worried about that?', "I just want to know I'm going to be okay."], userInput));
+      }
+    } else if (/question/.test(communication)) {
+      reply.push(pick(['', 'Does that help?', 'Is there anything else you need to know?'], userInput));
+    }
+  }
+
+  return reply.filter(Boolean).join(' ').replace(/\.\./g, '.');
+}
+
+/**
+ * Read the answer style from personality.communicationStyle
+ */
+function getAnswerStyle(caseData: MedicalCase): AnswerStyle {
+  const communication = caseData.patient.personality.communicationStyle.toLowerCase();
+
+  if (/\b(quiet|one-word|short|terse|brief|reluctant|minimal)\b/.test(communication)) {
+    return 'brief';
+  }
+  if (/\b(detailed|verbose|talkative|rambl\w*|chatty|asks)\b/.test(communication)) {
+    return 'detailed';
+  }
+
+  return 'plain';
+}
+
+/**
+ * Rewrite a third-person narrative sentence as something the patient would say
+ */
+function toFirstPerson(sentence: string): string {
+  let result = sentence.trim();
+  for (const [pattern, replacement] of NARRATIVE_REWRITES) {
+    result = result.replace(pattern, replacement as any);
+  }
+
+  result = result.charAt(0).toUpperCase() + result.slice(1);
+  return /[.!?]['"]?$/.test(result) ? result : `${result}.`;
+}
+
+/**
+ * Pick a phrasing deterministically from the question text
+ */
+function pick(options: string[], seedText: string): string {
+  let hash = 0;
+  for (const char of seedText) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+
+  return options[Math.abs(hash) % options.length];
+}
+
+function splitSentences(text: string): string[] {
+  // A closing quote stays with its sentence ("like an elephant sitting on my chest.'")
+  return text.match(/[^.!?]+[.!?]*['"]?/g)?.map(sentence => sentence.trim()).filter(Boolean) ?? [];
+}
+
+function listItems(items: string[]): string {
+  if (items.length <= 1) {
+    return items.join('');
+  }
+
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// "Type 2 Diabetes Mellitus (controlled)" → "type 2 diabetes mellitus" (acronyms kept)
+function stripNote(item: string): string {
+  return item
+    .replace(/\s*\(.*?\)/g, '')
+    .trim()
+    .split(/\s+/)
+    .map(word => (/^[A-Z0-9]+$/.test(word) ? word : word.toLowerCase()))
+    .join(' ');
+}
+
+// "Elementary school teacher" → "an elementary school teacher"
+function withArticle(role: string): string {
+  const lower = lowerFirst(role.trim());
+  return /^(a|an|the)\s/.test(lower) ? lower : `${/^[aeiou]/.test(lower) ? 'an' : 'a'} ${lower}`;
+}
+
+// "Lisinopril 10mg daily" → "Lisinopril"
+function firstWords(item: string): string {
+  return item.split(/\s+\d/)[0];
+}
+
+function lowerFirst(text: string): string {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
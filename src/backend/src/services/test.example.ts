@@ -0,0 +1,183 @@
+/**
+ * Test/Example: Patient Conversation
+ *
+ * Checks how learner messages are classified and how patient replies are produced
+ * Run with: npx ts-node src/backend/src/services/test.example.ts
+ */
+
+import * as assert from 'assert';
+import { loadCase } from './caseLoader';
+import { classifyMessage } from './factRevealer';
+import { checkPatientReply } from './guardrailChecker';
+import { generatePatientReply } from './patientEngine';
+import { generateScriptedReply } from './scriptedPatient';
+import { GuardrailViolation } from '../models/session.types';
+import { MedicalCase, RevealedFacts } from '../../../shared/types/case.types';
+
+const checks: Array<{ name: string; run: () => void | Promise<void> }> = [];
+
+function check(name: string, run: () => void | Promise<void>): void {
+  checks.push({ name, run });
+}
+
+// ---------------------------------------------------------------------------
+// Fact revealer
+// ---------------------------------------------------------------------------
+
+check('a family history question does not ask about the patient\'s own conditions', () => {
+  const caseData = loadCase('chest-pain-001');
+
+  for (const message of ['Does diabetes run in your family?', "Tell me about your father's diabetes."]) {
+    const classification = classifyMessage(caseData, message);
+    assert.deepStrictEqual(classification.domains, ['familyHistory'], message);
+    assert.deepStrictEqual(classification.conditions, [], message);
+  }
+});
+
+check('a personal question next to a family one still asks about the patient', () => {
+  const caseData = loadCase('chest-pain-001');
+  const classification = classifyMessage(caseData, 'Do you have diabetes, and does it run in your family?');
+
+  assert.ok(classification.domains.includes('familyHistory'));
+  assert.ok(classification.domains.includes('pmh'));
+  assert.deepStrictEqual(classification.conditions, ['Type 2 Diabetes Mellitus']);
+});
+
+// ---------------------------------------------------------------------------
+// Guardrails
+// ---------------------------------------------------------------------------
+
+check('a scripted reply that states a forbidden phrase is replaced and recorded', async () => {
+  const caseData = loadCase('chest-pain-001');
+  caseData.guardrails.patientCannotSay.push("I'm allergic to penicillin");
+
+  const violations: Array<Omit<GuardrailViolation, 'messageIndex'>> = [];
+  const reply = await generatePatientReply({
+    case: caseData,
+    level: 1,
+    revealedFacts: revealed({ allergies: true }),
+    conversationHistory: [],
+    userInput: 'Do you have any allergies?',
+    mode: 'scripted',
+    onGuardrailViolation: violation => violations.push(violation)
+  });
+
+  assert.ok(!/penicillin/i.test(reply), reply);
+  assert.strictEqual(violations.length, 1);
+  assert.strictEqual(violations[0].type, 'forbidden_phrase');
+  assert.strictEqual(violations[0].resolution, 'fallback');
+});
+
+check('a patient can name a condition from their own history', () => {
+  const caseData = loadCase('chest-pain-001');
+  caseData.history.pmh.push('Acid reflux');
+
+  assert.deepStrictEqual(checkPatientReply('I have acid reflux, but this feels different.', caseData), []);
+  assert.deepStrictEqual(checkPatientReply("I have GERD, it's been bad for years.", withoutGerd(caseData)), [],
+    'naming a condition is not a self-diagnosis without a lead-in like "I think"');
+});
+
+check('a patient guessing at a condition they don\'t have is a self-diagnosis', () => {
+  const caseData = loadCase('chest-pain-001');
+  const issues = checkPatientReply("I think it's just acid reflux.", caseData);
+
+  assert.strictEqual(issues.length, 1);
+  assert.strictEqual(issues[0].type, 'self_diagnosis');
+});
+
+// ---------------------------------------------------------------------------
+// Scripted patient
+// ---------------------------------------------------------------------------
+
+// The worried lines an anxious, detailed scripted patient may add
+const WORRIED_LINE = /serious, doctor\?|worried about that\?|going to be okay/;
+
+check('an anxious scripted patient keeps worry out of answers about other topics', () => {
+  const caseData = loadCase('chest-pain-001');
+  const revealedFacts = revealed({ hpi: true, medications: true, allergies: true, pmh: caseData.history.pmh });
+
+  for (const userInput of [
+    'What medications do you take?',
+    'Which medicines are you on?',
+    'Do you have any allergies?',
+    'Any allergies to medications?',
+    'Do you have any medical conditions?',
+    'What is your past medical history?'
+  ]) {
+    const reply = generateScriptedReply({ case: caseData, revealedFacts, userInput });
+    assert.ok(!WORRIED_LINE.test(reply), `${userInput} → ${reply}`);
+  }
+});
+
+check('an anxious scripted patient voices worry about the complaint or when reassured', () => {
+  const caseData = loadCase('chest-pain-001');
+  const revealedFacts = revealed({ hpi: true, medications: true });
+  const reply = (userInput: string) => generateScriptedReply({ case: caseData, revealedFacts, userInput });
+
+  const aboutComplaint = ['When did the pain start?', 'Can you describe the pain?', 'Does the pain go anywhere?', 'What brings you in today?', 'How long have you had the pain?']
+    .map(reply);
+  assert.ok(aboutComplaint.some(answer => WORRIED_LINE.test(answer)), aboutComplaint.join('\n'));
+
+  const reassured = ["Don't worry, we'll take good care of you. What medications do you take?", 'Are you worried? Which medicines are you on?', 'What concerns you most? What medications do you take?']
+    .map(reply);
+  assert.ok(reassured.some(answer => WORRIED_LINE.test(answer)), reassured.join('\n'));
+});
+
+/**
+ * Revealed facts with only the given domains revealed
+ */
+function revealed(facts: Partial<RevealedFacts>): RevealedFacts {
+  return {
+    hpi: false,
+    pmh: [],
+    medications: false,
+    allergies: false,
+    socialHistory: [],
+    familyHistory: false,
+    physicalExam: [],
+    diagnostics: [],
+    ...facts
+  };
+}
+
+/**
+ * The case without GERD among its differentials (so only the lead-in rule could flag it)
+ */
+function withoutGerd(caseData: MedicalCase): MedicalCase {
+  return {
+    ...caseData,
+    diagnosis: { ...caseData.diagnosis, differentials: caseData.diagnosis.differentials.filter(name => name !== 'GERD') }
+  };
+}
+
+/**
+ * Run every check and report the results
+ */
+async function runTests(): Promise<void> {
+  let failed = 0;
+
+  for (const { name, run } of checks) {
+    try {
+      await run();
+      console.log(`✓ ${name}`);
+    } catch (error: any) {
+      failed++;
+      console.log(`✗ ${name}\n    ${error?.message || error}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,236 @@
+/**
+ * Session Repository
+ * Where sessions are stored, selected by configuration:
+ * - file: one JSON file per session under SESSION_DATA_DIR (default data/sessions) - survives restarts.
+ *   An index file next to them holds every session's summary, so listings don't read each session.
+ * - memory: kept in the server process only, for development - lost on restart, and only the
+ *   latest MEMORY_COMPLETED_LIMIT completed sessions are kept
+ *
+ * The session store keeps the sessions in use in memory and saves them here after every change.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Session, SessionSummary } from '../models/session.types';
+import { summarizeCase } from '../services/caseLoader';
+
+export type SessionStoreType = 'memory' | 'file';
+
+export interface SessionRepository {
+  name: SessionStoreType;
+  load(sessionId: string): Session | null;
+  save(session: Session): void;
+  delete(sessionId: string): void;
+  list(): SessionSummary[]; // Every stored session's summary, oldest first (memory: the latest MEMORY_COMPLETED_LIMIT completed)
+}
+
+// Summaries of the file repository's sessions (the underscore keeps it clear of session IDs)
+const INDEX_FILE = '_index.json';
+
+// Completed sessions the memory repository keeps (the oldest are dropped beyond this)
+const MEMORY_COMPLETED_LIMIT = 1000;
+
+let cachedRepository: SessionRepository | null = null;
+
+/**
+ * Get the configured session repository
+ * SESSION_STORE selects "file" (default) or "memory".
+ */
+export function getSessionRepository(): SessionRepository {
+  if (!cachedRepository) {
+    const name = (process.env.SESSION_STORE || 'file').toLowerCase();
+    if (name === 'memory') {
+      cachedRepository = createMemorySessionRepository();
+    } else {
+      if (name !== 'file') {
+        console.warn(`Unknown SESSION_STORE "${name}", using file`);
+      }
+      cachedRepository = createFileSessionRepository(getSessionDataDir());
+    }
+  }
+
+  return cachedRepository;
+}
+
+/**
+ * Override the configured repository (e.g., the memory repository in tests)
+ * Pass null to go back to the configured repository.
+ */
+export function setSessionRepository(repository: SessionRepository | null): void {
+  cachedRepository = repository;
+}
+
+/**
+ * Directory holding stored sessions (file repository)
+ */
+export function getSessionDataDir(): string {
+  return path.resolve(process.cwd(), process.env.SESSION_DATA_DIR || path.join('data', 'sessions'));
+}
+
+/**
+ * What listings need from a session
+ */
+export function summarizeSession(session: Session): SessionSummary {
+  const { title, difficulty } = summarizeCase(session.case, session.caseVersion);
+  const feedback = session.feedbackResult;
+
+  return {
+    sessionId: session.sessionId,
+    caseId: session.caseId,
+    caseVersion: session.caseVersion,
+    level: session.level,
+    userId: session.userId,
+    userName: session.userName,
+    title,
+    difficulty,
+    mode: session.mode,
+    isActive: session.isActive,
+    createdAt: session.createdAt,
+    endedAt: session.endedAt,
+    submittedDiagnosis: session.submittedDiagnosis,
+    score: feedback && {
+      summaryScore: feedback.summaryScore,
+      diagnosisMatch: feedback.diagnosisMatch,
+      diagnosisCorrectness: feedback.breakdown.diagnosisCorrectness,
+      outcome: feedback.outcome?.status
+    }
+  };
+}
+
+/**
+ * Repository that keeps sessions in the server process (development only)
+ * Keeps every active session and the latest MEMORY_COMPLETED_LIMIT completed ones.
+ */
+export function createMemorySessionRepository(): SessionRepository {
+  const sessions = new Map<string, Session>();
+
+  return {
+    name: 'memory',
+    load: sessionId => sessions.get(sessionId) ?? null,
+    save: session => {
+      sessions.set(session.sessionId, session);
+      if (!session.isActive) {
+        const completed = [...sessions.values()].filter(stored => !stored.isActive);
+        completed
+          .sort((a, b) => (a.endedAt ?? a.updatedAt) - (b.endedAt ?? b.updatedAt))
+          .slice(0, Math.max(0, completed.length - MEMORY_COMPLETED_LIMIT))
+          .forEach(stored => sessions.delete(stored.sessionId));
+      }
+    },
+    delete: sessionId => {
+      sessions.delete(sessionId);
+    },
+    list: () => [...sessions.values()]
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(summarizeSession)
+  };
+}
+
+/**
+ * Repository that writes each session to <dataDir>/<sessionId>.json
+ * Summaries are kept in <dataDir>/_index.json, rebuilt from the session files when it's missing
+ * or unreadable (delete it after changing session files by hand).
+ */
+export function createFileSessionRepository(dataDir: string): SessionRepository {
+  // Session IDs are UUIDs; anything else never reaches the file system
+  const getSessionPath = (sessionId: string): string | null =>
+    /^[a-zA-Z0-9-]+$/.test(sessionId) ? path.join(dataDir, `${sessionId}.json`) : null;
+
+  const readSession = (filePath: string): Session | null => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error: any) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Unreadable session file ${filePath}:`, error?.message || error);
+      }
+      return null;
+    }
+  };
+
+  // Write then rename, so a crash never leaves a half-written file behind
+  const writeFile = (filePath: string, data: unknown): void => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const indexPath = path.join(dataDir, INDEX_FILE);
+  let index: Map<string, SessionSummary> | null = null;
+
+  const writeIndex = (summaries: Map<string, SessionSummary>): void => {
+    writeFile(indexPath, [...summaries.values()]);
+  };
+
+  // Summaries by session ID, read once (or rebuilt from the session files)
+  const getIndex = (): Map<string, SessionSummary> => {
+    if (index) {
+      return index;
+    }
+
+    try {
+      const summaries: SessionSummary[] = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+      index = new Map(summaries.map(summary => [summary.sessionId, summary]));
+      return index;
+    } catch (error: any) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Unreadable session index ${indexPath}, rebuilding it:`, error?.message || error);
+      }
+    }
+
+    index = new Map();
+    if (fs.existsSync(dataDir)) {
+      for (const file of fs.readdirSync(dataDir)) {
+        if (!file.endsWith('.json') || file === INDEX_FILE) continue;
+        const session = readSession(path.join(dataDir, file));
+        if (session) {
+          index.set(session.sessionId, summarizeSession(session));
+        }
+      }
+      writeIndex(index);
+    }
+    return index;
+  };
+
+  return {
+    name: 'file',
+
+    load(sessionId: string): Session | null {
+      const sessionPath = getSessionPath(sessionId);
+      return sessionPath ? readSession(sessionPath) : null;
+    },
+
+    save(session: Session): void {
+      const sessionPath = getSessionPath(session.sessionId);
+      if (!sessionPath) {
+        throw new Error(`Invalid session ID: ${session.sessionId}`);
+      }
+
+      writeFile(sessionPath, session);
+
+      // Most saves (messages, actions) leave the summary as it was
+      const summaries = getIndex();
+      const summary = summarizeSession(session);
+      if (JSON.stringify(summaries.get(session.sessionId)) !== JSON.stringify(summary)) {
+        summaries.set(session.sessionId, summary);
+        writeIndex(summaries);
+      }
+    },
+
+    delete(sessionId: string): void {
+      const sessionPath = getSessionPath(sessionId);
+      if (sessionPath) {
+        fs.rmSync(sessionPath, { force: true });
+      }
+
+      const summaries = getIndex();
+      if (summaries.delete(sessionId)) {
+        writeIndex(summaries);
+      }
+    },
+
+    list(): SessionSummary[] {
+      return [...getIndex().values()].sort((a, b) => a.createdAt - b.createdAt);
+    }
+  };
+}
@@ -1,18 +1,27 @@
 /**
  * Session Store
- * In-memory session storage with TTL cleanup
- * For hackathon MVP - no database needed
+ * Keeps the sessions in use in memory and saves every change to the session repository
+ * (see sessionRepository - file or memory, chosen by SESSION_STORE).
+ * 
+ * Completed sessions are kept in the repository - indefinitely by the file repository, while the
+ * memory repository keeps only the latest 1000. After the TTL they are only dropped from memory
+ * and reloaded when asked for. Active sessions left idle past the TTL are abandoned: they are
+ * ended as of their last activity and kept like any other completed session, so the learner can
+ * still submit a diagnosis and review the transcript.
  */
 
-import { Session, CreateSessionParams, SessionAction } from '../models/session.types';
+import { Session, SessionSummary, CreateSessionParams, SessionAction, GuardrailViolation } from '../models/session.types';
 import { FeedbackResult } from '../feedback/types';
 import { MedicalCase } from '../../../shared/types/case.types';
+import { createClinicalState, DEFAULT_TIME_SCALE } from '../services/clinicalStateEngine';
+import { applyCaseVariant, createVariantSeed } from '../services/caseVariants';
+import { getSessionRepository } from './sessionRepository';
 import { randomUUID } from 'crypto';
 
-// In-memory store: Map<sessionId, Session>
+// Sessions in use: Map<sessionId, Session>
 const sessions = new Map<string, Session>();
 
-// Default TTL: 2 hours (7200000 ms) - sessions expire after 2 hours of inactivity
+// Default TTL: 2 hours (7200000 ms) - active sessions expire, and completed sessions leave memory, after 2 hours of inactivity
 const DEFAULT_TTL_MS = 2 * 60 * 60 * 1000;
 
 // Cleanup interval: check every 15 minutes for expired sessions
@@ -57,8 +66,12 @@ function cleanupExpiredSessions(): void {
     
     // Check if session expired (TTL exceeded)
     if (timeSinceUpdate > DEFAULT_TTL_MS) {
-      sessions.delete(sessionId);
+      if (session.isActive) {
+        expireSession(sessionId);
+      }
+      sessions.delete(sessionId); // Still stored; reloaded when asked for
       cleaned++;
+      continue;
     }
     
     // Also check explicit time limit if set
@@ -76,11 +89,71 @@ function cleanupExpiredSessions(): void {
   }
 }
 
+/**
+ * End an abandoned session as of its last activity
+ */
+function expireSession(sessionId: string): void {
+  const session = findSession(sessionId);
+  if (!session) {
+    return;
+  }
+
+  // The simulated clock stops where the learner left off, not two hours later
+  session.isActive = false;
+  session.endedAt = session.updatedAt;
+  markEnded(sessionId);
+}
+
+/**
+ * Find a session in memory, or load it from storage (without expiry checks)
+ */
+function findSession(sessionId: string): Session | null {
+  let session = sessions.get(sessionId);
+  
+  if (!session) {
+    session = getSessionRepository().load(sessionId) ?? undefined;
+    if (!session) {
+      return null;
+    }
+    sessions.set(sessionId, session);
+  }
+  
+  return session;
+}
+
+/**
+ * Save a session to storage
+ * The store's own updates save automatically; call this after changing a session directly
+ * (e.g., advancing its clinical state or orders).
+ * 
+ * @param session - The changed session
+ */
+export function saveSession(session: Session): void {
+  getSessionRepository().save(session);
+}
+
+/**
+ * Summaries of every stored session, oldest first (active and completed)
+ * Use getSession for the full session. The memory repository only keeps the latest 1000 completed sessions.
+ */
+export function listSessions(): SessionSummary[] {
+  return getSessionRepository().list();
+}
+
+/**
+ * Summaries of every stored session owned by a user, oldest first (active and completed)
+ * 
+ * @param userId - The owner's account ID
+ */
+export function listUserSessions(userId: string): SessionSummary[] {
+  return listSessions().filter(session => session.userId === userId);
+}
+
 /**
  * Create a new session
  * 
  * @param params - Session creation parameters
- * @param caseData - The loaded medical case
+ * @param caseData - The loaded medical case (the session runs a seeded variant of it)
  * @returns The created session object
  */
 export function createSession(
@@ -90,12 +163,16 @@ export function createSession(
   const sessionId = randomUUID();
   const now = Date.now();
   
+  // Draw this session's variant of the case
+  const variantSeed = params.variantSeed ?? createVariantSeed();
+  const variantCase = applyCaseVariant(caseData, variantSeed);
+  
   // Initialize revealed facts tracking
   const revealedFacts = {
-    hpi: params.caseId === caseData.caseId && caseData.revealRules.hpi === 'always',
-    pmh: caseData.revealRules.pmh === 'always' ? [...caseData.history.pmh] : [],
-    medications: caseData.revealRules.medications === 'always',
-    allergies: caseData.revealRules.allergies === 'always',
+    hpi: params.caseId === variantCase.caseId && variantCase.revealRules.hpi === 'always',
+    pmh: variantCase.revealRules.pmh === 'always' ? [...variantCase.history.pmh] : [],
+    medications: variantCase.revealRules.medications === 'always',
+    allergies: variantCase.revealRules.allergies === 'always',
     socialHistory: [],
     familyHistory: false,
     physicalExam: [],
@@ -105,21 +182,33 @@ export function createSession(
   const session: Session = {
     sessionId,
     caseId: params.caseId,
+    caseVersion: params.caseVersion,
+    variantSeed,
     level: params.level,
+    userId: params.userId,
     userName: params.userName,
-    case: caseData,
+    case: variantCase,
     messages: [],
     revealedFacts,
+    revealLog: [],
     actions: [],
+    orders: [],
+    guardrailViolations: [],
+    clinicalState: createClinicalState(variantCase, params.level),
     createdAt: now,
     updatedAt: now,
     timeLimitSec: params.timeLimitSec,
     maxTurns: params.maxTurns,
+    timeScale: params.timeScale ?? DEFAULT_TIME_SCALE,
+    patientMode: params.patientMode ?? 'llm',
+    mode: params.mode ?? 'test',
+    guidanceLevel: params.guidanceLevel,
     currentTurn: 0,
     isActive: true
   };
   
   sessions.set(sessionId, session);
+  saveSession(session);
   console.log(`Created session ${sessionId} for case ${params.caseId}`);
   
   return session;
@@ -129,22 +218,22 @@ export function createSession(
  * Get a session by ID
  * 
  * @param sessionId - The session ID
- * @returns The session object or null if not found/expired
+ * @returns The session object (ended if it ran out of time or was abandoned), or null if not found
  */
 export function getSession(sessionId: string): Session | null {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   
   if (!session) {
     return null;
   }
   
-  // Check if expired
+  // Check if abandoned (completed sessions never expire)
   const now = Date.now();
   const timeSinceUpdate = now - session.updatedAt;
   
-  if (timeSinceUpdate > DEFAULT_TTL_MS) {
-    sessions.delete(sessionId);
-    return null;
+  if (session.isActive && timeSinceUpdate > DEFAULT_TTL_MS) {
+    expireSession(sessionId);
+    return session;
   }
   
   // Check explicit time limit
@@ -193,6 +282,7 @@ export function appendMessage(sessionId: string, role: 'user' | 'assistant', tex
   }
   
   session.updatedAt = Date.now();
+  saveSession(session);
 }
 
 /**
@@ -228,10 +318,30 @@ export function recordAction(
   
   session.actions.push(action);
   session.updatedAt = Date.now();
+  saveSession(session);
   
   console.log(`Action recorded for session ${sessionId}: ${actionType}`);
 }
 
+/**
+ * Record a patient reply that broke the case's guardrails
+ * 
+ * @param sessionId - The session ID
+ * @param violation - The violation details
+ */
+export function recordGuardrailViolation(sessionId: string, violation: GuardrailViolation): void {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  
+  session.guardrailViolations.push(violation);
+  saveSession(session);
+  
+  console.warn(`Guardrail violation in session ${sessionId} (case ${session.caseId}): ${violation.type} - ${violation.detail}`);
+}
+
 /**
  * Mark a session as ended
  * 
@@ -239,16 +349,24 @@ export function recordAction(
  * @param diagnosis - Optional diagnosis submitted by student
  */
 export function markEnded(sessionId: string, diagnosis?: string): void {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   
   if (!session) {
     return; // Already deleted or doesn't exist
   }
   
-  session.isActive = false;
-  session.endedAt = Date.now();
+  // Keep the original end time if the simulation already ended the session (time limit, patient outcome)
+  if (session.isActive) {
+    session.isActive = false;
+    session.endedAt = Date.now();
+  }
   session.updatedAt = Date.now();
   
+  // A session ended without a deterioration outcome finished with a stable patient
+  if (!session.outcome) {
+    session.outcome = { status: 'stable', endedEncounter: false };
+  }
+  
   // Store submitted diagnosis if provided
   if (diagnosis) {
     session.submittedDiagnosis = diagnosis.trim();
@@ -256,6 +374,8 @@ export function markEnded(sessionId: string, diagnosis?: string): void {
     session.feedbackResult = undefined;
   }
   
+  saveSession(session);
+  
   console.log(`Session ${sessionId} marked as ended${diagnosis ? ` with diagnosis: ${diagnosis}` : ''}`);
 }
 
@@ -266,7 +386,7 @@ export function markEnded(sessionId: string, diagnosis?: string): void {
  * @param feedbackResult - The feedback result from F1's analyzeSession
  */
 export function storeFeedback(sessionId: string, feedbackResult: FeedbackResult): void {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   
   if (!session) {
     throw new Error(`Session not found: ${sessionId}`);
@@ -274,12 +394,13 @@ export function storeFeedback(sessionId: string, feedbackResult: FeedbackResult)
   
   session.feedbackResult = feedbackResult;
   session.updatedAt = Date.now();
+  saveSession(session);
   
   console.log(`Feedback stored for session ${sessionId} - Score: ${feedbackResult.summaryScore}`);
 }
 
 /**
- * Get statistics about active sessions (useful for debugging)
+ * Get statistics about the sessions in memory (useful for debugging)
  */
 export function getStats(): { total: number; active: number; expired: number } {
   const now = Date.now();
@@ -0,0 +1,108 @@
+/**
+ * User Store
+ * Local user accounts, kept in one JSON file (USER_DATA_FILE, default data/users.json)
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { randomUUID } from 'crypto';
+import { User, PublicUser, CreateUserParams } from '../models/user.types';
+import { hashPassword } from '../services/authService';
+
+/**
+ * File holding the user accounts
+ */
+export function getUserDataFile(): string {
+  return path.resolve(process.cwd(), process.env.USER_DATA_FILE || path.join('data', 'users.json'));
+}
+
+/**
+ * Every account, oldest first
+ */
+export function listUsers(): User[] {
+  const filePath = getUserDataFile();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Find an account by ID
+ */
+export function getUserById(userId: string): User | null {
+  return listUsers().find(user => user.userId === userId) ?? null;
+}
+
+/**
+ * Find an account by login name (case-insensitive)
+ */
+export function getUserByUsername(username: string): User | null {
+  const wanted = username.trim().toLowerCase();
+  return listUsers().find(user => user.username.toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Create an account
+ *
+ * @throws Error if the username is taken
+ */
+export function createUser(params: CreateUserParams): User {
+  const users = listUsers();
+  const username = params.username.trim();
+
+  if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+    throw new Error(`Username ${username} is already taken`);
+  }
+
+  const user: User = {
+    userId: randomUUID(),
+    username,
+    displayName: params.displayName?.trim() || username,
+    role: params.role,
+    passwordHash: hashPassword(params.password),
+    createdAt: Date.now()
+  };
+
+  writeUsers([...users, user]);
+  console.log(`Created ${user.role} account ${username}`);
+
+  return user;
+}
+
+/**
+ * Change an account's settings
+ *
+ * @returns The updated account, or null if it doesn't exist
+ */
+export function updateUser(userId: string, changes: Pick<Partial<User>, 'displayName' | 'leaderboardOptOut'>): User | null {
+  const users = listUsers();
+  const user = users.find(existing => existing.userId === userId);
+  if (!user) {
+    return null;
+  }
+
+  Object.assign(user, changes);
+  writeUsers(users);
+
+  return user;
+}
+
+/**
+ * An account without its password hash
+ */
+export function toPublicUser(user: User): PublicUser {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+function writeUsers(users: User[]): void {
+  const filePath = getUserDataFile();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Write then rename, so a crash never leaves a half-written file behind
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(users, null, 2) + '\n');
+  fs.renameSync(tempPath, filePath);
+}
@@ -0,0 +1,133 @@
+/**
+ * Action Matching
+ * Fuzzy matching between recorded session actions and case-authored action descriptions
+ * Shared by the feedback scoring rules and the clinical state engine
+ */
+
+/**
+ * Match an action type (or free text) to a case action description (fuzzy matching)
+ * e.g. "gave_aspirin" matches "Aspirin 325mg chewed", "ordered_ekg" matches "Obtain EKG"
+ */
+export function matchesAction(actionType: string, criticalAction: string): boolean {
+  const normalizedAction = actionType.toLowerCase().replace(/[_\s-]/g, ' ');
+  const normalizedCritical = criticalAction.toLowerCase().replace(/[_\s-]/g, ' ');
+  
+  // Extract key words from critical action (skip common words)
+  const skipWords = new Set(['the', 'a', 'an', 'and', 'or', 'within', 'minutes', 'obtain', 'get']);
+  const keyWords = normalizedCritical
+    .split(' ')
+    .filter(w => w.length > 2 && !skipWords.has(w));
+  
+  if (keyWords.length === 0) {
+    return normalizedAction.includes(normalizedCritical) || 
+           normalizedCritical.includes(normalizedAction);
+  }
+  
+  // Check if all key words are present in action type
+  const allKeyWordsPresent = keyWords.every(word => normalizedAction.includes(word));
+  if (allKeyWordsPresent) return true;
+  
+  // Also check if action type contains the primary medical term
+  // Common medical terms that should match
+  const medicalTerms: { [key: string]: string[] } = {
+    'aspirin': ['aspirin', 'asa'],
+    'ekg': ['ekg', 'ecg', 'electrocardiogram'],
+    'ecg': ['ekg', 'ecg', 'electrocardiogram'],
+    'troponin': ['troponin', 'trop'],
+    'nitroglycerin': ['nitro', 'nitroglycerin', 'gtn'],
+    'iv': ['iv', 'intravenous', 'access'],
+    'monitoring': ['monitoring', 'monitor', 'cardiac'],
+    'cardiology': ['cardiology', 'cardiac', 'consult']
+  };
+  
+  // Check if critical action contains a medical term and action type matches it
+  for (const [term, variations] of Object.entries(medicalTerms)) {
+    if (normalizedCritical.includes(term)) {
+      // Check if action type contains any variation
+      const actionMatches = variations.some(variant => normalizedAction.includes(variant));
+      if (actionMatches) {
+        return true;
+      }
+    }
+  }
+  
+  // Also check reverse: if action type contains term, check if critical action has it
+  for (const [term, variations] of Object.entries(medicalTerms)) {
+    if (normalizedAction.includes(term)) {
+      const criticalMatches = variations.some(variant => normalizedCritical.includes(variant));
+      if (criticalMatches) {
+        return true;
+      }
+    }
+  }
+  
+  // Action verb matching (give/ordered/administer)
+  const actionVerbs: { [key: string]: string[] } = {
+    'give': ['give', 'gave', 'administer', 'administered', 'provide'],
+    'order': ['order', 'ordered', 'ordering', 'request', 'requested'],
+    'obtain': ['obtain', 'ordered', 'get', 'request']
+  };
+  
+  for (const [verb, variants] of Object.entries(actionVerbs)) {
+    if (normalizedCritical.includes(verb)) {
+      const hasVariant = variants.some(variant => normalizedAction.includes(variant));
+      if (hasVariant) {
+        // If verb matches, check if medical term also matches
+        for (const [term, termVariations] of Object.entries(medicalTerms)) {
+          if (normalizedCritical.includes(term) && normalizedAction.includes(term)) {
+            return true;
+          }
+        }
+      }
+    }
+  }
+  
+  return false;
+}
+
+// Drug classes a harmful action may name, and the members a learner may order instead
+const HARMFUL_ACTION_CLASSES: { [key: string]: string[] } = {
+  'nsaids': ['nsaid', 'ibuprofen', 'naproxen', 'ketorolac', 'toradol', 'diclofenac', 'indomethacin', 'celecoxib', 'motrin', 'advil'],
+  'nsaid': ['nsaid', 'ibuprofen', 'naproxen', 'ketorolac', 'toradol', 'diclofenac', 'indomethacin', 'celecoxib', 'motrin', 'advil'],
+  'penicillin': ['penicillin', 'amoxicillin', 'ampicillin', 'augmentin', 'piperacillin', 'nafcillin'],
+  'thrombolytics': ['thrombolytic', 'alteplase', 'tpa', 'tenecteplase', 'reteplase'],
+  'anticoagulation': ['anticoagula', 'heparin', 'enoxaparin', 'lovenox', 'warfarin', 'apixaban', 'rivaroxaban']
+};
+
+// Verbs a harmful action may start with - what is done matters, not how it is phrased
+const HARMFUL_ACTION_VERBS = new Set(['give', 'administer', 'order', 'start', 'prescribe', 'perform', 'obtain', 'get', 'use']);
+
+// Words in free text that say an action is *not* to be done (e.g., "avoid NSAIDs", "do not discharge")
+const NEGATION_PATTERN = /\b(no|not|don'?t|avoid|avoiding|without|hold|holding|withhold|contraindicated|never)\b/;
+
+/**
+ * Whether an action type (or free text such as a submitted intervention) carries out a
+ * harmful action from the case (avoidActions, contraindications)
+ * Stricter than matchesAction: every word of the harmful action (or a member of the drug
+ * class it names) must appear, and negated free-text clauses ("avoid NSAIDs") don't count.
+ * e.g. "gave_ibuprofen" matches "Give NSAIDs"; "Discharge home" matches "Discharge home"
+ */
+export function matchesHarmfulAction(actionType: string, harmfulAction: string): boolean {
+  const keyWords = harmfulAction
+    .toLowerCase()
+    .replace(/[_\s-]+/g, ' ')
+    .split(' ')
+    .filter((word, index) => word.length > 2 && !(index === 0 && HARMFUL_ACTION_VERBS.has(word)));
+
+  if (keyWords.length === 0) {
+    return false;
+  }
+
+  // Check each clause of free text on its own, so "give aspirin, avoid NSAIDs" doesn't match "Give NSAIDs"
+  return actionType
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ')
+    .split(/[,;.]|\bthen\b|\band\b/)
+    .some(clause => {
+      if (NEGATION_PATTERN.test(clause)) return false;
+      return keyWords.every(word => {
+        const variants = HARMFUL_ACTION_CLASSES[word] ?? [word.replace(/s$/, '')];
+        return variants.some(variant => clause.includes(variant));
+      });
+    });
+}
@@ -0,0 +1,28 @@
+/**
+ * Diagnosis Matching
+ * Fuzzy matching of diagnosis names in free text
+ * Shared by the feedback scoring rules and the guardrail checker
+ */
+
+/**
+ * Check if text contains diagnosis (fuzzy matching)
+ * Both arguments are expected in lowercase
+ */
+export function containsDiagnosis(text: string, diagnosis: string): boolean {
+  // Normalize: remove punctuation, handle common variations
+  const normalizedText = text.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+  const normalizedDiagnosis = diagnosis.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ');
+  
+  // Check for exact match or key words
+  if (normalizedText.includes(normalizedDiagnosis)) {
+    return true;
+  }
+  
+  // Check for common abbreviations (e.g., "NSTEMI" = "non-st elevation mi")
+  const keyWords = normalizedDiagnosis.split(' ').filter(w => w.length > 3);
+  const allKeyWordsPresent = keyWords.length > 0 && keyWords.every(word => 
+    normalizedText.includes(word)
+  );
+  
+  return allKeyWordsPresent;
+}
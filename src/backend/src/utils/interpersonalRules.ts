@@ -0,0 +1,122 @@
+/**
+ * Interpersonal Rules
+ * The interpersonal-skills rubric, and a deterministic rating of a transcript against it
+ * Shared by the feedback evaluator (fallback when the LLM fails) and the offline LLM provider
+ */
+
+export type InterpersonalCriterion =
+  | 'introduction'
+  | 'openQuestions'
+  | 'summarizing'
+  | 'acknowledgesEmotion'
+  | 'plainLanguage';
+
+// Rubric shown to the LLM and in feedback, in feedback order
+export const INTERPERSONAL_CRITERIA: Record<InterpersonalCriterion, { label: string; description: string }> = {
+  introduction: {
+    label: 'Introduced themselves',
+    description: 'Introduces themselves by name and role at the start of the encounter'
+  },
+  openQuestions: {
+    label: 'Open-ended questions',
+    description: 'Opens topics with open-ended questions ("What brings you in?", "Tell me about the pain") rather than leading ones ("It\'s not that bad, is it?")'
+  },
+  summarizing: {
+    label: 'Summarized back',
+    description: 'Summarizes what the patient said back to them to check understanding'
+  },
+  acknowledgesEmotion: {
+    label: 'Acknowledged emotion',
+    description: 'Acknowledges the patient\'s feelings, fear or discomfort with empathy'
+  },
+  plainLanguage: {
+    label: 'Avoided jargon',
+    description: 'Uses plain language instead of medical jargon and abbreviations'
+  }
+};
+
+// Each criterion is rated 0 (not shown), 1 (partly) or 2 (clearly shown)
+export const INTERPERSONAL_MAX_RATING = 2;
+
+export interface InterpersonalRating {
+  id: InterpersonalCriterion;
+  score: number; // 0 to INTERPERSONAL_MAX_RATING
+  evidence: number[]; // Indices in session.messages of the learner messages the score is based on
+  rationale: string;
+}
+
+const INTRODUCTION_PATTERN = /\b(my name is|i'?m (dr|doctor)\b|i am (dr|doctor)\b|i'?m (a|the|your) (doctor|medical student|student|nurse|physician|resident))/;
+// Tested against each sentence of a message
+const OPEN_QUESTION_PATTERN = /^(what|how|why|tell me|describe|can you (tell|describe)|could you (tell|describe))\b|\b(tell me (about|more)|in your own words)\b/;
+const LEADING_QUESTION_PATTERN = /\b(isn'?t it|aren'?t you|don'?t you|doesn'?t it|is it not|right\?|correct\?|i assume|i bet|surely)/;
+const SUMMARY_PATTERN = /\b(so you('re| are| have|'ve)|so what you'?re saying|let me (make sure|summari[sz]e|recap)|if i understand|to (summari[sz]e|recap)|just to confirm|what i'?m hearing|it sounds like you)\b/;
+const EMPATHY_PATTERN = /\b(i'?m sorry|sorry to hear|must be (hard|difficult|scary|frightening|worrying|painful)|sounds (hard|difficult|scary|frightening|worrying|painful|uncomfortable)|i (can )?understand|understandabl[ey]|that'?s (scary|frightening|worrying)|you'?re in good hands|we'?ll take (good )?care)\b/;
+const JARGON_PATTERN = /\b(myocardial|infarction|stemi|nstemi|acs|dyspn[o]?ea|diaphoresis|syncope|palpitations|emesis|hypertension|hyperlipidemia|tachycardi\w*|bradycardi\w*|edema|angina|etiology|idiopathic|pmh|hpi|ecg|ekg|troponin|substernal|retrosternal|prn|nkda|sob)\b/;
+
+/**
+ * Rate the learner's interpersonal skills from the transcript with fixed patterns
+ *
+ * @param messages - The session's messages (indices are cited as evidence)
+ * @returns One rating per criterion, in INTERPERSONAL_CRITERIA order
+ */
+export function rateInterpersonalSkills(messages: Array<{ role: string; content: string }>): InterpersonalRating[] {
+  const learner = messages
+    .map((message, index) => ({ index, text: message.content.toLowerCase().trim(), role: message.role }))
+    .filter(message => message.role === 'user');
+  const matching = (pattern: RegExp) => learner.filter(message => pattern.test(message.text)).map(message => message.index);
+
+  // Introduction - best in the first two messages
+  const introductions = matching(INTRODUCTION_PATTERN);
+  const introducedEarly = introductions.length > 0 && learner.slice(0, 2).some(message => message.index === introductions[0]);
+  const introduction: InterpersonalRating = {
+    id: 'introduction',
+    score: introductions.length === 0 ? 0 : introducedEarly ? 2 : 1,
+    evidence: introductions.slice(0, 1),
+    rationale: introductions.length === 0
+      ? 'Did not introduce themselves'
+      : introducedEarly ? 'Introduced themselves at the start' : 'Introduced themselves, but not at the start'
+  };
+
+  // Open-ended versus leading questions
+  const open = learner
+    .filter(message => message.text.split(/[.?!]\s*/).some(sentence => OPEN_QUESTION_PATTERN.test(sentence.trim())))
+    .map(message => message.index);
+  const leading = matching(LEADING_QUESTION_PATTERN);
+  const openQuestions: InterpersonalRating = {
+    id: 'openQuestions',
+    score: open.length === 0 ? 0 : open.length >= 2 && leading.length === 0 ? 2 : 1,
+    evidence: [...open, ...leading].sort((a, b) => a - b),
+    rationale: `${open.length} open-ended question${open.length === 1 ? '' : 's'}, ${leading.length} leading`
+  };
+
+  // Summarizing back
+  const summaries = matching(SUMMARY_PATTERN);
+  const summarizing: InterpersonalRating = {
+    id: 'summarizing',
+    score: Math.min(summaries.length, INTERPERSONAL_MAX_RATING),
+    evidence: summaries,
+    rationale: summaries.length === 0 ? 'Never summarized what the patient said' : `Summarized back ${summaries.length} time${summaries.length === 1 ? '' : 's'}`
+  };
+
+  // Acknowledging emotion
+  const empathy = matching(EMPATHY_PATTERN);
+  const acknowledgesEmotion: InterpersonalRating = {
+    id: 'acknowledgesEmotion',
+    score: Math.min(empathy.length, INTERPERSONAL_MAX_RATING),
+    evidence: empathy,
+    rationale: empathy.length === 0 ? 'Did not acknowledge how the patient felt' : `Acknowledged the patient's feelings ${empathy.length} time${empathy.length === 1 ? '' : 's'}`
+  };
+
+  // Jargon - the messages that used it, or every message when none did
+  const jargon = matching(JARGON_PATTERN);
+  const plainLanguage: InterpersonalRating = {
+    id: 'plainLanguage',
+    score: learner.length === 0 ? 0 : jargon.length === 0 ? 2 : jargon.length === 1 ? 1 : 0,
+    evidence: jargon.length > 0 ? jargon : learner.map(message => message.index),
+    rationale: learner.length === 0
+      ? 'Asked no questions'
+      : jargon.length === 0 ? 'Used plain language throughout' : `Used medical jargon in ${jargon.length} message${jargon.length === 1 ? '' : 's'}`
+  };
+
+  return [introduction, openQuestions, summarizing, acknowledgesEmotion, plainLanguage];
+}
@@ -0,0 +1,99 @@
+/**
+ * Sign-in Component
+ * Handles the sign-in / create-account modal
+ */
+
+import { apiService } from '../services/api.js';
+
+let isRegistering = false;
+let signedInCallback = null;
+
+/**
+ * Set up the sign-in form
+ * @param {(user: Object) => void} onSignedIn - Called with the user once signed in
+ */
+export function initAuthModal(onSignedIn) {
+  signedInCallback = onSignedIn;
+
+  const form = document.getElementById('authForm');
+  const switchButton = document.getElementById('authSwitchButton');
+  if (!form || !switchButton) return;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await submitAuthForm();
+  });
+
+  switchButton.addEventListener('click', () => {
+    setRegistering(!isRegistering);
+  });
+}
+
+/**
+ * Show the sign-in modal
+ * @param {string} [message] - Optional reason shown above the form (e.g., an expired sign-in)
+ */
+export function showAuthModal(message) {
+  const modal = document.getElementById('authModal');
+  if (!modal) return;
+
+  setRegistering(false);
+  showAuthError(message || '');
+  modal.classList.remove('hidden');
+  setTimeout(() => document.getElementById('authUsername')?.focus(), 100);
+}
+
+/**
+ * Hide the sign-in modal
+ */
+export function hideAuthModal() {
+  document.getElementById('authModal')?.classList.add('hidden');
+}
+
+/**
+ * Switch between signing in and creating an account
+ */
+function setRegistering(registering) {
+  isRegistering = registering;
+
+  document.getElementById('authTitle').textContent = registering ? 'Create an account' : 'Sign in';
+  document.getElementById('authSubmitButton').textContent = registering ? 'Create account' : 'Sign in';
+  document.getElementById('authSwitchText').textContent = registering ? 'Already have an account?' : 'No account yet?';
+  document.getElementById('authSwitchButton').textContent = registering ? 'Sign in' : 'Create one';
+  document.getElementById('authDisplayNameField').classList.toggle('hidden', !registering);
+  document.getElementById('authPassword').autocomplete = registering ? 'new-password' : 'current-password';
+  showAuthError('');
+}
+
+async function submitAuthForm() {
+  const username = document.getElementById('authUsername').value.trim();
+  const password = document.getElementById('authPassword').value;
+  const displayName = document.getElementById('authDisplayName').value.trim();
+  const submitButton = document.getElementById('authSubmitButton');
+
+  if (!username || !password) {
+    showAuthError('Enter your username and password.');
+    return;
+  }
+
+  submitButton.disabled = true;
+  try {
+    const { user } = isRegistering
+      ? await apiService.register(username, password, displayName || undefined)
+      : await apiService.login(username, password);
+
+    document.getElementById('authPassword').value = '';
+    hideAuthModal();
+    signedInCallback?.(user);
+  } catch (error) {
+    showAuthError(error.message);
+  } finally {
+    submitButton.disabled = false;
+  }
+}
+
+function showAuthError(message) {
+  const error = document.getElementById('authError');
+  error.textContent = message;
+  error.classList.toggle('hidden', !message);
+}
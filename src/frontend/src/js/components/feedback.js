@@ -73,15 +73,41 @@ function renderGuidance() {
  * @param {Object} feedback - Feedback result object
  * @param {string} mode - 'test' or 'learning'
  * @param {boolean} isCorrect - Whether the diagnosis is correct (for test mode)
+ * @param {Array} transcript - The session's messages (test mode: the overlay's transcript tab)
  */
-export function displayFeedback(feedback, mode = 'learning', isCorrect = false) {
+export function displayFeedback(feedback, mode = 'learning', isCorrect = false, transcript = []) {
   if (mode === 'test') {
-    displayFeedbackInOverlay(feedback, isCorrect);
+    displayFeedbackInOverlay(feedback, isCorrect, transcript);
   } else {
     displayFeedbackInSidebar(feedback);
   }
 }
 
+/**
+ * Render one row per score category - the case rubric's categories and items, then any
+ * safety penalty (feedback scored before case rubrics has only the fixed breakdown)
+ * @param {Object} feedback - Feedback result object
+ * @returns {string} HTML string
+ */
+function renderScoreRows(feedback) {
+  const categories = feedback.categories || [
+    { label: 'Diagnosis', score: feedback.breakdown?.diagnosisCorrectness ?? feedback.breakdown?.diagnosis ?? 0, maxScore: 20 },
+    { label: 'Intervention', score: feedback.breakdown?.intervention || 0, maxScore: 5 },
+    { label: 'Critical Actions', score: feedback.breakdown?.criticalActions || 0, maxScore: 25 },
+    { label: 'Communication', score: feedback.breakdown?.communication || 0, maxScore: 20 },
+    { label: 'Efficiency', score: feedback.breakdown?.efficiency || 0, maxScore: 30 }
+  ];
+  
+  return categories.map(category => `
+    <div class="flex justify-between">
+      <span class="text-gray-600">${escapeHtml(category.label)}:</span>
+      ${category.maxScore > 0
+        ? `<span class="font-semibold">${category.score}/${category.maxScore}</span>`
+        : `<span class="font-semibold text-red-600">${category.score}</span>`}
+    </div>
+  `).join('');
+}
+
 /**
  * Display feedback in the sidebar (learning mode)
  * @param {Object} feedback - Feedback result object
@@ -90,6 +116,16 @@ function displayFeedbackInSidebar(feedback) {
   const container = document.getElementById('feedbackContent');
   if (!container || !feedback) return;
   
+  renderFeedbackSummary(container, feedback);
+}
+
+/**
+ * Render the score card and feedback lists into a container
+ * (the learning-mode sidebar, or a past attempt on the dashboard)
+ * @param {HTMLElement} container - Where to render
+ * @param {Object} feedback - Feedback result object
+ */
+export function renderFeedbackSummary(container, feedback) {
   const scoreColor = feedback.summaryScore >= 80 ? 'text-green-600' : feedback.summaryScore >= 60 ? 'text-yellow-600' : 'text-red-600';
   const scoreBg = feedback.summaryScore >= 80 ? 'bg-green-50 border-green-200' : feedback.summaryScore >= 60 ? 'bg-yellow-50 border-yellow-200' : 'bg-red-50 border-red-200';
   
@@ -99,29 +135,14 @@ function displayFeedbackInSidebar(feedback) {
       <div class="${scoreBg} border-2 p-5 rounded-xl">
         <div class="text-3xl font-bold ${scoreColor} mb-3">${feedback.summaryScore}/100</div>
         <div class="space-y-2 text-sm">
-          <div class="flex justify-between">
-            <span class="text-gray-600">Diagnosis:</span>
-            <span class="font-semibold">${feedback.breakdown?.diagnosisCorrectness !== undefined ? feedback.breakdown.diagnosisCorrectness : (feedback.breakdown?.diagnosis || 0)}/20</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Intervention:</span>
-            <span class="font-semibold">${feedback.breakdown?.intervention || 0}/5</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Critical Actions:</span>
-            <span class="font-semibold">${feedback.breakdown?.criticalActions || 0}/25</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Communication:</span>
-            <span class="font-semibold">${feedback.breakdown?.communication || 0}/20</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Efficiency:</span>
-            <span class="font-semibold">${feedback.breakdown?.efficiency || 0}/30</span>
-          </div>
+          ${renderScoreRows(feedback)}
         </div>
       </div>
       
+      ${renderOutcomeCard(feedback)}
+      
+      ${renderSafetyEventsCard(feedback)}
+      
       ${feedback.whatWentWell?.length > 0 ? `
         <div class="bg-green-50 border-2 border-green-200 p-4 rounded-xl">
           <div class="font-bold text-green-700 mb-3 flex items-center gap-2">
@@ -146,6 +167,12 @@ function displayFeedbackInSidebar(feedback) {
         </div>
       ` : ''}
       
+      ${renderHistoryChecklistCard(feedback)}
+      
+      ${renderInterpersonalCard(feedback, false)}
+      
+      ${renderActionTimelineCard(feedback)}
+      
       ${feedback.recommendations?.length > 0 ? `
         <div class="bg-blue-50 border-2 border-blue-200 p-4 rounded-xl">
           <div class="font-bold text-blue-700 mb-3 flex items-center gap-2">
@@ -218,8 +245,9 @@ let currentFeedbackData = null;
  * Display feedback in overlay (test mode)
  * @param {Object} feedback - Feedback result object
  * @param {boolean} isCorrect - Whether the diagnosis is correct
+ * @param {Array} transcript - The session's messages
  */
-function displayFeedbackInOverlay(feedback, isCorrect) {
+function displayFeedbackInOverlay(feedback, isCorrect, transcript) {
   const overlay = document.getElementById('feedbackOverlay');
   const content = document.getElementById('feedbackOverlayContent');
   const status = document.getElementById('feedbackStatus');
@@ -227,7 +255,7 @@ function displayFeedbackInOverlay(feedback, isCorrect) {
   if (!overlay || !content || !status || !feedback) return;
 
   // Store feedback data for tab switching
-  currentFeedbackData = { feedback, isCorrect };
+  currentFeedbackData = { feedback, isCorrect, transcript };
   
   // Play sound effect based on correctness
   if (isCorrect) {
@@ -244,9 +272,10 @@ function displayFeedbackInOverlay(feedback, isCorrect) {
   const feedbackTab = document.getElementById('feedbackTab');
   const recommendationsTab = document.getElementById('recommendationsTab');
   const solutionTab = document.getElementById('solutionTab');
+  const transcriptTab = document.getElementById('transcriptTab');
   
   // Reset all tabs
-  [feedbackTab, recommendationsTab, solutionTab].forEach(tab => {
+  [feedbackTab, recommendationsTab, solutionTab, transcriptTab].forEach(tab => {
     if (tab) {
       tab.classList.remove('border-blue-600', 'bg-white');
       tab.classList.add('text-gray-500');
@@ -279,23 +308,30 @@ function displayFeedbackInOverlay(feedback, isCorrect) {
       switchTab('solution', feedback, isCorrect);
     };
   }
+  if (transcriptTab) {
+    transcriptTab.onclick = () => {
+      switchTab('transcript', feedback, isCorrect);
+    };
+  }
   
   overlay.classList.remove('hidden');
 }
 
 /**
  * Switch between tabs
+ * @param {number} focusIndex - Transcript tab: the message to scroll to
  */
-function switchTab(activeTab, feedback, isCorrect) {
+function switchTab(activeTab, feedback, isCorrect, focusIndex) {
   const feedbackTab = document.getElementById('feedbackTab');
   const recommendationsTab = document.getElementById('recommendationsTab');
   const solutionTab = document.getElementById('solutionTab');
+  const transcriptTab = document.getElementById('transcriptTab');
   const content = document.getElementById('feedbackOverlayContent');
   
   if (!content) return;
   
   // Reset all tabs
-  [feedbackTab, recommendationsTab, solutionTab].forEach(tab => {
+  [feedbackTab, recommendationsTab, solutionTab, transcriptTab].forEach(tab => {
     if (tab) {
       tab.classList.remove('border-blue-600', 'bg-white', 'text-gray-700');
       tab.classList.add('text-gray-500');
@@ -315,6 +351,10 @@ function switchTab(activeTab, feedback, isCorrect) {
     solutionTab.classList.add('border-blue-600', 'bg-white', 'text-gray-700');
     solutionTab.classList.remove('text-gray-500');
     renderSolutionTab(feedback);
+  } else if (activeTab === 'transcript' && transcriptTab) {
+    transcriptTab.classList.add('border-blue-600', 'bg-white', 'text-gray-700');
+    transcriptTab.classList.remove('text-gray-500');
+    renderTranscriptTab(feedback, currentFeedbackData?.transcript || [], focusIndex);
   }
 }
 
@@ -334,29 +374,14 @@ function renderFeedbackTab(feedback, isCorrect) {
       <div class="${scoreBg} border-2 p-5 rounded-xl">
         <div class="text-3xl font-bold ${scoreColor} mb-3">${feedback.summaryScore}/100</div>
         <div class="space-y-2 text-sm">
-          <div class="flex justify-between">
-            <span class="text-gray-600">Diagnosis:</span>
-            <span class="font-semibold">${feedback.breakdown?.diagnosisCorrectness !== undefined ? feedback.breakdown.diagnosisCorrectness : (feedback.breakdown?.diagnosis || 0)}/20</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Intervention:</span>
-            <span class="font-semibold">${feedback.breakdown?.intervention || 0}/5</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Critical Actions:</span>
-            <span class="font-semibold">${feedback.breakdown?.criticalActions || 0}/25</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Communication:</span>
-            <span class="font-semibold">${feedback.breakdown?.communication || 0}/20</span>
-          </div>
-          <div class="flex justify-between">
-            <span class="text-gray-600">Efficiency:</span>
-            <span class="font-semibold">${feedback.breakdown?.efficiency || 0}/30</span>
-          </div>
+          ${renderScoreRows(feedback)}
         </div>
       </div>
       
+      ${renderOutcomeCard(feedback)}
+      
+      ${renderSafetyEventsCard(feedback)}
+      
       ${feedback.whatWentWell?.length > 0 ? `
         <div class="bg-green-50 border-2 border-green-200 p-4 rounded-xl">
           <div class="font-bold text-green-700 mb-3 flex items-center gap-2">
@@ -380,8 +405,236 @@ function renderFeedbackTab(feedback, isCorrect) {
           </ul>
         </div>
       ` : ''}
+      
+      ${renderHistoryChecklistCard(feedback)}
+      
+      ${renderInterpersonalCard(feedback, true)}
+      
+      ${renderActionTimelineCard(feedback)}
     </div>
   `;
+  
+  // Evidence links open the transcript at the cited message
+  content.querySelectorAll('.evidence-link').forEach(link => {
+    link.addEventListener('click', () => {
+      switchTab('transcript', feedback, isCorrect, Number(link.dataset.messageIndex));
+    });
+  });
+}
+
+/**
+ * Render the patient outcome card (only when the patient did not stay stable)
+ */
+function renderOutcomeCard(feedback) {
+  const outcome = feedback.outcome;
+  if (!outcome || outcome.status === 'stable') return '';
+  
+  const title = outcome.status === 'arrested' ? 'Patient Arrested' : 'Patient Deteriorated';
+  
+  return `
+    <div class="bg-red-50 border-2 border-red-300 p-4 rounded-xl">
+      <div class="font-bold text-red-800 mb-2 flex items-center gap-2">
+        <span>🚨</span>
+        <span>${title}</span>
+      </div>
+      ${outcome.description ? `<div class="text-sm text-gray-800 mb-1">${escapeHtml(outcome.description)}</div>` : ''}
+      ${outcome.trigger ? `<div class="text-sm text-gray-600">Cause: ${escapeHtml(outcome.trigger)}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the safety events card: harmful actions and what each cost
+ * (feedback scored before safety events has none)
+ */
+function renderSafetyEventsCard(feedback) {
+  const events = feedback.safetyEvents;
+  if (!events?.length) return '';
+  
+  const totalPenalty = events.reduce((sum, event) => sum + event.penalty, 0);
+  
+  return `
+    <div class="bg-red-50 border-2 border-red-300 p-4 rounded-xl">
+      <div class="font-bold text-red-800 mb-3 flex items-center gap-2">
+        <span>⛔</span>
+        <span>Safety Events (-${totalPenalty} points)</span>
+      </div>
+      <ul class="space-y-3 text-sm text-gray-700">
+        ${events.map(event => `
+          <li>
+            <div class="flex justify-between">
+              <span class="font-semibold">${escapeHtml(event.action)}</span>
+              <span class="font-semibold text-red-700">-${event.penalty} (${escapeHtml(event.severity)})</span>
+            </div>
+            <div class="text-gray-600">${escapeHtml(event.performed)}${event.atMinute !== undefined ? ` - minute ${event.atMinute}` : ''}</div>
+            ${event.reason ? `<div class="text-gray-600">Why it's harmful: ${escapeHtml(event.reason)}</div>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Render the history checklist: what the learner asked about and what they missed
+ * (feedback scored before history checklists has none)
+ */
+function renderHistoryChecklistCard(feedback) {
+  const checklist = feedback.historyChecklist;
+  if (!checklist?.length) return '';
+  
+  const covered = checklist.filter(item => item.covered);
+  const missed = checklist.filter(item => !item.covered);
+  
+  return `
+    <div class="bg-indigo-50 border-2 border-indigo-200 p-4 rounded-xl">
+      <div class="font-bold text-indigo-700 mb-3 flex items-center gap-2">
+        <span>📋</span>
+        <span>History Taking (${covered.length}/${checklist.length} covered)</span>
+      </div>
+      <ul class="space-y-1 text-sm text-gray-700">
+        ${covered.map(item => `<li class="flex items-start gap-2"><span class="text-green-600">✓</span><span>${escapeHtml(item.label)}</span></li>`).join('')}
+        ${missed.map(item => `<li class="flex items-start gap-2"><span class="text-red-600">✗</span><span class="text-gray-500">${escapeHtml(item.label)}</span></li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Render the interpersonal skills card: a score per criterion with the messages it cites
+ * (feedback scored before interpersonal grading has none)
+ * @param {Object} feedback - Feedback result object
+ * @param {boolean} linkEvidence - Make the cited messages links to the transcript tab
+ */
+function renderInterpersonalCard(feedback, linkEvidence) {
+  const interpersonal = feedback.interpersonal;
+  if (!interpersonal?.criteria?.length) return '';
+  
+  const evidence = (indices) => indices.map(index => linkEvidence
+    ? `<button class="evidence-link px-2 py-0.5 rounded bg-purple-100 text-purple-700 hover:bg-purple-200 text-xs font-semibold" data-message-index="${index}">#${index + 1}</button>`
+    : `<span class="px-2 py-0.5 rounded bg-purple-100 text-purple-700 text-xs font-semibold">#${index + 1}</span>`
+  ).join(' ');
+  
+  return `
+    <div class="bg-purple-50 border-2 border-purple-200 p-4 rounded-xl">
+      <div class="font-bold text-purple-700 mb-3 flex items-center gap-2">
+        <span>🤝</span>
+        <span>Interpersonal Skills (${interpersonal.score}/${interpersonal.maxScore})</span>
+      </div>
+      <ul class="space-y-3 text-sm text-gray-700">
+        ${interpersonal.criteria.map(criterion => `
+          <li>
+            <div class="flex justify-between">
+              <span class="font-semibold">${escapeHtml(criterion.label)}</span>
+              <span class="font-semibold">${criterion.score}/${criterion.maxScore}</span>
+            </div>
+            ${criterion.rationale ? `<div class="text-gray-600">${escapeHtml(criterion.rationale)}</div>` : ''}
+            ${criterion.evidence.length > 0 ? `<div class="mt-1 flex flex-wrap items-center gap-1"><span class="text-xs text-gray-500">Messages:</span> ${evidence(criterion.evidence)}</div>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Render the action timeline: when each expected action was done versus its target
+ * (feedback scored before action timelines has none)
+ */
+function renderActionTimelineCard(feedback) {
+  const timeline = feedback.actionTimeline;
+  if (!timeline?.length) return '';
+  
+  const statusBadges = {
+    on_time: '<span class="px-2 py-0.5 rounded bg-green-100 text-green-700 text-xs font-semibold">On time</span>',
+    late: '<span class="px-2 py-0.5 rounded bg-amber-100 text-amber-700 text-xs font-semibold">Late</span>',
+    done: '<span class="px-2 py-0.5 rounded bg-gray-100 text-gray-700 text-xs font-semibold">Done</span>',
+    missed: '<span class="px-2 py-0.5 rounded bg-red-100 text-red-700 text-xs font-semibold">Missed</span>'
+  };
+  const minute = (value) => value === undefined ? '—' : `min ${value}`;
+  
+  return `
+    <div class="bg-teal-50 border-2 border-teal-200 p-4 rounded-xl">
+      <div class="font-bold text-teal-700 mb-3 flex items-center gap-2">
+        <span>⏱️</span>
+        <span>Action Timeline</span>
+      </div>
+      <table class="w-full text-sm text-gray-700">
+        <thead>
+          <tr class="text-left text-xs text-gray-500">
+            <th class="pb-1 font-semibold">Action</th>
+            <th class="pb-1 font-semibold">Done</th>
+            <th class="pb-1 font-semibold">Target</th>
+            <th class="pb-1 font-semibold text-right">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${timeline.map(entry => `
+            <tr class="border-t border-teal-100">
+              <td class="py-1">
+                ${escapeHtml(entry.action)}
+                ${entry.via === 'intervention' ? '<div class="text-xs text-gray-500">Named in the submitted plan, never ordered</div>' : ''}
+                ${entry.outOfOrder?.length > 0 ? `<div class="text-xs text-amber-700">Before ${escapeHtml(entry.outOfOrder.join(' and '))}</div>` : ''}
+              </td>
+              <td class="py-1">${minute(entry.performedAtMinute)}</td>
+              <td class="py-1">${entry.targetMinute === undefined ? '—' : `by min ${entry.targetMinute}`}</td>
+              <td class="py-1 text-right">${statusBadges[entry.status] || ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render transcript tab content, highlighting the messages the interpersonal scores cite
+ * @param {Object} feedback - Feedback result object
+ * @param {Array} transcript - The session's messages
+ * @param {number} focusIndex - Message to scroll to (optional)
+ */
+function renderTranscriptTab(feedback, transcript, focusIndex) {
+  const content = document.getElementById('feedbackOverlayContent');
+  if (!content) return;
+  
+  if (transcript.length === 0) {
+    content.innerHTML = '<div class="text-gray-500 text-center mt-8">Transcript not available</div>';
+    return;
+  }
+  
+  // Criteria citing each message
+  const citations = {};
+  for (const criterion of feedback.interpersonal?.criteria || []) {
+    for (const index of criterion.evidence) {
+      (citations[index] = citations[index] || []).push(criterion.label);
+    }
+  }
+  
+  content.innerHTML = `
+    <div class="space-y-3">
+      ${transcript.map((message, index) => {
+        const isUser = message.role === 'user';
+        const cited = citations[index];
+        return `
+          <div class="flex ${isUser ? 'justify-end' : 'justify-start'}" data-message-index="${index}">
+            <div class="max-w-[75%] px-4 py-2 rounded-2xl text-sm ${isUser ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-800'} ${cited ? 'ring-4 ring-purple-300' : ''}">
+              <div class="text-xs opacity-75 mb-1">#${index + 1} ${isUser ? 'You' : 'Patient'}</div>
+              <div>${escapeHtml(message.content)}</div>
+              ${cited ? `<div class="mt-2 text-xs font-semibold ${isUser ? 'text-purple-100' : 'text-purple-700'}">${cited.map(escapeHtml).join(' · ')}</div>` : ''}
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+  
+  if (focusIndex !== undefined) {
+    const focused = content.querySelector(`[data-message-index="${focusIndex}"]`);
+    if (focused) {
+      focused.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      focused.firstElementChild.classList.add('ring-purple-500');
+    }
+  }
 }
 
 /**
@@ -0,0 +1,159 @@
+/**
+ * Leaderboard Component
+ * Handles the dashboard's leaderboard tab
+ */
+
+import { apiService } from '../services/api.js';
+
+let currentScope = 'level:1'; // "level:<n>" or "case:<caseId>"
+let currentWindow = 'weekly';
+let signedInUser = null;
+
+/**
+ * Set up the leaderboard controls
+ */
+export function initLeaderboard() {
+  const scopeSelect = document.getElementById('leaderboardScope');
+  const optIn = document.getElementById('leaderboardOptIn');
+
+  if (scopeSelect) {
+    scopeSelect.addEventListener('change', (e) => {
+      currentScope = e.target.value;
+      loadLeaderboard();
+    });
+  }
+
+  document.querySelectorAll('.leaderboard-window').forEach(button => {
+    button.addEventListener('click', () => {
+      currentWindow = button.dataset.window;
+      loadLeaderboard();
+    });
+  });
+
+  if (optIn) {
+    optIn.addEventListener('change', async () => {
+      try {
+        const { user } = await apiService.updateCurrentUser({ leaderboardOptOut: !optIn.checked });
+        signedInUser = user;
+        loadLeaderboard();
+      } catch (error) {
+        optIn.checked = !optIn.checked;
+        alert(`Could not update your leaderboard setting: ${error.message}`);
+      }
+    });
+  }
+}
+
+/**
+ * Add one leaderboard per case to the scope picker (after the level leaderboards)
+ * @param {Array<{caseId: string, title: string}>} cases - Cases from the catalog
+ */
+export function setLeaderboardCases(cases) {
+  const scopeSelect = document.getElementById('leaderboardScope');
+  if (!scopeSelect) return;
+
+  cases.forEach(caseSummary => {
+    const option = document.createElement('option');
+    option.value = `case:${caseSummary.caseId}`;
+    option.textContent = caseSummary.title;
+    scopeSelect.appendChild(option);
+  });
+}
+
+/**
+ * Remember the signed-in user (for the opt-in checkbox)
+ * @param {Object|null} user - Signed-in user
+ */
+export function setLeaderboardUser(user) {
+  signedInUser = user;
+
+  const optIn = document.getElementById('leaderboardOptIn');
+  if (optIn) {
+    optIn.checked = Boolean(user) && !user.leaderboardOptOut;
+    optIn.disabled = !user;
+  }
+}
+
+/**
+ * Load and show the selected leaderboard
+ */
+export async function loadLeaderboard() {
+  const list = document.getElementById('leaderboardList');
+  if (!list) return;
+
+  updateWindowButtons();
+
+  if (!signedInUser) {
+    list.innerHTML = renderMessageRow('Sign in to see the leaderboards.');
+    return;
+  }
+
+  const [scopeType, scopeValue] = currentScope.split(/:(.*)/);
+  const query = scopeType === 'level'
+    ? { level: Number(scopeValue), window: currentWindow }
+    : { caseId: scopeValue, window: currentWindow };
+
+  let leaderboard;
+  try {
+    leaderboard = await apiService.getLeaderboard(query);
+  } catch (error) {
+    list.innerHTML = renderMessageRow('Could not load the leaderboard. Please try again.');
+    return;
+  }
+
+  if (leaderboard.entries.length === 0) {
+    list.innerHTML = renderMessageRow('No completed attempts in this period yet.');
+    return;
+  }
+
+  const showCase = scopeType === 'level';
+  list.innerHTML = [
+    ...leaderboard.entries.map(entry => renderEntryRow(entry, showCase)),
+    leaderboard.you ? renderEntryRow(leaderboard.you, showCase) : ''
+  ].join('');
+}
+
+function updateWindowButtons() {
+  document.querySelectorAll('.leaderboard-window').forEach(button => {
+    const active = button.dataset.window === currentWindow;
+    button.classList.toggle('bg-blue-600', active);
+    button.classList.toggle('text-white', active);
+    button.classList.toggle('hover:bg-gray-50', !active);
+    button.classList.toggle('text-gray-600', !active);
+  });
+}
+
+function renderEntryRow(entry, showCase) {
+  const minutes = Math.floor(entry.durationSec / 60);
+  const seconds = String(entry.durationSec % 60).padStart(2, '0');
+
+  return `
+    <tr class="${entry.isYou ? 'bg-blue-50' : ''}">
+      <td class="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-700">${entry.rank}</td>
+      <td class="px-4 py-3">
+        <div class="text-sm font-medium text-gray-900">${escapeHtml(entry.displayName)}${entry.isYou ? ' <span class="text-xs text-blue-600">(you)</span>' : ''}</div>
+        ${showCase ? `<div class="text-xs text-gray-500">${escapeHtml(entry.title)}</div>` : ''}
+      </td>
+      <td class="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">${entry.summaryScore}</td>
+      <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${minutes}:${seconds}</td>
+      <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${escapeHtml(new Date(entry.endedAt).toLocaleDateString())}</td>
+    </tr>
+  `;
+}
+
+function renderMessageRow(message) {
+  return `
+    <tr>
+      <td colspan="5" class="px-4 py-6 text-center text-sm text-gray-500">${escapeHtml(message)}</td>
+    </tr>
+  `;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -27,38 +27,83 @@ export function addMessage(container, text, isUser) {
       <div class="max-w-[75%] bg-white border-2 border-gray-200 text-gray-800 px-5 py-3 rounded-2xl rounded-bl-sm shadow-sm">
         <p class="text-base leading-relaxed">${escapeHtml(text)}</p>
       </div>
-      ${textToSpeech.isAvailable() ? `
-        <button class="audio-button w-8 h-8 flex items-center justify-center bg-gray-100 hover:bg-blue-100 text-gray-600 hover:text-blue-600 rounded-full transition-colors flex-shrink-0 mt-1" title="Play audio">
-          <svg class="w-4 h-4" viewBox="0 0 24 24" fill="currentColor">
-            <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>
-          </svg>
-        </button>
-      ` : ''}
     `;
-    
-    // Preload audio in the background for faster playback when button is clicked
-    if (textToSpeech.isAvailable()) {
-      // Preload audio asynchronously (don't wait)
-      textToSpeech.preloadAudio(text, {
-        voice: 'athena' // Natural female voice from Deepgram Aura (aura-2-athena-en)
-      }).catch(() => {
-        // Silently fail - will load on-demand if preload fails
-      });
+    addAudioButton(messageDiv, text);
+  }
+  
+  container.appendChild(messageDiv);
+  // Auto-scroll to bottom with smooth scrolling
+  container.scrollTo({
+    top: container.scrollHeight,
+    behavior: 'smooth'
+  });
+}
 
-      // Add click event listener to audio button
-      const audioButton = messageDiv.querySelector('.audio-button');
-      if (audioButton) {
-        audioButton.addEventListener('click', () => {
-          textToSpeech.speak(text, {
-            voice: 'athena' // Natural female voice from Deepgram Aura (aura-2-athena-en)
-          });
-        });
+/**
+ * Add a patient message that fills in as the reply is streamed
+ * @param {HTMLElement} container - Message container element
+ * @returns {{append: (text: string) => void, replace: (text: string) => void, finish: (text?: string) => void, remove: () => void}}
+ */
+export function addStreamingMessage(container) {
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'mb-4 flex items-start justify-start gap-2 animate-fade-in';
+  messageDiv.innerHTML = `
+    <div class="max-w-[75%] bg-white border-2 border-gray-200 text-gray-800 px-5 py-3 rounded-2xl rounded-bl-sm shadow-sm">
+      <p class="text-base leading-relaxed"></p>
+    </div>
+  `;
+  const textElement = messageDiv.querySelector('p');
+  let text = '';
+  
+  const render = () => {
+    textElement.textContent = text;
+    container.scrollTo({
+      top: container.scrollHeight
+    });
+  };
+  
+  container.appendChild(messageDiv);
+  
+  return {
+    append(token) {
+      text += token;
+      render();
+    },
+    replace(newText) {
+      text = newText;
+      render();
+    },
+    // Show the final reply (defaults to what was streamed) and enable audio playback
+    finish(finalText = text) {
+      text = finalText;
+      if (!text) {
+        messageDiv.remove();
+        return;
       }
+      render();
+      addAudioButton(messageDiv, text);
+    },
+    remove() {
+      messageDiv.remove();
     }
-  }
+  };
+}
+
+/**
+ * Add a system notice (e.g., a change in the patient's condition) to the chat container
+ * @param {HTMLElement} container - Message container element
+ * @param {string} text - Notice text
+ */
+export function addSystemMessage(container, text) {
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'mb-4 flex justify-center animate-fade-in';
+  messageDiv.innerHTML = `
+    <div class="max-w-[85%] bg-red-50 border-2 border-red-200 text-red-800 px-5 py-3 rounded-xl text-sm font-semibold text-center">
+      ${escapeHtml(text)}
+    </div>
+  `;
   
   container.appendChild(messageDiv);
-  // Auto-scroll to bottom with smooth scrolling
   container.scrollTo({
     top: container.scrollHeight,
     behavior: 'smooth'
@@ -81,6 +126,39 @@ export function clearMessages(container) {
   }
 }
 
+/**
+ * Add the text-to-speech button to a patient message
+ * @param {HTMLElement} messageDiv - Patient message element
+ * @param {string} text - Message text
+ */
+function addAudioButton(messageDiv, text) {
+  if (!textToSpeech.isAvailable()) {
+    return;
+  }
+  
+  messageDiv.insertAdjacentHTML('beforeend', `
+    <button class="audio-button w-8 h-8 flex items-center justify-center bg-gray-100 hover:bg-blue-100 text-gray-600 hover:text-blue-600 rounded-full transition-colors flex-shrink-0 mt-1" title="Play audio">
+      <svg class="w-4 h-4" viewBox="0 0 24 24" fill="currentColor">
+        <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>
+      </svg>
+    </button>
+  `);
+  
+  // Preload audio in the background for faster playback when button is clicked
+  textToSpeech.preloadAudio(text, {
+    voice: 'athena' // Natural female voice from Deepgram Aura (aura-2-athena-en)
+  }).catch(() => {
+    // Silently fail - will load on-demand if preload fails
+  });
+
+  // Add click event listener to audio button
+  messageDiv.querySelector('.audio-button').addEventListener('click', () => {
+    textToSpeech.speak(text, {
+      voice: 'athena' // Natural female voice from Deepgram Aura (aura-2-athena-en)
+    });
+  });
+}
+
 /**
  * Escape HTML to prevent XSS
  */
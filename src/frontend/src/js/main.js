@@ -6,13 +6,14 @@
 import { apiService } from './services/api.js';
 import { Timer } from './utils/timer.js';
 import { voiceInput } from './utils/voiceInput.js';
-import { addMessage, clearMessages } from './components/messages.js';
+import { addMessage, addStreamingMessage, addSystemMessage, clearMessages } from './components/messages.js';
 import { updatePatientInfo } from './components/patientInfo.js';
+import { initAuthModal, showAuthModal } from './components/authModal.js';
 import { displayFeedback, clearFeedback, displayGuidance, hideFeedbackOverlay, setRetakeCallback, initRetakeButton } from './components/feedback.js';
 
 // Page modules
-import { initHomePage, showHomePage, hideHomePage } from './pages/homePage.js';
-import { initTitlePage, showTitlePage, hideTitlePage } from './pages/titlePage.js';
+import { initHomePage, showHomePage, hideHomePage, loadProgress, clearProgress } from './pages/homePage.js';
+import { initTitlePage, showTitlePage, hideTitlePage, getSelectedCase } from './pages/titlePage.js';
 import {
   initSimulationPage,
   showSimulationPage,
@@ -28,6 +29,7 @@ import { initFinishPage, showFinishPage, hideFinishPage, setFinishPageState } fr
 
 // App State
 let currentSessionId = null;
+let currentCase = null; // { caseId, level } chosen on the dashboard (kept for retakes)
 let currentMode = null; // 'test' or 'learning'
 let guidanceLevel = null; // 'low', 'medium', or 'high' (only for learning mode)
 let timer = null;
@@ -35,6 +37,9 @@ let messageCount = 0; // Track number of messages for guidance
 let lastUserMessage = ''; // Track last user message for guidance
 let lastPatientReply = ''; // Track last patient reply for guidance
 
+// The session in progress is kept across page reloads so it can be resumed
+const ACTIVE_SESSION_KEY = 'activeSessionId';
+
 // DOM Elements (shared)
 const timerElement = document.getElementById('timer');
 
@@ -141,59 +146,40 @@ async function initializeInterface(mode, level = null) {
   guidanceLevel = level; // Store guidance level (only used for learning mode)
   
   try {
-    // Start session with backend
+    // Start the case chosen on the dashboard
+    if (!currentCase) {
+      currentCase = getSelectedCase();
+    }
     const response = await apiService.startSession(
-      'chest-pain-001',
-      1, // level
-      'Dr. User', // userName
-      420 // 7 minutes time limit
+      currentCase.caseId,
+      currentCase.level,
+      undefined, // Time limit: the case's limit for its level
+      undefined,
+      undefined,
+      mode,
+      level || undefined
     );
 
     currentSessionId = response.sessionId;
+    localStorage.setItem(ACTIVE_SESSION_KEY, currentSessionId);
 
     // Load patient info from response
-    const patientInfo = {
-      name: 'Sarah Johnson',
-      age: 70,
-      sex: 'F',
-      chiefComplaint: response.introLine || 'Chest pain for 2 hours',
-      image: '/src/beautiful-50-year-old-woman-617685.webp'
-    };
-
-    // Clear previous state
-    const messagesContainer = getMessagesContainer();
-    clearMessages(messagesContainer);
-    clearFeedback();
-    
-    // Reset message tracking
-    messageCount = 0;
-    lastUserMessage = '';
-    lastPatientReply = '';
-    
-    const notesTextarea = document.getElementById('patientNotesTextarea');
-    if (notesTextarea) notesTextarea.value = '';
+    const patientInfo = response.patient;
 
-    // Update UI
-    updatePatientInfo(patientInfo);
+    prepareSimulationPage(patientInfo);
+    showPage(simulationPageEl);
+    const messagesContainer = getMessagesContainer();
     
-    // Show/hide feedback sidebar based on mode
+    // Show initial guidance in learning mode
     if (mode === 'learning') {
-      showFeedbackSidebar();
-      // Show initial guidance in learning mode
       setTimeout(() => {
         displayGuidance({
           type: 'hint',
           message: 'Welcome to Learning Mode! Start by introducing yourself and asking about the patient\'s chief complaint. Use open-ended questions to gather information.'
         });
       }, 800);
-    } else {
-      hideFeedbackSidebar();
     }
     
-    // Show simulation page
-    showPage(simulationPageEl);
-    showDiagnoseButton();
-    
     // Add intro message
     if (response.introLine) {
       setTimeout(() => {
@@ -217,6 +203,98 @@ async function initializeInterface(mode, level = null) {
   }
 }
 
+/**
+ * Reset the simulation page for a session and show its patient
+ * @param {Object} patientInfo - Patient summary from the backend
+ */
+function prepareSimulationPage(patientInfo) {
+  // Clear previous state
+  const messagesContainer = getMessagesContainer();
+  clearMessages(messagesContainer);
+  clearFeedback();
+  
+  // Reset message tracking
+  messageCount = 0;
+  lastUserMessage = '';
+  lastPatientReply = '';
+  
+  const notesTextarea = document.getElementById('patientNotesTextarea');
+  if (notesTextarea) notesTextarea.value = '';
+
+  // Update UI
+  updatePatientInfo(patientInfo);
+  
+  // Show/hide feedback sidebar based on mode
+  if (currentMode === 'learning') {
+    showFeedbackSidebar();
+  } else {
+    hideFeedbackSidebar();
+  }
+  
+  showDiagnoseButton();
+}
+
+/**
+ * Resume the session that was in progress before the page was reloaded
+ * Only on the simulation route; the session is rebuilt from the backend's state.
+ */
+async function resumeSession() {
+  if (getRoutes()[window.location.pathname] !== simulationPageEl) {
+    return;
+  }
+  
+  const sessionId = localStorage.getItem(ACTIVE_SESSION_KEY);
+  if (!sessionId) {
+    showPage(homePageEl); // Nothing to resume
+    return;
+  }
+  
+  let state;
+  try {
+    state = await apiService.getSessionState(sessionId);
+  } catch (error) {
+    // The session expired or no longer exists
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+    showPage(homePageEl);
+    return;
+  }
+  
+  // A diagnosis was already submitted - the encounter is over
+  if (state.submittedDiagnosis) {
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+    showPage(homePageEl);
+    return;
+  }
+  
+  currentSessionId = state.sessionId;
+  currentCase = { caseId: state.caseId, level: state.level };
+  currentMode = state.mode;
+  guidanceLevel = state.guidanceLevel || null;
+  
+  prepareSimulationPage(state.patient);
+  showPage(simulationPageEl, false);
+  
+  // Rebuild the transcript
+  const messagesContainer = getMessagesContainer();
+  addMessage(messagesContainer, state.introLine, false);
+  for (const message of state.messages) {
+    addMessage(messagesContainer, message.content, message.role === 'user');
+  }
+  messageCount = state.messages.length;
+  lastUserMessage = [...state.messages].reverse().find(message => message.role === 'user')?.content || '';
+  lastPatientReply = [...state.messages].reverse().find(message => message.role === 'assistant')?.content || '';
+  
+  if (state.isActive) {
+    timer.start(state.remainingSec ?? 420);
+  } else if (state.outcome?.endedEncounter) {
+    handleEncounterEnded(state.outcome);
+  } else {
+    // The time limit passed while the page was closed
+    timer.stop();
+    showDiagnosisModal();
+  }
+}
+
 /**
  * Send message
  */
@@ -233,14 +311,31 @@ async function sendMessage() {
     messageInput.value = '';
     messageCount += 1; // Increment for user message
 
-    // Send to backend with mode and guidance level parameters
-    const response = await apiService.sendMessage(currentSessionId, text, currentMode, guidanceLevel);
+    // Send to backend with mode and guidance level parameters, showing the reply as it streams in
+    const streamingMessage = addStreamingMessage(messagesContainer);
+    let response;
+    try {
+      response = await apiService.sendMessageStream(currentSessionId, text, currentMode, guidanceLevel, {
+        onToken: token => streamingMessage.append(token),
+        onReplace: replyText => streamingMessage.replace(replyText)
+      });
+    } catch (error) {
+      streamingMessage.remove();
+      throw error;
+    }
+    
+    // The patient's condition ended the encounter before they could answer
+    if (!response.isActive && response.outcome?.endedEncounter) {
+      streamingMessage.remove();
+      handleEncounterEnded(response.outcome);
+      return;
+    }
     
     // Store patient reply for guidance
     lastPatientReply = response.patientReply;
     
-    // Add patient reply
-    addMessage(messagesContainer, response.patientReply, false);
+    // Show the final patient reply
+    streamingMessage.finish(response.patientReply);
     messageCount += 1; // Increment for patient reply (total message count)
 
     // In learning mode, display guidance from backend
@@ -257,6 +352,20 @@ async function sendMessage() {
   }
 }
 
+/**
+ * Handle an encounter ended by the patient's condition (e.g., a critical deterioration)
+ * The student can still submit a diagnosis to get feedback
+ * @param {Object} outcome - Outcome from the backend
+ */
+function handleEncounterEnded(outcome) {
+  const messagesContainer = getMessagesContainer();
+  const what = outcome.status === 'arrested' ? 'The patient has arrested' : 'The patient has deteriorated';
+  addSystemMessage(messagesContainer, `⚠️ ${what}${outcome.description ? `: ${outcome.description}` : ''}. The encounter has ended.`);
+  
+  timer.stop();
+  showDiagnosisModal();
+}
+
 /**
  * Show diagnosis modal
  */
@@ -292,17 +401,28 @@ async function submitDiagnosis() {
     
     // End session with diagnosis
     await apiService.endSession(currentSessionId, diagnosisWithIntervention);
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
 
     // Get feedback to determine correctness
     let isCorrect = false;
     try {
       const feedback = await apiService.getFeedback(currentSessionId);
       
-      // Check if diagnosis is correct (diagnosis score >= 20 means correct primary diagnosis)
-      isCorrect = feedback.breakdown.diagnosis >= 20;
+      // Check if diagnosis is correct (matched the case's primary diagnosis)
+      isCorrect = feedback.diagnosisMatch === 'primary';
+      
+      // The overlay's transcript tab shows the messages the feedback cites
+      let transcript = [];
+      if (currentMode === 'test') {
+        try {
+          transcript = (await apiService.exportSession(currentSessionId)).messages || [];
+        } catch (error) {
+          console.error('Error loading transcript:', error);
+        }
+      }
       
       // Display feedback (in overlay for test mode, sidebar for learning mode)
-      displayFeedback(feedback, currentMode, isCorrect);
+      displayFeedback(feedback, currentMode, isCorrect, transcript);
       
       // Fade out chat background when showing feedback in test mode
       if (currentMode === 'test') {
@@ -325,6 +445,60 @@ async function submitDiagnosis() {
   }
 }
 
+/**
+ * Check who is signed in, asking to sign in if nobody is
+ * Once signed in, picks up a session interrupted by a page reload.
+ */
+async function initAuth() {
+  initAuthModal((user) => {
+    showSignedInUser(user);
+    loadProgress(user);
+    resumeSession();
+  });
+
+  // A rejected token (e.g., expired) asks the user to sign in again
+  apiService.onUnauthorized = () => {
+    showSignedInUser(null);
+    clearProgress();
+    showAuthModal('Your sign-in has expired. Please sign in again.');
+  };
+
+  if (!apiService.isSignedIn()) {
+    showAuthModal();
+    return;
+  }
+
+  try {
+    const { user } = await apiService.getCurrentUser();
+    showSignedInUser(user);
+    loadProgress(user);
+    resumeSession();
+  } catch (error) {
+    // A rejected token already showed the sign-in modal
+  }
+}
+
+/**
+ * Show the signed-in user in the dashboard header
+ * @param {Object|null} user - Signed-in user, or null to hide
+ */
+function showSignedInUser(user) {
+  const currentUser = document.getElementById('currentUser');
+  const currentUserName = document.getElementById('currentUserName');
+  if (!currentUser || !currentUserName) return;
+
+  currentUserName.textContent = user ? user.displayName : '';
+  currentUser.classList.toggle('hidden', !user);
+}
+
+/**
+ * Sign out and return to the dashboard
+ */
+function signOut() {
+  apiService.setAuthToken(null);
+  goHome();
+}
+
 /**
  * Go home (return to dashboard)
  */
@@ -337,6 +511,7 @@ function goHome() {
   currentSessionId = null;
   currentMode = null;
   guidanceLevel = null;
+  localStorage.removeItem(ACTIVE_SESSION_KEY);
 
   // Clear state
   const messagesContainer = getMessagesContainer();
@@ -360,8 +535,14 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize pages
   initHomePage();
   initTitlePage(
-    (guidanceLevel) => initializeInterface('learning', guidanceLevel),
-    () => initializeInterface('test')
+    (guidanceLevel) => {
+      currentCase = getSelectedCase();
+      initializeInterface('learning', guidanceLevel);
+    },
+    () => {
+      currentCase = getSelectedCase();
+      initializeInterface('test');
+    }
   );
   initSimulationPage(goHome, sendMessage, showDiagnosisModal);
   initFinishPage(goHome);
@@ -413,6 +594,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Initialize voice input
   initVoiceInput();
+
+  // Event listener - Sign out
+  const signOutButton = document.getElementById('signOutButton');
+  if (signOutButton) {
+    signOutButton.addEventListener('click', signOut);
+  }
+
+  // Sign in, then pick up a session interrupted by a page reload
+  initAuth();
 });
 
 
@@ -1,134 +1,153 @@
 /**
  * Dashboard Page
- * LeetCode-style dashboard with list of problems
+ * LeetCode-style dashboard with list of problems, loaded from the case catalog,
+ * and the signed-in user's progress and past attempts
  */
 
-const problems = [
-  {
-    id: 'demo',
-    caseId: 'chest-pain-001',
-    number: 1,
-    title: 'Chest Pain',
-    fullTitle: 'Acute Chest Pain in Emergency Department',
-    difficulty: 'Medium',
-    category: 'Emergency Medicine'
-  },
-  {
-    id: 'abdominal-pain-001',
-    caseId: 'abdominal-pain-001',
-    number: 2,
-    title: 'Abdominal Pain',
-    fullTitle: 'Acute Abdominal Pain Assessment',
-    difficulty: 'Easy',
-    category: 'Emergency Medicine'
-  },
-  {
-    id: 'respiratory-distress-001',
-    caseId: 'respiratory-distress-001',
-    number: 3,
-    title: 'Respiratory Distress',
-    fullTitle: 'Respiratory Distress Evaluation',
-    difficulty: 'Hard',
-    category: 'Emergency Medicine'
-  },
-  {
-    id: 'neurological-assessment-001',
-    caseId: 'neurological-assessment-001',
-    number: 4,
-    title: 'Altered Mental Status',
-    fullTitle: 'Neurological Assessment - Altered Mental Status',
-    difficulty: 'Medium',
-    category: 'Neurology'
-  },
-  {
-    id: 'pediatric-fever-001',
-    caseId: 'pediatric-fever-001',
-    number: 5,
-    title: 'Pediatric Fever',
-    fullTitle: 'Pediatric Fever and Rash Evaluation',
-    difficulty: 'Medium',
-    category: 'Pediatrics'
-  },
-  {
-    id: 'cardiac-arrest-001',
-    caseId: 'cardiac-arrest-001',
-    number: 6,
-    title: 'Cardiac Arrest',
-    fullTitle: 'Post-Resuscitation Cardiac Arrest Care',
-    difficulty: 'Hard',
-    category: 'Emergency Medicine'
-  },
-  {
-    id: 'stroke-evaluation-001',
-    caseId: 'stroke-evaluation-001',
-    number: 7,
-    title: 'Acute Stroke',
-    fullTitle: 'Acute Ischemic Stroke Evaluation and Management',
-    difficulty: 'Hard',
-    category: 'Neurology'
-  },
-  {
-    id: 'sepsis-recognition-001',
-    caseId: 'sepsis-recognition-001',
-    number: 8,
-    title: 'Sepsis Recognition',
-    fullTitle: 'Early Sepsis Recognition and Treatment',
-    difficulty: 'Medium',
-    category: 'Emergency Medicine'
-  },
-  {
-    id: 'diabetic-ketoacidosis-001',
-    caseId: 'diabetic-ketoacidosis-001',
-    number: 9,
-    title: 'Diabetic Ketoacidosis',
-    fullTitle: 'Diabetic Ketoacidosis Management',
-    difficulty: 'Medium',
-    category: 'Endocrinology'
-  },
-  {
-    id: 'pediatric-asthma-001',
-    caseId: 'pediatric-asthma-001',
-    number: 10,
-    title: 'Pediatric Asthma',
-    fullTitle: 'Pediatric Asthma Exacerbation',
-    difficulty: 'Easy',
-    category: 'Pediatrics'
-  },
-  {
-    id: 'myocardial-infarction-001',
-    caseId: 'myocardial-infarction-001',
-    number: 11,
-    title: 'STEMI',
-    fullTitle: 'ST-Elevation Myocardial Infarction Management',
-    difficulty: 'Hard',
-    category: 'Cardiology'
-  },
-  {
-    id: 'appendicitis-001',
-    caseId: 'appendicitis-001',
-    number: 12,
-    title: 'Appendicitis',
-    fullTitle: 'Acute Appendicitis Diagnosis',
-    difficulty: 'Easy',
-    category: 'Surgery'
-  }
-];
+import { apiService } from '../services/api.js';
+import { renderFeedbackSummary } from '../components/feedback.js';
+import { initLeaderboard, setLeaderboardCases, setLeaderboardUser, loadLeaderboard } from '../components/leaderboard.js';
+
+// Cases from the backend catalog (GET /cases)
+let problems = [];
+
+// The signed-in user's progress (GET /progress/summary) and attempts (GET /progress/attempts)
+let progress = null;
+let attempts = [];
 
 let currentDifficultyFilter = 'All';
 let currentCategoryFilter = 'All';
 let searchQuery = '';
 
-export function initHomePage() {
+export async function initHomePage() {
   const problemsList = document.getElementById('problemsList');
   if (!problemsList) return;
 
   // Setup filters and search
   setupFilters();
+  setupAttemptModal();
+  setupTabs();
+  initLeaderboard();
+  
+  try {
+    const { cases } = await apiService.getCases();
+    problems = cases.map((caseSummary, index) => ({
+      caseId: caseSummary.caseId,
+      number: index + 1,
+      title: caseSummary.title,
+      description: caseSummary.description || '',
+      level: caseSummary.level,
+      difficulty: caseSummary.difficulty,
+      category: formatCategory(caseSummary.specialty)
+    }));
+  } catch (error) {
+    problemsList.innerHTML = `
+      <tr>
+        <td colspan="4" class="px-4 py-6 text-center text-sm text-gray-500">Could not load cases. Please refresh the page.</td>
+      </tr>
+    `;
+    return;
+  }
+  
+  populateCategoryFilter();
+  setLeaderboardCases(cases);
   
   // Render problems
   renderProblems();
 }
 
+/**
+ * Load the signed-in user's progress and attempts (call once signed in)
+ * @param {Object} user - Signed-in user
+ */
+export async function loadProgress(user) {
+  setLeaderboardUser(user);
+
+  try {
+    const [summary, history] = await Promise.all([apiService.getProgress(), apiService.getAttempts()]);
+    progress = summary;
+    attempts = history.attempts;
+  } catch (error) {
+    progress = null;
+    attempts = [];
+  }
+
+  renderProblems();
+  renderAttempts();
+}
+
+/**
+ * Forget the signed-in user's progress (e.g., on sign out)
+ */
+export function clearProgress() {
+  setLeaderboardUser(null);
+  progress = null;
+  attempts = [];
+  renderProblems();
+  renderAttempts();
+}
+
+/**
+ * Fill the category filter with the specialties that have cases
+ */
+function populateCategoryFilter() {
+  const categoryFilter = document.getElementById('categoryFilter');
+  if (!categoryFilter) return;
+
+  const categories = [...new Set(problems.map(problem => problem.category))].sort();
+  categoryFilter.innerHTML = '<option value="All">All Categories</option>';
+  categories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = category;
+    categoryFilter.appendChild(option);
+  });
+}
+
+/**
+ * "emergency medicine" → "Emergency Medicine"
+ */
+function formatCategory(specialty) {
+  if (!specialty) return 'General';
+  return specialty.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Switch between the Problems and Leaderboard tabs
+ */
+function setupTabs() {
+  const tabs = [
+    { button: document.getElementById('problemsTabButton'), panel: document.getElementById('problemsTab') },
+    { button: document.getElementById('leaderboardTabButton'), panel: document.getElementById('leaderboardTab'), onShow: loadLeaderboard }
+  ];
+  if (tabs.some(tab => !tab.button || !tab.panel)) return;
+
+  tabs.forEach(tab => {
+    tab.button.addEventListener('click', () => {
+      tabs.forEach(other => {
+        const active = other === tab;
+        other.panel.classList.toggle('hidden', !active);
+        other.button.classList.toggle('border-blue-600', active);
+        other.button.classList.toggle('text-gray-900', active);
+        other.button.classList.toggle('border-transparent', !active);
+        other.button.classList.toggle('text-gray-500', !active);
+      });
+      tab.onShow?.();
+    });
+  });
+}
+
+function setupAttemptModal() {
+  const modal = document.getElementById('attemptModal');
+  const closeButton = document.getElementById('closeAttemptModalButton');
+  if (!modal || !closeButton) return;
+
+  closeButton.addEventListener('click', hideAttempt);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) hideAttempt();
+  });
+}
+
 function setupFilters() {
   const difficultyFilter = document.getElementById('difficultyFilter');
   const categoryFilter = document.getElementById('categoryFilter');
@@ -169,7 +188,7 @@ function renderProblems() {
     const matchesCategory = currentCategoryFilter === 'All' || problem.category === currentCategoryFilter;
     const matchesSearch = !searchQuery || 
       problem.title.toLowerCase().includes(searchQuery) ||
-      problem.fullTitle.toLowerCase().includes(searchQuery) ||
+      problem.description.toLowerCase().includes(searchQuery) ||
       problem.category.toLowerCase().includes(searchQuery);
     
     return matchesDifficulty && matchesCategory && matchesSearch;
@@ -180,7 +199,11 @@ function renderProblems() {
     const row = document.createElement('tr');
     row.className = 'hover:bg-gray-50 cursor-pointer transition-colors';
     row.addEventListener('click', () => {
-      const params = new URLSearchParams({ title: problem.fullTitle });
+      const params = new URLSearchParams({
+        caseId: problem.caseId,
+        level: String(problem.level),
+        title: problem.title
+      });
       window.location.href = `/scenario?${params.toString()}`;
     });
 
@@ -191,21 +214,30 @@ function renderProblems() {
       Hard: 'text-red-700 bg-red-100'
     };
 
+    // Solved (✓) or attempted (best score) from the user's progress
+    const caseProgress = progress?.cases.find(item => item.caseId === problem.caseId);
+    const status = !caseProgress
+      ? '<div class="w-4 h-4"></div>'
+      : caseProgress.solved
+        ? `<span class="text-green-600 font-semibold" title="Solved - best score ${caseProgress.bestScore}">✓</span>`
+        : `<span class="text-xs text-yellow-700" title="Attempted, not solved yet">${caseProgress.bestScore}</span>`;
+
     row.innerHTML = `
       <td class="px-4 py-3 whitespace-nowrap">
-        <div class="w-4 h-4"></div>
+        ${status}
       </td>
       <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
         ${problem.number}
       </td>
       <td class="px-4 py-3">
         <div class="text-sm font-medium text-blue-600 hover:text-blue-800">
-          ${problem.title}
+          ${escapeHtml(problem.title)}
         </div>
+        <div class="text-xs text-gray-500">${escapeHtml(problem.category)}</div>
       </td>
       <td class="px-4 py-3 whitespace-nowrap">
-        <span class="px-2 py-1 text-xs font-medium rounded ${difficultyColors[problem.difficulty]}">
-          ${problem.difficulty}
+        <span class="px-2 py-1 text-xs font-medium rounded ${difficultyColors[problem.difficulty] || ''}">
+          ${escapeHtml(problem.difficulty)}
         </span>
       </td>
     `;
@@ -213,41 +245,103 @@ function renderProblems() {
     problemsList.appendChild(row);
   });
 
-  // Update stats (show hardcoded completed values)
+  // Update stats from the user's progress
   updateStats();
 }
 
+/**
+ * Show solved cases out of the cases in the catalog, overall and by difficulty
+ */
 function updateStats() {
-  const totalProblems = document.getElementById('totalProblems');
-  const easyCount = document.getElementById('easyCount');
-  const mediumCount = document.getElementById('mediumCount');
-  const hardCount = document.getElementById('hardCount');
-
-  // Hardcoded completed values (representing user's progress)
-  const completedStats = {
-    total: 7,      // User has completed 7 out of 12 problems
-    easy: 2,       // User has completed 2 out of 3 easy problems
-    medium: 4,     // User has completed 4 out of 5 medium problems
-    hard: 1        // User has completed 1 out of 4 hard problems
-  };
-
-  if (totalProblems) {
-    totalProblems.textContent = completedStats.total;
-  }
+  const stats = [
+    ['totalProblems', progress?.solved.total, problems.length],
+    ['easyCount', progress?.solved.Easy, problems.filter(problem => problem.difficulty === 'Easy').length],
+    ['mediumCount', progress?.solved.Medium, problems.filter(problem => problem.difficulty === 'Medium').length],
+    ['hardCount', progress?.solved.Hard, problems.filter(problem => problem.difficulty === 'Hard').length]
+  ];
 
-  if (easyCount) {
-    easyCount.textContent = completedStats.easy;
-  }
+  stats.forEach(([elementId, solved, total]) => {
+    const element = document.getElementById(elementId);
+    if (element) {
+      element.textContent = `${solved || 0} / ${total}`;
+    }
+  });
+}
+
+/**
+ * List the user's past attempts, newest first
+ */
+function renderAttempts() {
+  const attemptsList = document.getElementById('attemptsList');
+  if (!attemptsList) return;
 
-  if (mediumCount) {
-    mediumCount.textContent = completedStats.medium;
+  if (attempts.length === 0) {
+    attemptsList.innerHTML = `
+      <tr>
+        <td colspan="5" class="px-4 py-6 text-center text-sm text-gray-500">No attempts yet - pick a problem above to start.</td>
+      </tr>
+    `;
+    return;
   }
 
-  if (hardCount) {
-    hardCount.textContent = completedStats.hard;
+  attemptsList.innerHTML = '';
+  attempts.forEach((attempt) => {
+    const row = document.createElement('tr');
+    row.className = 'hover:bg-gray-50 cursor-pointer transition-colors';
+    row.addEventListener('click', () => showAttempt(attempt));
+
+    const scoreColor = attempt.summaryScore >= 80 ? 'text-green-700' : attempt.summaryScore >= 60 ? 'text-yellow-700' : 'text-red-700';
+
+    row.innerHTML = `
+      <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+        ${escapeHtml(new Date(attempt.endedAt).toLocaleString())}
+      </td>
+      <td class="px-4 py-3">
+        <div class="text-sm font-medium text-blue-600 hover:text-blue-800">${escapeHtml(attempt.title)}</div>
+        <div class="text-xs text-gray-500">${escapeHtml(attempt.submittedDiagnosis)}</div>
+      </td>
+      <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+        ${attempt.mode === 'learning' ? 'Learning' : 'Test'}
+      </td>
+      <td class="px-4 py-3 whitespace-nowrap text-sm font-semibold ${scoreColor}">
+        ${attempt.summaryScore}
+      </td>
+      <td class="px-4 py-3 whitespace-nowrap text-sm">
+        ${attempt.solved ? '<span class="text-green-700">Solved</span>' : '<span class="text-gray-500">Not solved</span>'}
+      </td>
+    `;
+
+    attemptsList.appendChild(row);
+  });
+}
+
+/**
+ * Open a past attempt's feedback
+ * @param {Object} attempt - Attempt from GET /progress/attempts
+ */
+async function showAttempt(attempt) {
+  const modal = document.getElementById('attemptModal');
+  const content = document.getElementById('attemptModalContent');
+  if (!modal || !content) return;
+
+  document.getElementById('attemptModalTitle').textContent = attempt.title;
+  document.getElementById('attemptModalSubtitle').textContent =
+    `${new Date(attempt.endedAt).toLocaleString()} · Your diagnosis: ${attempt.submittedDiagnosis}`;
+  content.innerHTML = '<div class="text-gray-500 text-center py-8">Loading feedback...</div>';
+  modal.classList.remove('hidden');
+
+  try {
+    const feedback = await apiService.getFeedback(attempt.sessionId);
+    renderFeedbackSummary(content, feedback);
+  } catch (error) {
+    content.innerHTML = '<div class="text-gray-500 text-center py-8">Could not load the feedback for this attempt.</div>';
   }
 }
 
+function hideAttempt() {
+  document.getElementById('attemptModal')?.classList.add('hidden');
+}
+
 export function showHomePage() {
   const homePage = document.getElementById('homePage');
   if (homePage) {
@@ -261,3 +355,12 @@ export function hideHomePage() {
     homePage.classList.remove('active');
   }
 }
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -14,6 +14,20 @@ const guidanceHighButton = document.getElementById('guidanceHighButton');
 
 let onLearningModeSelected = null;
 
+/**
+ * The case chosen on the dashboard (from the URL params)
+ * @returns {{caseId: string, level: number}}
+ */
+export function getSelectedCase() {
+  const urlParams = new URLSearchParams(window.location.search);
+  const level = parseInt(urlParams.get('level'), 10);
+
+  return {
+    caseId: urlParams.get('caseId') || 'chest-pain-001',
+    level: [1, 2, 3].includes(level) ? level : 1
+  };
+}
+
 export function initTitlePage(onLearningClick, onTestClick) {
   // Get title from URL params or use default
   const urlParams = new URLSearchParams(window.location.search);
@@ -5,19 +5,200 @@
 
 const API_BASE_URL = 'http://localhost:3000';
 
+// The bearer token is kept across page reloads
+const AUTH_TOKEN_KEY = 'authToken';
+
 class ApiService {
+  constructor() {
+    this.authToken = localStorage.getItem(AUTH_TOKEN_KEY);
+    this.onUnauthorized = null; // Called when the backend rejects the token
+  }
+
+  /**
+   * Whether a user is signed in
+   * @returns {boolean}
+   */
+  isSignedIn() {
+    return Boolean(this.authToken);
+  }
+
+  /**
+   * Remember (or forget, with null) the signed-in user's token
+   * @param {string|null} token - Bearer token from login/register
+   */
+  setAuthToken(token) {
+    this.authToken = token;
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+  }
+
+  /**
+   * Sign in
+   * @param {string} username - Login name
+   * @param {string} password - Password
+   * @returns {Promise<{token: string, expiresAt: number, user: {userId: string, username: string, displayName: string, role: 'learner'|'instructor'|'admin'}}>}
+   */
+  async login(username, password) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to sign in');
+      }
+
+      const result = await response.json();
+      this.setAuthToken(result.token);
+      return result;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a learner account and sign in
+   * @param {string} username - Login name (3-32 letters, numbers, dots, dashes or underscores)
+   * @param {string} password - Password (at least 8 characters)
+   * @param {string} [displayName] - Name shown to instructors (defaults to the username)
+   * @returns {Promise<{token: string, expiresAt: number, user: Object}>}
+   */
+  async register(username, password, displayName) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/register`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password, displayName }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create account');
+      }
+
+      const result = await response.json();
+      this.setAuthToken(result.token);
+      return result;
+    } catch (error) {
+      console.error('Error creating account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the signed-in user
+   * @returns {Promise<{user: {userId: string, username: string, displayName: string, role: 'learner'|'instructor'|'admin'}}>}
+   */
+  async getCurrentUser() {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/auth/me`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get the signed-in user');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting the signed-in user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the signed-in user's settings
+   * @param {{displayName?: string, leaderboardOptOut?: boolean}} changes - Settings to change
+   * @returns {Promise<{user: Object}>}
+   */
+  async updateCurrentUser(changes) {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/auth/me`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update settings');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * fetch() with the bearer token; a rejected token signs the user out
+   * @param {string} url - Request URL
+   * @param {RequestInit} [options] - fetch options
+   * @returns {Promise<Response>}
+   */
+  async authFetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.authToken) {
+      headers.Authorization = `Bearer ${this.authToken}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+      this.setAuthToken(null);
+      this.onUnauthorized?.();
+    }
+
+    return response;
+  }
+
+  /**
+   * List the available cases
+   * @returns {Promise<{cases: Array<{caseId: string, title: string, specialty?: string, level: number, description?: string, difficulty: 'Easy'|'Medium'|'Hard'}>}>}
+   */
+  async getCases() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/cases`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load cases');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading cases:', error);
+      throw error;
+    }
+  }
+
   /**
    * Start a new session
    * @param {string} caseId - The case ID
    * @param {number} level - Difficulty level (1-3)
-   * @param {string} userName - User's name
    * @param {number} [timeLimitSec] - Optional time limit in seconds
    * @param {number} [maxTurns] - Optional maximum turns
-   * @returns {Promise<{sessionId: string, timeLimitSec?: number, maxTurns?: number, introLine?: string}>}
+   * @param {'llm'|'scripted'} [patientMode] - Optional patient mode ('scripted' gives every student the same answers)
+   * @param {'test'|'learning'} [mode] - Optional mode, remembered by the session so it can be resumed
+   * @param {'low'|'medium'|'high'} [guidanceLevel] - Optional guidance level (for learning mode)
+   * @returns {Promise<{sessionId: string, caseId: string, title: string, patient: {name: string, age: number, sex: string, chiefComplaint: string, image?: string}, timeLimitSec?: number, maxTurns?: number, introLine?: string}>}
    */
-  async startSession(caseId, level, userName, timeLimitSec, maxTurns) {
+  async startSession(caseId, level, timeLimitSec, maxTurns, patientMode, mode, guidanceLevel) {
     try {
-      const response = await fetch(`${API_BASE_URL}/session/start`, {
+      const response = await this.authFetch(`${API_BASE_URL}/session/start`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -25,9 +206,11 @@ class ApiService {
         body: JSON.stringify({
           caseId,
           level,
-          userName,
           timeLimitSec,
           maxTurns,
+          patientMode,
+          mode,
+          guidanceLevel,
         }),
       });
 
@@ -49,11 +232,11 @@ class ApiService {
    * @param {string} message - The user's message
    * @param {string} [mode] - Optional mode: 'test' or 'learning'
    * @param {string} [guidanceLevel] - Optional guidance level: 'low', 'medium', or 'high' (for learning mode)
-   * @returns {Promise<{patientReply: string, currentTurn: number, maxTurns?: number, isActive: boolean, guidance?: {type: string, message: string}}>}
+   * @returns {Promise<{patientReply: string|null, currentTurn: number, maxTurns?: number, isActive: boolean, guidance?: {type: string, message: string}, outcome?: {status: string, trigger?: string, description?: string, endedEncounter: boolean}}>}
    */
   async sendMessage(sessionId, message, mode, guidanceLevel) {
     try {
-      const response = await fetch(`${API_BASE_URL}/session/message`, {
+      const response = await this.authFetch(`${API_BASE_URL}/session/message`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -79,22 +262,93 @@ class ApiService {
   }
 
   /**
-   * Record an action (exam, lab order, etc.)
+   * Send a message to the patient and stream the reply as it is generated
    * @param {string} sessionId - The session ID
-   * @param {string} actionType - Type of action
+   * @param {string} message - The user's message
+   * @param {string} [mode] - Optional mode: 'test' or 'learning'
+   * @param {string} [guidanceLevel] - Optional guidance level: 'low', 'medium', or 'high' (for learning mode)
+   * @param {{onToken?: (text: string) => void, onReplace?: (text: string) => void}} [handlers] - Called with each
+   *   piece of the reply, and with the full reply if the text streamed so far was replaced
+   * @returns {Promise<Object>} Same response as sendMessage, once the reply is complete
+   */
+  async sendMessageStream(sessionId, message, mode, guidanceLevel, handlers = {}) {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/session/message/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          sessionId,
+          message,
+          mode,
+          guidanceLevel,
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to send message');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let result = null;
+
+      while (!result) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const event = parseServerSentEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+
+          if (event.type === 'token') {
+            handlers.onToken?.(event.data.text);
+          } else if (event.type === 'replace') {
+            handlers.onReplace?.(event.data.text);
+          } else if (event.type === 'error') {
+            throw new Error(event.data.error || 'Failed to send message');
+          } else if (event.type === 'done') {
+            result = event.data;
+          }
+        }
+      }
+
+      if (!result) {
+        throw new Error('Connection closed before the reply finished');
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error streaming message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place an order (exam, lab, imaging, EKG, medication, consult, procedure)
+   * @param {string} sessionId - The session ID
+   * @param {'exam'|'lab'|'imaging'|'ekg'|'medication'|'consult'|'procedure'} category - Order category
+   * @param {string} item - Item name (e.g., "cardiovascular", "BMP", "Chest X-ray")
    * @param {any} [details] - Optional action details
-   * @returns {Promise<{result: string, actionRecorded: boolean}>}
+   * @returns {Promise<{result: string, actionType: string, order?: Object, actionRecorded: boolean, scheduledEffects: Array<{trigger: string, dueAtMinute: number}>, isActive: boolean, outcome?: Object}>}
    */
-  async recordAction(sessionId, actionType, details) {
+  async recordAction(sessionId, category, item, details) {
     try {
-      const response = await fetch(`${API_BASE_URL}/session/action`, {
+      const response = await this.authFetch(`${API_BASE_URL}/session/action`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           sessionId,
-          actionType,
+          category,
+          item,
           details,
         }),
       });
@@ -111,6 +365,69 @@ class ApiService {
     }
   }
 
+  /**
+   * Get what can be ordered in the session's case
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<{catalog: Object<string, string[]>, freeFormCategories: string[]}>}
+   */
+  async getOrderCatalog(sessionId) {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/session/catalog?sessionId=${sessionId}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get order catalog');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting order catalog:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending and completed diagnostic results
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<{simulatedMinutes: number, pending: Array<Object>, completed: Array<Object>}>}
+   */
+  async getResults(sessionId) {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/session/results?sessionId=${sessionId}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get results');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get what's needed to resume a session (e.g., after a page reload)
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<{sessionId: string, caseId: string, level: number, title: string, patient: Object, introLine: string, mode: 'test'|'learning', guidanceLevel?: string, messages: Array<{role: 'user'|'assistant', content: string}>, actions: Array<Object>, orders: Array<Object>, currentTurn: number, maxTurns?: number, timeLimitSec?: number, remainingSec?: number, isActive: boolean, submittedDiagnosis?: string, outcome?: Object}>}
+   */
+  async getSessionState(sessionId) {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/session/state?sessionId=${sessionId}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get session state');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting session state:', error);
+      throw error;
+    }
+  }
+
   /**
    * End a session with diagnosis
    * @param {string} sessionId - The session ID
@@ -119,7 +436,7 @@ class ApiService {
    */
   async endSession(sessionId, diagnosis) {
     try {
-      const response = await fetch(`${API_BASE_URL}/session/end`, {
+      const response = await this.authFetch(`${API_BASE_URL}/session/end`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -149,7 +466,7 @@ class ApiService {
    */
   async getFeedback(sessionId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/session/feedback?sessionId=${sessionId}`);
+      const response = await this.authFetch(`${API_BASE_URL}/session/feedback?sessionId=${sessionId}`);
 
       if (!response.ok) {
         const error = await response.json();
@@ -163,6 +480,73 @@ class ApiService {
     }
   }
 
+  /**
+   * List the signed-in user's completed attempts, newest first
+   * @param {string} [caseId] - Only attempts at this case
+   * @returns {Promise<{attempts: Array<{sessionId: string, caseId: string, caseVersion: number, title: string, difficulty: 'Easy'|'Medium'|'Hard', mode: 'test'|'learning', startedAt: number, endedAt: number, durationSec: number, submittedDiagnosis: string, summaryScore: number, solved: boolean, outcome?: string}>}>}
+   */
+  async getAttempts(caseId) {
+    try {
+      const query = caseId ? `?caseId=${encodeURIComponent(caseId)}` : '';
+      const response = await this.authFetch(`${API_BASE_URL}/progress/attempts${query}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load attempts');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading attempts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the signed-in user's best score per case and solved cases by difficulty
+   * @returns {Promise<{attempts: number, solved: {total: number, Easy: number, Medium: number, Hard: number}, cases: Array<{caseId: string, title: string, difficulty: string, attempts: number, bestScore: number, solved: boolean, lastAttemptAt: number}>}>}
+   */
+  async getProgress() {
+    try {
+      const response = await this.authFetch(`${API_BASE_URL}/progress/summary`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load progress');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a leaderboard for a case or a level
+   * @param {{caseId?: string, level?: number, window?: 'daily'|'weekly'|'all-time', limit?: number}} query - What to rank
+   * @returns {Promise<{window: string, entries: Array<{rank: number, displayName: string, summaryScore: number, durationSec: number, caseId: string, title: string, endedAt: number, isYou: boolean}>, you?: Object}>}
+   */
+  async getLeaderboard(query) {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined) params.set(key, String(value));
+      });
+      const response = await this.authFetch(`${API_BASE_URL}/leaderboard?${params.toString()}`);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to load leaderboard');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading leaderboard:', error);
+      throw error;
+    }
+  }
+
   /**
    * Export session data
    * @param {string} sessionId - The session ID
@@ -170,7 +554,7 @@ class ApiService {
    */
   async exportSession(sessionId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/session/export?sessionId=${sessionId}`);
+      const response = await this.authFetch(`${API_BASE_URL}/session/export?sessionId=${sessionId}`);
 
       if (!response.ok) {
         const error = await response.json();
@@ -186,3 +570,23 @@ class ApiService {
 }
 
 export const apiService = new ApiService();
+
+/**
+ * Parse one Server-Sent Event block ("event: ...\ndata: ...")
+ * @param {string} block - Event lines
+ * @returns {{type: string, data: any}}
+ */
+function parseServerSentEvent(block) {
+  let type = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  return { type, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : {} };
+}
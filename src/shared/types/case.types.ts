@@ -9,6 +9,7 @@ export interface MedicalCase {
   title: string;
   description?: string;
   specialty?: string; // e.g., "emergency medicine", "cardiology", "pediatrics"
+  difficulty?: CaseDifficulty; // Shown on the dashboard; defaults from level (1=Easy, 2=Medium, 3=Hard)
   
   patient: PatientInfo;
   history: MedicalHistory;
@@ -18,13 +19,19 @@ export interface MedicalCase {
   revealRules: RevealRules;
   progression: CaseProgression;
   guardrails: Guardrails;
+  
+  variants?: CaseVariants; // Randomized per session (see caseVariants)
+  rubric?: CaseRubric; // How sessions are scored (default weights when missing)
 }
 
+export type CaseDifficulty = "Easy" | "Medium" | "Hard";
+
 export interface PatientInfo {
   name: string;
   age: number;
   sex: "M" | "F" | "Other";
   chiefComplaint: string;
+  image?: string; // Patient photo shown in the simulation (URL path)
   
   personality: {
     baseline: string; // e.g., "anxious, cooperative", "stoic, reluctant"
@@ -51,6 +58,14 @@ export interface MedicalHistory {
     occupation?: string;
     livingSituation?: string;
   };
+  
+  mustAsk?: MustAskQuestion[]; // Case-specific questions the learner is expected to ask (history checklist)
+}
+
+export interface MustAskQuestion {
+  id: string; // e.g., "recent-travel"
+  question: string; // Shown in feedback, e.g., "Any recent travel?"
+  keywords: string[]; // Asked if a learner message contains any of these
 }
 
 export interface PhysicalExamFindings {
@@ -115,6 +130,11 @@ export interface DiagnosticResults {
   other?: {
     [testName: string]: LeveledFinding;
   };
+  
+  // Simulated minutes until a result is available, per test name (overrides the category default)
+  turnaroundMinutes?: {
+    [testName: string]: number;
+  };
 }
 
 export interface LeveledLabResult {
@@ -133,9 +153,19 @@ export interface DiagnosisInfo {
   primary: string; // The correct primary diagnosis
   differentials: string[]; // Reasonable differential diagnoses
   criticalActions: string[]; // Must-do actions (e.g., "Give aspirin", "Order troponin")
-  avoidActions?: string[]; // Actions that would harm patient
+  avoidActions?: string[]; // Actions that would harm patient (e.g., "Give NSAIDs", "Delay EKG"); scored as major safety events
+  contraindications?: Contraindication[]; // Actions harmful to this patient, with why and what happens if done
+}
+
+export interface Contraindication {
+  action: string; // e.g., "Give penicillin"
+  reason: string; // Shown in feedback, e.g., "Documented penicillin allergy"
+  severity?: SafetySeverity; // Default: "major"
+  deterioration?: Omit<DeteriorationRule, "trigger">; // Applied as soon as the action is recorded
 }
 
+export type SafetySeverity = "minor" | "major" | "critical";
+
 export interface RevealRules {
   hpi: "always" | "when_asked" | "requires_rapport";
   pmh: "always" | "when_asked" | "if_relevant";
@@ -156,13 +186,32 @@ export interface CaseProgression {
   redFlags: RedFlag[];
   
   // What happens if case is mismanaged
-  deterioration?: {
-    trigger: string; // e.g., "no aspirin given within 20 minutes"
-    newVitals?: Partial<VitalSigns>;
-    newSymptoms?: string;
-    newFindings?: string;
-    severity: "mild" | "moderate" | "severe" | "critical";
-  }[];
+  deterioration?: DeteriorationRule[];
+  
+  // Expected management order and timing (efficiency scoring; default: the red flags, unordered)
+  actionPlan?: ActionPlan;
+}
+
+export interface ActionPlan {
+  ordered?: boolean; // true: steps are an ideal sequence, each expected after the one before it
+  steps: ActionPlanStep[];
+}
+
+export interface ActionPlanStep {
+  id: string; // e.g., "ekg"
+  action: string; // Matched against performed actions, e.g., "Obtain EKG"
+  after?: string[]; // Ids of steps expected before this one (e.g., cardiology consult after ["ekg"])
+  targetMinute?: number; // Simulated minute it should be done by (default: the matching red flag's timeWindow)
+}
+
+export interface DeteriorationRule {
+  trigger: string; // e.g., "no aspirin given within 20 minutes"
+  newVitals?: Partial<VitalSigns>;
+  newSymptoms?: string;
+  newFindings?: string;
+  severity: "mild" | "moderate" | "severe" | "critical";
+  outcome?: "deteriorated" | "arrested"; // Outcome recorded when this fires (default "deteriorated")
+  endsEncounter?: boolean; // Whether this ends the encounter (default: true for critical severity)
 }
 
 export interface TimeBasedChange {
@@ -214,6 +263,61 @@ export interface Guardrails {
   customRules?: string[];
 }
 
+// Parameters randomized for each session, so retakes don't see identical values
+export interface CaseVariants {
+  names?: string[]; // Patient name pool (should match patient.sex)
+  ageRange?: { min: number; max: number };
+  
+  // Shift per vital: "HR", "RR", "temp", "O2", "systolic", "diastolic" (BP) or any numeric vital
+  // One shift is drawn per vital and applied at every level and in the progression, so trends are kept
+  vitals?: { [vital: string]: VariantJitter };
+  
+  // Shift per lab value, e.g. { "Troponin": { "value": { range: 0.02, min: 0, decimals: 2 } } }
+  labs?: { [testName: string]: { [field: string]: VariantJitter } };
+  
+  medications?: string[][]; // Alternate medication lists; one replaces history.medications
+}
+
+export interface VariantJitter {
+  range: number; // Shift by up to ± this much
+  min?: number; // Clinical bounds the shifted value is kept within
+  max?: number;
+  decimals?: number; // Decimal places to round to (default 0)
+}
+
+export interface CaseRubric {
+  // Points per scoring category; 0 drops the category. Defaults: diagnosis 20, intervention 5,
+  // criticalActions 25, communication 20, efficiency 30 (the summary score is out of the total)
+  weights?: Partial<Record<RubricCategory, number>>;
+  
+  // Share of the points given for a partly right answer (default 0.6 each)
+  partialCredit?: {
+    differentialDiagnosis?: number; // Diagnosis named one of the differentials
+    intervention?: number; // Intervention on the right track but incomplete
+  };
+  
+  timeLimits?: { 1?: number; 2?: number; 3?: number }; // Seconds per level (default 300 / 420 / 600)
+  
+  items?: RubricItem[]; // Extra case-specific items, scored on top of the categories
+  
+  // Points taken off per safety event (avoid action or contraindication), by severity.
+  // Defaults: minor 5, major 15, critical 30
+  safetyPenalties?: Partial<Record<SafetySeverity, number>>;
+}
+
+export type RubricCategory = "diagnosis" | "intervention" | "criticalActions" | "communication" | "efficiency";
+
+export interface RubricItem {
+  id: string; // e.g., "asked-about-cocaine"
+  label: string; // Shown in feedback, e.g., "Asked about recreational drug use"
+  points: number;
+  
+  // Met if any listed action was performed (or named in the intervention),
+  // or the learner's messages contain any listed keyword
+  actions?: string[];
+  keywords?: string[];
+}
+
 // Helper type for session state tracking
 export interface RevealedFacts {
   hpi: boolean;